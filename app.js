@@ -25,21 +25,79 @@ const passport = require('passport');
 // to enable debugging, set environment variable DEBUG to slack-about-service or *
 const debug = require('debug')(consts.appPrefix);
 
+const async = require('async');
+const _ = require('lodash');
+
 var R = require('./lib/replicate.js');
-const mutil = require('./lib/util.js');
-const security = require('./lib/security.js');
+const config = require('./lib/config.js');
+const events = require('./lib/events.js');
+const metrics = require('./lib/metrics.js');
 
 /*
  * 
  * Environment variable dependencies:
+ *  - CONFIG_FILE (optional): JSON or YAML file containing the service configuration. Each setting is named after the
+ *      lower case equivalent of the environment variables listed below. Environment variables take precedence.
+ *  - REPLICATION_TASKS (optional): JSON or YAML file containing a list of replication task definitions. Each task is defined 
+ *      by an object containing the properties source, target and (optionally) any other task setting listed below. Settings that
+ *      are not defined by a task default to the values of the environment variables or configuration file.
  *  - SOURCE_COUCH_DB_URL: https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$SOURCE_DATABASE_NAME
- *  - TARGET_COUCH_DB_URL: https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$TARGET_DATABASE_NAME
+ *  - TARGET_COUCH_DB_URL: https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$TARGET_DATABASE_NAME (optional if SINK is ndjson)
  *  - RESTART (optional, default is false): if true, the change feed will process all document changes since the database was created; otherwise 
  *      only new document changes will be processed
- *  - TRANSFORM_FUNCTION (optional, default no transformation): file containing the Javascript routine to be used to transform documents
+ *  - TRANSFORM_FUNCTION (optional, default no transformation): file containing the Javascript routine to be used to transform documents,
+ *      or a comma separated list of files, whose routines are applied in the specified order. Files with a .json, .yml or .yaml
+ *      extension contain a declarative mapping spec
+ *  - VALIDATION_SCHEMA (optional, no default): JSON or YAML file containing a JSON Schema. Transformed documents that don't conform
+ *      to the schema are saved in the dead letter store instead of being written to the target database
+ *  - UPDATE_MODE (optional, default insert): "insert" or "upsert". In upsert mode updates of source documents are applied to the
+ *      current revision of the corresponding target document; in insert mode updates result in document update conflicts
+ *  - DELETE_POLICY (optional, default delete): "delete", "soft_delete" or "ignore". Determines how deletions of source documents
+ *      are applied to the target database
+ *  - SOFT_DELETE_FIELD (optional, default deleted): name of the property that is set to true if DELETE_POLICY is soft_delete
+ *  - WRITE_RETRY_MAX_ATTEMPTS (optional, default 5): maximum number of attempts to write a batch of documents to the target database
+ *      if a transient error (network error, HTTP 429, 500, 502, 503 or 504) is encountered
+ *  - WRITE_RETRY_INITIAL_DELAY (optional, default 1000): delay in ms before a failed write is retried; doubled after each retry
  *  - SERVER_FILTER (optional, no default): name of an existing filter in the source database, expressed as "$DESIGN_DOC_NAME/$FILTER_NAME"
+ *  - SERVER_FILTER_SELECTOR (optional, no default): Mango selector (JSON) that is applied to the change feed in the source database
+ *  - SERVER_FILTER_DOC_IDS (optional, no default): comma separated list of ids of the documents whose changes are replicated
  *  - CLIENT_FILTER (optional, no default): name of a file in the application directory containing a filter function: $PATH_TO/$FILTER_FUNCTION_FILE_NAME
+ *  - CHANGES_PER_BATCH (optional, default 500): maximum number of changes that are written to the target database in one request
+ *  - MAX_BATCH_BYTES (optional, default 5242880): maximum serialized size in bytes of the documents that are written in one request
+ *  - TARGET_BATCH_LATENCY (optional, default 5000): batches are made smaller if a bulk write request takes longer (in ms)
+ *  - WRITER_CONCURRENCY (optional, default 1): maximum number of batches that are written to the target database in parallel
+ *  - MAX_QUEUED_BATCHES (optional, default 50): the change feed is paused if more batches are waiting to be written
+ *  - MAX_BUFFERED_BYTES (optional, default 67108864): the change feed is paused if the documents that are waiting to be written exceed this size
+ *  - MAX_HEAP_USAGE (optional, default 0.8): the change feed is paused if the used heap exceeds this fraction of the heap size limit
+ *  - QUEUE_CHECK_INTERVAL (optional, default 1000): interval in ms at which the heap usage is checked while the change feed is paused
+ *  - REPOSITORY_TYPE (optional, default cloudant): cloudant, file or redis; identifies where recovery information, events and dead letters are stored
+ *  - REPOSITORY_DIRECTORY (optional, default repository): directory in which the file repository is stored
+ *  - REPOSITORY_URL (required if REPOSITORY_TYPE is redis): URL of the Redis server or of the CouchDB server that hosts 
+ *      the repository database (default is the target server)
+ *  - REPOSITORY_DATABASE (optional, default transformer_): name of the repository database
+ *  - EVENT_MAX_AGE (optional, no default): events that are older than the specified number of days are deleted
+ *  - EVENT_MAX_COUNT (optional, no default): maximum number of events per task and severity that are retained
+ *  - EVENT_PRUNING_INTERVAL (optional, default 3600000): interval in ms at which events are deleted
+ *  - EVENT_ROLLUP (optional, default false): if true, consecutive events of the same type are recorded in one event record
+ *  - SANDBOX (optional, default none): none or process; where the filter and transformation routines are run
+ *  - SANDBOX_TIMEOUT (optional, default 1000): maximum execution time in ms of a sandboxed routine per document
+ *  - SANDBOX_MEMORY_LIMIT (optional, default 256): maximum heap size in MB of the sandbox process
+ *  - SANDBOX_VIOLATION_POLICY (optional, default skip): skip or halt; applied if a document causes a sandbox violation
+ *  - DRY_RUN (optional, default false): if true, changes are filtered and transformed but not written to the target database;
+ *      the outcome is reported by the /dryrun endpoint and saved in $DRY_RUN_DIRECTORY/$TASK_ID_dry_run.ndjson
+ *  - DRY_RUN_SAMPLE_SIZE (optional, default 20): number of source and transformed documents that are included in the dry run report
+ *  - DRY_RUN_DIRECTORY (optional, default dry_run): directory in which the dry run reports are saved
+ *  - BACKFILL (optional, default false): if true, only the changes that were recorded before the service started are processed.
+ *      The service stops once they have been written. The exit code is 1 if any document could not be processed
+ *  - SINK (optional, default couchdb): couchdb writes documents to the target database, ndjson appends them to NDJSON files
+ *      in $SINK_DIRECTORY. Files are rotated once they reach $SINK_MAX_FILE_BYTES bytes or are older than $SINK_MAX_FILE_AGE ms
+ *  - SINK_DIRECTORY (optional, default export): directory in which the NDJSON files are saved
+ *  - SINK_MAX_FILE_BYTES (optional, default 104857600): size in bytes at which an NDJSON file is rotated
+ *  - SINK_MAX_FILE_AGE (optional, default 3600000): time in ms after which an NDJSON file is rotated
+ *  - SHUTDOWN_TIMEOUT (optional, default 8000): when the service receives SIGTERM or SIGINT pending changes are written and the final
+ *      checkpoint is saved. The service exits with code 1 if this does not complete within the specified number of ms
  *  - HIDE_CONSOLE (optional, default false): disables all API endpoints
+ *  - CONSOLE_USER, CONSOLE_PASSWORD (optional): if set, basic authentication is required to access the API endpoints
  *  - DEBUG (optional): if set to * or $APP_PREFIX:$MODULE, debug information is added to the log
  */
 
@@ -49,62 +107,439 @@ const security = require('./lib/security.js');
  * Verify that the application was properly configured 
  */
 
-if((! process.env.SOURCE_COUCH_DB_URL) || (!process.env.TARGET_COUCH_DB_URL)) {
-    console.error('Environment variables SOURCE_COUCH_DB_URL or TARGET_COUCH_DB_URL is not set.');
+config.getConfiguration(function(err, settings) {
+
+  if(err) {
+    console.error('Error. The service configuration is invalid: ' + err);
+    console.error('Configure the service using a configuration file (CONFIG_FILE) or the following environment variables:');
     console.error('SOURCE_COUCH_DB_URL https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$SOURCE_DATABASE_NAME');
     console.error('TARGET_COUCH_DB_URL https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$TARGET_DATABASE_NAME');
     process.exit(1);
-}
+  }
 
-var r = new R(mutil.splitUrl(process.env.SOURCE_COUCH_DB_URL), 
-			        mutil.splitUrl(process.env.TARGET_COUCH_DB_URL),
-              mutil.isTrue(process.env.RESTART));
+  require('./lib/tasks.js').getTaskDefinitions(settings.tasks, function(err, tasks) {
 
-r.init(function(err) {
+    if(err) {
+      console.error('Error. The service configuration is invalid: ' + err);
+      process.exit(1);
+    }
 
-  if(err) {
-    console.error('Error. Service initialization failed: ' + err);
-    console.error('Check the log file for additional information.');
-    console.error('The service is stopping.');
-    process.exit(1);
-  }
+    const security = require('./lib/security.js').getSecurity(settings.console_user, settings.console_password);
 
-  var appEnv = null;
+    // each task is processed by an independent replicator
+    var replicators = tasks.map(function(task) {
+      return new R(task.source, task.target, task.restart, task.options);
+    });
 
-  try {
-    appEnv = cfenv.getAppEnv({vcap: {services: require('./vcap_services.json')}});
-  }
-  catch(ex) {
-    appEnv = cfenv.getAppEnv();
-  }
+    var taskIds = replicators.map(function(r) {
+      return r.getTaskId();
+    });
 
-  var app = express();
-  app.use(bodyParser.urlencoded({extended: false}));
-
-  console.log('Console security is set to: "' + security.strategyName + '"');
-  passport.use(security.strategy);
-
-  if(! process.env.HIDE_CONSOLE) {
-    // replication status endpoint
-    app.get('/status', 
-            passport.authenticate(security.strategyName, {session:false}),
-            function(req,res) {
-              r.getDetailedStatus(function(err, status) {
-                console.log('Service status:' + JSON.stringify(status, null, 1));      
-                res.status(200).json(status);    
-              });
-            });   
-  }
+    if(_.uniq(taskIds).length !== taskIds.length) {
+      console.error('Error. Multiple replication tasks are defined for the same source and target database.');
+      console.error('The service is stopping.');
+      process.exit(1);
+    }
+
+    /*
+     * Returns the replicator for the task identified by taskId, or null if no such task exists
+     */
+    var getReplicator = function(taskId) {
+      return _.find(replicators, function(r) {
+        return (r.getTaskId() === taskId);
+      }) || null;
+    };
+
+    /*
+     * Returns the replicator that owns the dead letter record identified by id, or null if no such task exists
+     */
+    var getDeadLetterOwner = function(id) {
+      return _.find(replicators, function(r) {
+        return r.ownsDeadLetter(id);
+      }) || null;
+    };
 
-  // start server on the specified port and binding host
-  app.listen(appEnv.port, '0.0.0.0', function() {
-      console.log('Server starting on ' + appEnv.url);
-      if(! process.env.HIDE_CONSOLE) {
-        console.log('Status information is made available at ' + appEnv.url + '/status');
-        console.log('To disable status output, set environment variable HIDE_CONSOLE to true and restart the application.');
+    /*
+     * Combines the summaries returned by the replicators
+     */
+    var sumUp = function(summaries) {
+      return summaries.reduce(function(totals, summary) {
+        return _.mergeWith(totals, summary, function(total, value) {
+          return (total || 0) + value;
+        });
+      }, {});
+    };
+
+    async.eachSeries(replicators,
+                     function(r, callback) {
+                       r.init(function(err) {
+                         if(err) {
+                           return callback('Replication task ' + r.getTaskId() + ': ' + err);
+                         }
+                         return callback();
+                       });
+                     },
+                     function(err) {
+
+      if(err) {
+        console.error('Error. Service initialization failed: ' + err);
+        console.error('Check the log file for additional information.');
+        console.error('The service is stopping.');
+        process.exit(1);
       }
-  });
 
+      var appEnv = null;
+
+      try {
+        appEnv = cfenv.getAppEnv({vcap: {services: require('./vcap_services.json')}});
+      }
+      catch(ex) {
+        appEnv = cfenv.getAppEnv();
+      }
+
+      var app = express();
+      app.use(bodyParser.urlencoded({extended: false}));
+
+      console.log('Console security is set to: "' + security.strategyName + '"');
+      passport.use(security.strategy);
+
+      if(! settings.hide_console) {
+        // replication status endpoint (all tasks)
+        app.get('/status', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  async.mapSeries(replicators,
+                                  function(r, callback) {
+                                    r.getDetailedStatus(callback);
+                                  },
+                                  function(err, statuses) {
+                                    var status = {
+                                                   status_date: Date(),
+                                                   configuration: config.getConfigurationWithoutPasswords(settings),
+                                                   tasks: statuses
+                                                 };
+                                    console.log('Service status:' + JSON.stringify(status, null, 1));      
+                                    res.status(200).json(status);    
+                                  });
+                });   
+
+        // replication status endpoint (one task)
+        app.get('/status/:taskId', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  var r = getReplicator(req.params.taskId);
+                  if(! r) {
+                    return res.status(404).json({error: 'Replication task "' + req.params.taskId + '" was not found.'});
+                  }
+                  r.getDetailedStatus(function(err, status) {
+                    console.log('Service status:' + JSON.stringify(status, null, 1));      
+                    res.status(200).json(status);    
+                  });
+                });   
+
+        // metrics endpoint (Prometheus text exposition format)
+        app.get('/metrics', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  metrics.getMetrics(function(err, text) {
+                    res.set('Content-Type', 'text/plain; version=0.0.4');
+                    res.status(200).send(text);    
+                  });
+                });   
+
+        // runtime control endpoints: pause, resume, stop or restart all tasks (/<action>) or a single task (/<action>/<task_id>)
+        const control_actions = {
+          pause: function(r, req, callback) {
+            r.pauseReplication(callback);
+          },
+          resume: function(r, req, callback) {
+            r.resumeReplication(callback);
+          },
+          stop: function(r, req, callback) {
+            r.stopReplication(callback);
+          },
+          restart: function(r, req, callback) {
+            // restart from the last checkpoint (default) or process all changes in the source database
+            if([undefined, 'checkpoint', 'scratch'].indexOf(req.query.from) === -1) {
+              return callback('Restart option "' + req.query.from + '" is not supported. Valid values are "checkpoint" and "scratch".');
+            }
+            r.restartReplication(req.query.from === 'scratch', callback);
+          }
+        };
+
+        _.forEach(control_actions, function(action, name) {
+          app.post('/' + name, 
+                   passport.authenticate(security.strategyName, {session:false}),
+                   function(req,res) {
+                     async.mapSeries(replicators,
+                                     function(r, callback) {
+                                       action(r, req, function(err) {
+                                         var result = {
+                                                        task_id: r.getTaskId(),
+                                                        state: r.getState()
+                                                      };
+                                         if(err) {
+                                           result.error = err;
+                                         }
+                                         return callback(null, result);
+                                       });
+                                     },
+                                     function(err, results) {
+                                       console.log('Control action "' + name + '" results: ' + JSON.stringify(results));      
+                                       res.status(200).json(results);    
+                                     });
+                   });   
+
+          app.post('/' + name + '/:taskId', 
+                   passport.authenticate(security.strategyName, {session:false}),
+                   function(req,res) {
+                     var r = getReplicator(req.params.taskId);
+                     if(! r) {
+                       return res.status(404).json({error: 'Replication task "' + req.params.taskId + '" was not found.'});
+                     }
+                     action(r, req, function(err) {
+                       if(err) {
+                         return res.status(409).json({error: err});
+                       }
+                       res.status(200).json({task_id: r.getTaskId(), state: r.getState()});    
+                     });
+                   });   
+        });
+
+        // event endpoints: page through the events of a task (/events is supported if only one task is defined)
+        var sendEvents = function(r, req, res) {
+          events.parseEventQuery(req.query, function(err, query) {
+            if(err) {
+              return res.status(400).json({error: err});
+            }
+            r.getEvents(query, function(err, page) {
+              if(err) {
+                return res.status(500).json({error: err});
+              }
+              res.status(200).json({
+                                     task_id: r.getTaskId(),
+                                     events: page.events,
+                                     bookmark: page.bookmark
+                                   });    
+            });
+          });
+        };
+
+        app.get('/events', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  if(replicators.length > 1) {
+                    return res.status(400).json({error: 'Multiple replication tasks are defined. Use /events/<task_id> to retrieve the events of a task.'});
+                  }
+                  sendEvents(replicators[0], req, res);
+                });   
+
+        app.get('/events/:taskId', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  var r = getReplicator(req.params.taskId);
+                  if(! r) {
+                    return res.status(404).json({error: 'Replication task "' + req.params.taskId + '" was not found.'});
+                  }
+                  sendEvents(r, req, res);
+                });   
+
+        // dry run report endpoints
+        app.get('/dryrun', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  async.mapSeries(replicators.filter(function(r) {
+                                    return r.isDryRun();
+                                  }),
+                                  function(r, callback) {
+                                    r.getDryRunReport(callback);
+                                  },
+                                  function(err, reports) {
+                                    if(err) {
+                                      return res.status(500).json({error: err});
+                                    }
+                                    res.status(200).json(reports);    
+                                  });
+                });   
+
+        app.get('/dryrun/:taskId', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  var r = getReplicator(req.params.taskId);
+                  if((! r) || (! r.isDryRun())) {
+                    return res.status(404).json({error: 'Replication task "' + req.params.taskId + '" was not found or does not run in dry-run mode.'});
+                  }
+                  r.getDryRunReport(function(err, report) {
+                    if(err) {
+                      return res.status(500).json({error: err});
+                    }
+                    res.status(200).json(report);    
+                  });
+                });   
+
+        // dead letter store endpoints: list, retry or discard documents that could not be transformed or written
+        app.get('/deadletters', 
+                passport.authenticate(security.strategyName, {session:false}),
+                function(req,res) {
+                  var selected = replicators;
+                  if(req.query.task_id) {
+                    selected = _.compact([getReplicator(req.query.task_id)]);
+                  }
+                  async.mapSeries(selected,
+                                  function(r, callback) {
+                                    r.getDeadLetters(callback);
+                                  },
+                                  function(err, records) {
+                                    if(err) {
+                                      return res.status(500).json({error: err});
+                                    }
+                                    res.status(200).json(_.flatten(records));    
+                                  });
+                });   
+
+        app.post('/deadletters/retry', 
+                 passport.authenticate(security.strategyName, {session:false}),
+                 function(req,res) {
+                   async.mapSeries(replicators,
+                                   function(r, callback) {
+                                     r.retryDeadLetters(null, callback);
+                                   },
+                                   function(err, summaries) {
+                                     if(err) {
+                                       return res.status(500).json({error: err});
+                                     }
+                                     var summary = sumUp(summaries);
+                                     console.log('Dead letter retry summary: ' + JSON.stringify(summary));      
+                                     res.status(200).json(summary);    
+                                   });
+                 });   
+
+        app.post('/deadletters/:id/retry', 
+                 passport.authenticate(security.strategyName, {session:false}),
+                 function(req,res) {
+                   var r = getDeadLetterOwner(req.params.id);
+                   if(! r) {
+                     return res.status(404).json({error: 'Dead letter record "' + req.params.id + '" was not found.'});
+                   }
+                   r.retryDeadLetters([req.params.id], function(err, summary) {
+                     if(err) {
+                       return res.status(500).json({error: err});
+                     }
+                     if(summary.retried === 0) {
+                       return res.status(404).json({error: 'Dead letter record "' + req.params.id + '" was not found.'});
+                     }
+                     console.log('Dead letter retry summary: ' + JSON.stringify(summary));      
+                     res.status(200).json(summary);    
+                   });
+                 });   
+
+        app.delete('/deadletters', 
+                   passport.authenticate(security.strategyName, {session:false}),
+                   function(req,res) {
+                     async.mapSeries(replicators,
+                                     function(r, callback) {
+                                       r.discardDeadLetters(null, callback);
+                                     },
+                                     function(err, summaries) {
+                                       if(err) {
+                                         return res.status(500).json({error: err});
+                                       }
+                                       res.status(200).json(sumUp(summaries));    
+                                     });
+                   });   
+
+        app.delete('/deadletters/:id', 
+                   passport.authenticate(security.strategyName, {session:false}),
+                   function(req,res) {
+                     var r = getDeadLetterOwner(req.params.id);
+                     if(! r) {
+                       return res.status(404).json({error: 'Dead letter record "' + req.params.id + '" was not found.'});
+                     }
+                     r.discardDeadLetters([req.params.id], function(err, summary) {
+                       if(err) {
+                         return res.status(500).json({error: err});
+                       }
+                       if(summary.discarded === 0) {
+                         return res.status(404).json({error: 'Dead letter record "' + req.params.id + '" was not found.'});
+                       }
+                       res.status(200).json(summary);    
+                     });
+                   });   
+      }
+
+      // start server on the specified port and binding host
+      app.listen(appEnv.port, '0.0.0.0', function() {
+          console.log('Server starting on ' + appEnv.url);
+          if(! settings.hide_console) {
+            console.log('Status information is made available at ' + appEnv.url + '/status');
+            console.log('To disable status output, set environment variable HIDE_CONSOLE to true and restart the application.');
+          }
+      });
+
+      var shutting_down = false;
+
+      // stops the replication tasks and closes their repositories
+      var shutdownReplicators = function(callback) {
+        shutting_down = true;
+        async.each(replicators,
+                   function(r, done) {
+                     r.shutdown(done);
+                   },
+                   callback);
+      };
+
+      // Cloud Foundry sends SIGTERM when an application is stopped or restaged and terminates the process
+      // if it does not exit within 10 seconds. Pending changes are written before the process exits.
+      var shutdown = function(signal) {
+        if(shutting_down) {
+          return;
+        }
+        console.log('Received ' + signal + '. The service is stopping. Pending changes are written within ' + settings.shutdown_timeout + ' ms.');
+        setTimeout(function() {
+          console.error('Error. Shutdown did not complete within ' + settings.shutdown_timeout + ' ms. Pending changes are written again when the service is restarted.');
+          process.exit(1);
+        }, settings.shutdown_timeout);
+        shutdownReplicators(function() {
+          console.log('The service was stopped.');
+          process.exit(0);
+        });
+      };
+
+      process.on('SIGTERM', shutdown.bind(null, 'SIGTERM'));
+      process.on('SIGINT', shutdown.bind(null, 'SIGINT'));
+
+      // in backfill mode the service stops once all tasks have caught up with their source database
+      if(_.every(replicators, function(r) {
+                                return r.isBackfill();
+                              })) {
+        async.mapSeries(replicators,
+                        function(r, callback) {
+                          r.whenBackfillComplete(function(err, summary) {
+                            return callback(null, summary);
+                          });
+                        },
+                        function(err, summaries) {
+                          if(shutting_down) {
+                            // the tasks were stopped by a signal
+                            return;
+                          }
+                          var incomplete = summaries.filter(function(summary) {
+                            return ((summary.error) || (summary.failed > 0) || (summary.invalid > 0));
+                          });
+                          // pending events are saved and the repositories are closed before the service exits
+                          shutdownReplicators(function() {
+                            if(incomplete.length > 0) {
+                              console.error('Backfill completed with errors. ' + incomplete.length + ' of ' + summaries.length + ' replication task(s) did not process all documents.');
+                              process.exit(1);
+                            }
+                            console.log('Backfill completed. All documents were processed.');
+                            process.exit(0);
+                          });
+                        });
+      }
+
+    });
+  });
 });
 
 // send sample application deployment tracking request to https://github.com/IBM-Bluemix/cf-deployment-tracker-service
@@ -0,0 +1,177 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':backfill');
+const events = require('events');
+const util = require('util');
+
+const mutil = require('./util.js');
+
+// maximum number of attempts to fetch a page of changes
+const max_attempts = 5;
+// delay in ms before the first retry; doubled after each retry
+const initial_retry_delay = 1000;
+
+/*
+ * Change feed that reads the changes of the source database page by page and stops once it has caught up
+ * with a given update sequence. It provides the subset of the cloudant-follow feed interface that the
+ * replicator uses (follow, pause, resume, stop) and emits the following events:
+ * 'change', {Object} change - a change, as returned by the _changes API
+ * 'retry', {Object} info - a request failed and is retried
+ * 'error', {String} error - a request failed and the maximum number of attempts was reached; the feed stops
+ * 'catchup', {String} seq - all changes up to the update sequence were read; the feed stops
+ * 'stop' - the feed stopped
+ *
+ * @param {Object} database - the source database (nano)
+ * @param {Object} options - change feed options
+ * @param {String} options.since - the update sequence after which changes are read
+ * @param {Boolean} options.include_docs
+ * @param {String} options.filter - optional; the server-side filter
+ * @param {Object} options.request - optional; {method, body} of the request (see Filter.getChangeFeedOptions)
+ * @param {String} untilSeq - the update sequence at which the feed stops
+ * @param {Number} pageSize - the number of changes that are requested at once
+ */
+function BackfillFeed(database, options, untilSeq, pageSize) {
+
+	events.EventEmitter.call(this);
+
+	this.database = database;
+	this.options = options;
+	this.since = options.since || 0;
+	this.untilSeq = untilSeq;
+	this.pageSize = pageSize;
+	this.paused = false;
+	this.stopped = false;
+	// true while a page is requested
+	this.fetching = false;
+}
+
+// inherit event emitting capabilities
+util.inherits(BackfillFeed, events.EventEmitter);
+
+/*
+ * Starts reading changes.
+ */
+BackfillFeed.prototype.follow = function() {
+	debug('Reading changes after update sequence ' + this.since + ' up to update sequence ' + this.untilSeq + '.');
+	this.fetch(1);
+};
+
+/*
+ * No further pages are requested until the feed is resumed.
+ */
+BackfillFeed.prototype.pause = function() {
+	this.paused = true;
+};
+
+/*
+ * Requests the next page, if the feed was paused.
+ */
+BackfillFeed.prototype.resume = function() {
+	if((! this.paused) || (this.stopped)) {
+		return;
+	}
+	this.paused = false;
+	if(! this.fetching) {
+		this.fetch(1);
+	}
+};
+
+/*
+ * Stops the feed. Changes of a page that is currently requested are not emitted.
+ */
+BackfillFeed.prototype.stop = function() {
+	if(this.stopped) {
+		return;
+	}
+	this.stopped = true;
+	this.emit('stop');
+};
+
+/*
+ * Requests the next page of changes and emits them.
+ * @param {Number} attempt - the number of this attempt
+ */
+BackfillFeed.prototype.fetch = function(attempt) {
+
+	if((this.paused) || (this.stopped)) {
+		return;
+	}
+
+	var qs = {
+				since: this.since,
+				limit: this.pageSize,
+				include_docs: this.options.include_docs || false
+			 };
+
+	if(this.options.filter) {
+		qs.filter = this.options.filter;
+	}
+
+	const request = this.options.request || {};
+
+	this.fetching = true;
+
+	this.database.server.request({
+									db: this.database.config.db,
+									path: '_changes',
+									method: request.method || 'GET',
+									qs: qs,
+									body: request.body ? JSON.parse(request.body) : undefined
+								 },
+								 function(err, body) {
+
+		this.fetching = false;
+
+		if(this.stopped) {
+			return;
+		}
+
+		if(err) {
+			if(attempt < max_attempts) {
+				this.emit('retry', {since: this.since, attempt: attempt, error: String(err)});
+				return setTimeout(this.fetch.bind(this, attempt + 1), initial_retry_delay * Math.pow(2, attempt - 1));
+			}
+			this.emit('error', 'Changes after update sequence ' + this.since + ' could not be read: ' + err);
+			return this.stop();
+		}
+
+		debug('Received ' + body.results.length + ' change(s) after update sequence ' + this.since + '.');
+
+		body.results.forEach(function(change) {
+			this.emit('change', change);
+		}, this);
+
+		this.since = body.last_seq;
+
+		// a partial page signals the end of the change feed; with a server-side filter the last sequence
+		// reflects the progress even if no changes were returned
+		if((body.results.length < this.pageSize) ||
+		   (mutil.getSequenceNumber(this.since) >= mutil.getSequenceNumber(this.untilSeq))) {
+			debug('Caught up with update sequence ' + this.untilSeq + ' at update sequence ' + this.since + '.');
+			this.emit('catchup', this.since);
+			return this.stop();
+		}
+
+		this.fetch(1);
+
+	}.bind(this));
+};
+
+module.exports.BackfillFeed = BackfillFeed;
@@ -0,0 +1,108 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':batch');
+
+/*
+ * A batch is a list of changes, in the order of their update seqs: [{seq, doc, last, deletion}]. A source change
+ * that was transformed into multiple documents contributes one change per document; last is only set for the
+ * change of the last document. A source change that did not produce a document (for example because the
+ * transformation routine dropped it) contributes one change without a document (doc is null), which is not
+ * written but advances the checkpoint.
+ */
+
+/*
+ * Returns the documents that a transformation routine produced as an array.
+ * @param {Object|Array} transformedDoc - a document, an array of documents or null/undefined if the document was dropped
+ * @returns {Array} - the documents; empty if the document was dropped
+ */
+var toDocumentList = function(transformedDoc) {
+	return (Array.isArray(transformedDoc) ? transformedDoc : [transformedDoc]).filter(function(doc) {
+		return ((doc !== null) && (doc !== undefined));
+	});
+};
+
+/*
+ * Returns the batch changes for the documents that were derived from a source change.
+ * @param {Object} change - the source change; {seq}
+ * @param {Array} docs - the documents; empty if the change did not produce a document
+ * @param {Boolean} deletion - true if the documents delete the target documents
+ * @returns {Array} - [{seq, doc, last, deletion}]
+ */
+var getChanges = function(change, docs, deletion) {
+
+	if(docs.length === 0) {
+		return [{seq: change.seq, doc: null, last: true, deletion: false}];
+	}
+
+	return docs.map(function(doc, index) {
+		return {
+					seq: change.seq,
+					doc: doc,
+					last: (index === docs.length - 1),
+					deletion: deletion
+			   };
+	});
+};
+
+/*
+ * Removes changes from a batch that are superseded by a later change to the same document in the batch.
+ * A superseded change is processed once the later change was written: the checkpoint of the batch is
+ * determined from all of its changes, including the superseded ones (see getCheckpoint).
+ * @param {Array} changes - the changes that write documents; [{seq, doc, last, deletion}]
+ * @returns {Array} - the changes that need to be written
+ */
+var removeSupersededChanges = function(changes) {
+
+	var latest = {};
+	changes.forEach(function(change, index) {
+		if(change.doc._id) {
+			latest[change.doc._id] = index;
+		}
+	});
+
+	return changes.filter(function(change, index) {
+		if((change.doc._id) && (latest[change.doc._id] !== index)) {
+			debug('Change ' + change.seq + ' for document ' + change.doc._id + ' is superseded by a later change in the batch.');
+			return false;
+		}
+		return true;
+	});
+};
+
+/*
+ * Returns the update seq up to which the source changes were processed once all changes in the batch were
+ * written. A source change is only processed after the last document that was derived from it was written,
+ * which might be in a later batch.
+ * @param {Array} changes - the batch content; [{seq, doc, last, deletion}]
+ * @returns {String} - the seq of the last change whose last document is in the batch; null if there is none
+ */
+var getCheckpoint = function(changes) {
+	for(var index = changes.length - 1; index >= 0; index--) {
+		if(changes[index].last) {
+			return changes[index].seq;
+		}
+	}
+	return null;
+};
+
+module.exports.toDocumentList = toDocumentList;
+module.exports.getChanges = getChanges;
+module.exports.removeSupersededChanges = removeSupersededChanges;
+module.exports.getCheckpoint = getCheckpoint;
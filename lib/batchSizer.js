@@ -0,0 +1,138 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':batch');
+
+// smallest byte limit that is assigned to a batch
+const min_batch_bytes = 1024;
+
+// factor by which the limits are raised after a fast write request
+const growth_factor = 1.25;
+
+/*
+ * Constructor. Determines how many documents are written to the target database in one request. A batch is limited
+ * by the number of documents and by their serialized size. Both limits start at the configured maximum, are lowered
+ * if bulk write requests are slow, throttled (429) or rejected as too large (413) and are raised again after fast requests.
+ * @param {Number} maxDocs - maximum number of documents in a batch
+ * @param {Number} maxBytes - maximum serialized size of the documents in a batch, in bytes
+ * @param {Number} targetLatency - bulk write requests that take longer (in ms) lower the limits
+ */
+function BatchSizer(maxDocs, maxBytes, targetLatency) {
+	this.maxDocs = maxDocs;
+	this.maxBytes = maxBytes;
+	this.targetLatency = targetLatency;
+	// current limits
+	this.docLimit = maxDocs;
+	this.byteLimit = maxBytes;
+} // constructor
+
+/*
+ * Returns the current limits.
+ * @returns {Object} limits - {docs, bytes}
+ */
+BatchSizer.prototype.getLimits = function() {
+	return {
+			docs: this.docLimit,
+			bytes: this.byteLimit
+		   };
+};
+
+/*
+ * Returns true if a batch that contains the specified number of documents has reached one of the limits.
+ * @param {Number} docs - number of documents
+ * @param {Number} bytes - serialized size of the documents
+ * @returns {Boolean}
+ */
+BatchSizer.prototype.isFull = function(docs, bytes) {
+	return ((docs >= this.docLimit) || (bytes >= this.byteLimit));
+};
+
+/*
+ * Returns how many of the leading documents fit into the next batch. A batch contains at least one document,
+ * even if that document exceeds the byte limit.
+ * @param {Array} sizes - serialized size of each buffered document, in the order in which they are written
+ * @returns {Number} count
+ */
+BatchSizer.prototype.getBatchLength = function(sizes) {
+	var count = 0;
+	var bytes = 0;
+	while((count < sizes.length) && (count < this.docLimit) && ((count === 0) || (bytes + sizes[count] <= this.byteLimit))) {
+		bytes = bytes + sizes[count];
+		count++;
+	}
+	return count;
+};
+
+/*
+ * Adapts the limits to the duration of a successful bulk write request.
+ * @param {Number} latency - duration of the request in ms
+ * @param {Number} docs - number of documents that were written
+ * @param {Number} bytes - serialized size of the documents that were written
+ */
+BatchSizer.prototype.recordLatency = function(latency, docs, bytes) {
+
+	if(latency > this.targetLatency) {
+		// shrink in proportion to the excess latency, but not below half of the batch
+		const factor = Math.max(0.5, this.targetLatency / latency);
+		this.setLimits(Math.floor(Math.min(docs, this.docLimit) * factor),
+					   Math.floor(Math.min(bytes, this.byteLimit) * factor));
+	}
+	else if((latency < this.targetLatency / 2) && ((docs >= this.docLimit) || (bytes >= this.byteLimit / 2))) {
+		// the batch was limited by the current limits and written quickly
+		this.setLimits(Math.max(this.docLimit + 1, Math.ceil(this.docLimit * growth_factor)),
+					   Math.ceil(this.byteLimit * growth_factor));
+	}
+};
+
+/*
+ * Lowers the limits after a bulk write request was throttled by the target server (HTTP status code 429).
+ */
+BatchSizer.prototype.recordThrottled = function() {
+	this.setLimits(Math.floor(this.docLimit / 2), this.byteLimit);
+};
+
+/*
+ * Lowers the limits after a bulk write request was rejected because it was too large (HTTP status code 413).
+ * The limits are capped at half the size of the rejected request; a request that was assembled before the
+ * limits were lowered does not lower them any further.
+ * @param {Number} docs - number of documents in the rejected request
+ * @param {Number} bytes - serialized size of the documents in the rejected request; 0 if unknown
+ */
+BatchSizer.prototype.recordTooLarge = function(docs, bytes) {
+	this.setLimits(Math.min(this.docLimit, Math.floor(docs / 2)),
+				   Math.min(this.byteLimit, Math.floor((bytes || this.byteLimit) / 2)));
+};
+
+/*
+ * Assigns new limits, bounded by the configured maximums.
+ * @param {Number} docs - document limit
+ * @param {Number} bytes - byte limit
+ */
+BatchSizer.prototype.setLimits = function(docs, bytes) {
+	const docLimit = Math.min(this.maxDocs, Math.max(1, docs));
+	const byteLimit = Math.min(this.maxBytes, Math.max(Math.min(min_batch_bytes, this.maxBytes), bytes));
+	if((docLimit !== this.docLimit) || (byteLimit !== this.byteLimit)) {
+		debug('Batch limits changed from ' + this.docLimit + ' documents/' + this.byteLimit + ' bytes to ' +
+			  docLimit + ' documents/' + byteLimit + ' bytes.');
+	}
+	this.docLimit = docLimit;
+	this.byteLimit = byteLimit;
+};
+
+module.exports.BatchSizer = BatchSizer;
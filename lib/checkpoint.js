@@ -0,0 +1,153 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':checkpoint');
+
+/*
+ * Constructor. Tracks batches that are written in parallel and determines the checkpoint: the last
+ * update seq of the longest sequence of completed batches, in the order in which the batches were started.
+ * Batches that complete out of order don't advance the checkpoint until all preceding batches have completed.
+ */
+function CheckpointTracker() {
+	// ticket of the next batch that is started
+	this.nextTicket = 0;
+	// ticket of the oldest batch that has not completed
+	this.firstPendingTicket = 0;
+	// completed batches that are preceded by a pending batch; ticket -> last update seq of the batch (or null)
+	this.completed = {};
+	// batches that have not completed; ticket -> ids of the documents in the batch
+	this.running = {};
+	// batches that wait for a preceding batch to complete; ticket -> callbacks
+	this.waiting = {};
+} // constructor
+
+/*
+ * Registers a batch. Batches must be started in the order of their update seqs.
+ * @param {Array} documentIds - optional; ids of the documents that are written by the batch
+ * @returns {Number} ticket - identifies the batch
+ */
+CheckpointTracker.prototype.start = function(documentIds) {
+	const ticket = this.nextTicket++;
+	this.running[ticket] = documentIds || [];
+	return ticket;
+};
+
+/*
+ * Returns true if a batch that was started before the identified batch has not completed and writes
+ * one of the same documents. The batch must not be written until the preceding batch has completed,
+ * to prevent a document from being overwritten with an older version.
+ * @param {Number} ticket - identifies the batch, as returned by start
+ * @returns {Boolean}
+ */
+CheckpointTracker.prototype.isBlocked = function(ticket) {
+
+	const documentIds = this.running[ticket] || [];
+
+	return Object.keys(this.running).some(function(other) {
+		return ((Number(other) < ticket) && 
+				(this.running[other].some(function(id) {
+					return (documentIds.indexOf(id) !== -1);
+				})));
+	}, this);
+};
+
+/*
+ * Invokes the callback once the identified batch is no longer blocked (see isBlocked). The callback is invoked
+ * immediately if the batch is not blocked.
+ * @param {Number} ticket - identifies the batch, as returned by start
+ * @param {Callback} callback - invoked with ()
+ */
+CheckpointTracker.prototype.whenUnblocked = function(ticket, callback) {
+
+	if(! this.isBlocked(ticket)) {
+		return callback();
+	}
+
+	this.waiting[ticket] = (this.waiting[ticket] || []).concat(callback);
+};
+
+/*
+ * Releases the batches that were waiting for a batch that completed or was abandoned.
+ */
+CheckpointTracker.prototype.releaseWaiting = function() {
+
+	Object.keys(this.waiting).forEach(function(ticket) {
+		if(this.isBlocked(Number(ticket))) {
+			return;
+		}
+		const callbacks = this.waiting[ticket];
+		delete this.waiting[ticket];
+		callbacks.forEach(function(callback) {
+			setImmediate(callback);
+		});
+	}, this);
+};
+
+/*
+ * Records that a batch has completed.
+ * @param {Number} ticket - identifies the batch, as returned by start
+ * @param {String} seq - the update seq up to which the batch has been processed; null if the batch does not
+ *                       advance the checkpoint
+ * @returns {String} checkpoint - the new checkpoint; null if the checkpoint did not advance
+ */
+CheckpointTracker.prototype.complete = function(ticket, seq) {
+
+	delete this.running[ticket];
+	this.completed[ticket] = seq || null;
+
+	var checkpoint = null;
+
+	while(this.completed.hasOwnProperty(this.firstPendingTicket)) {
+		if(this.completed[this.firstPendingTicket]) {
+			checkpoint = this.completed[this.firstPendingTicket];
+		}
+		delete this.completed[this.firstPendingTicket];
+		this.firstPendingTicket++;
+	}
+
+	debug('Batch ' + ticket + ' completed. Pending batches: ' + this.getPendingCount() + ' Checkpoint: ' + checkpoint);
+
+	this.releaseWaiting();
+
+	return checkpoint;
+};
+
+/*
+ * Records that a batch could not be completed. The checkpoint no longer advances past the batch.
+ * Batches that were waiting for the batch are released.
+ * @param {Number} ticket - identifies the batch, as returned by start
+ */
+CheckpointTracker.prototype.abandon = function(ticket) {
+
+	delete this.running[ticket];
+
+	debug('Batch ' + ticket + ' was abandoned. The checkpoint does not advance past it.');
+
+	this.releaseWaiting();
+};
+
+/*
+ * Returns the number of batches that were started but have not completed or are preceded by a batch that has not completed.
+ * @returns {Number}
+ */
+CheckpointTracker.prototype.getPendingCount = function() {
+	return this.nextTicket - this.firstPendingTicket;
+};
+
+module.exports.CheckpointTracker = CheckpointTracker;
@@ -0,0 +1,373 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':config');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const mutil = require('./util.js');
+
+// settings that can be defined for each replication task
+const task_settings_schema = {
+								source: {type: 'string', minLength: 1},
+								target: {type: 'string', minLength: 1},
+								restart: {type: 'boolean'},
+								transform_function: {
+														anyOf: [
+																	{type: 'string'},
+																	{type: 'array', items: {type: 'string', minLength: 1}}
+															   ]
+													},
+								update_mode: {enum: ['insert', 'upsert']},
+								delete_policy: {enum: ['delete', 'soft_delete', 'ignore']},
+								soft_delete_field: {type: 'string', minLength: 1},
+								write_retry_max_attempts: {type: 'integer', minimum: 1},
+								write_retry_initial_delay: {type: 'integer', minimum: 0},
+								server_filter: {type: 'string', pattern: '^[^/]+/[^/]+$'},
+								server_filter_selector: {type: 'object', minProperties: 1},
+								server_filter_doc_ids: {type: 'array', minItems: 1, items: {type: 'string', minLength: 1}},
+								client_filter: {type: 'string', minLength: 1},
+								validation_schema: {type: 'string', minLength: 1},
+								changes_per_batch: {type: 'integer', minimum: 1},
+								max_batch_bytes: {type: 'integer', minimum: 1024},
+								target_batch_latency: {type: 'integer', minimum: 100},
+								writer_concurrency: {type: 'integer', minimum: 1},
+								max_queued_batches: {type: 'integer', minimum: 1},
+								max_buffered_bytes: {type: 'integer', minimum: 1048576},
+								max_heap_usage: {type: 'number', exclusiveMinimum: 0, maximum: 1},
+								queue_check_interval: {type: 'integer', minimum: 100},
+								repository_type: {enum: ['cloudant', 'file', 'redis']},
+								repository_directory: {type: 'string', minLength: 1},
+								repository_url: {type: 'string', minLength: 1},
+								repository_database: {type: 'string', pattern: '^[a-z][a-z0-9_$()+/-]*$'},
+								event_max_age: {type: 'integer', minimum: 1},
+								event_max_count: {type: 'integer', minimum: 1},
+								event_rollup: {type: 'boolean'},
+								event_pruning_interval: {type: 'integer', minimum: 60000},
+								sandbox: {enum: ['none', 'process']},
+								sandbox_timeout: {type: 'integer', minimum: 1},
+								sandbox_memory_limit: {type: 'integer', minimum: 16},
+								sandbox_violation_policy: {enum: ['skip', 'halt']},
+								dry_run: {type: 'boolean'},
+								dry_run_sample_size: {type: 'integer', minimum: 1},
+								dry_run_directory: {type: 'string', minLength: 1},
+								backfill: {type: 'boolean'},
+								sink: {enum: ['couchdb', 'ndjson']},
+								sink_directory: {type: 'string', minLength: 1},
+								sink_max_file_bytes: {type: 'integer', minimum: 1024},
+								sink_max_file_age: {type: 'integer', minimum: 1000}
+							 };
+
+// configuration file schema; task settings defined at the top level apply to all tasks
+const config_schema = {
+						type: 'object',
+						properties: _.assign({
+												hide_console: {type: 'boolean'},
+												shutdown_timeout: {type: 'integer', minimum: 1000},
+												console_user: {type: 'string'},
+												console_password: {type: 'string'},
+												tasks: {
+															type: 'array',
+															minItems: 1,
+															items: {
+																		type: 'object',
+																		properties: task_settings_schema,
+																		required: ['source'],
+																		additionalProperties: false
+																   }
+													   }
+											 },
+											 task_settings_schema),
+						additionalProperties: false
+					  };
+
+// environment variables that override configuration file settings
+const env_settings = {
+						SOURCE_COUCH_DB_URL: 'source',
+						TARGET_COUCH_DB_URL: 'target',
+						RESTART: 'restart',
+						TRANSFORM_FUNCTION: 'transform_function',
+						UPDATE_MODE: 'update_mode',
+						DELETE_POLICY: 'delete_policy',
+						SOFT_DELETE_FIELD: 'soft_delete_field',
+						WRITE_RETRY_MAX_ATTEMPTS: 'write_retry_max_attempts',
+						WRITE_RETRY_INITIAL_DELAY: 'write_retry_initial_delay',
+						SERVER_FILTER: 'server_filter',
+						SERVER_FILTER_SELECTOR: 'server_filter_selector',
+						SERVER_FILTER_DOC_IDS: 'server_filter_doc_ids',
+						CLIENT_FILTER: 'client_filter',
+						VALIDATION_SCHEMA: 'validation_schema',
+						CHANGES_PER_BATCH: 'changes_per_batch',
+						MAX_BATCH_BYTES: 'max_batch_bytes',
+						TARGET_BATCH_LATENCY: 'target_batch_latency',
+						WRITER_CONCURRENCY: 'writer_concurrency',
+						MAX_QUEUED_BATCHES: 'max_queued_batches',
+						MAX_BUFFERED_BYTES: 'max_buffered_bytes',
+						MAX_HEAP_USAGE: 'max_heap_usage',
+						QUEUE_CHECK_INTERVAL: 'queue_check_interval',
+						REPOSITORY_TYPE: 'repository_type',
+						REPOSITORY_DIRECTORY: 'repository_directory',
+						REPOSITORY_URL: 'repository_url',
+						REPOSITORY_DATABASE: 'repository_database',
+						EVENT_MAX_AGE: 'event_max_age',
+						EVENT_MAX_COUNT: 'event_max_count',
+						EVENT_ROLLUP: 'event_rollup',
+						EVENT_PRUNING_INTERVAL: 'event_pruning_interval',
+						SANDBOX: 'sandbox',
+						SANDBOX_TIMEOUT: 'sandbox_timeout',
+						SANDBOX_MEMORY_LIMIT: 'sandbox_memory_limit',
+						SANDBOX_VIOLATION_POLICY: 'sandbox_violation_policy',
+						DRY_RUN: 'dry_run',
+						DRY_RUN_SAMPLE_SIZE: 'dry_run_sample_size',
+						DRY_RUN_DIRECTORY: 'dry_run_directory',
+						BACKFILL: 'backfill',
+						SINK: 'sink',
+						SINK_DIRECTORY: 'sink_directory',
+						SINK_MAX_FILE_BYTES: 'sink_max_file_bytes',
+						SINK_MAX_FILE_AGE: 'sink_max_file_age',
+						SHUTDOWN_TIMEOUT: 'shutdown_timeout',
+						HIDE_CONSOLE: 'hide_console',
+						CONSOLE_USER: 'console_user',
+						CONSOLE_PASSWORD: 'console_password'
+					 };
+
+/*
+ * Loads a JSON or YAML file. The format is determined by the file extension (.yml or .yaml for YAML).
+ * @param {String} fileName - path to the file, relative to the current working directory
+ * @param {callback} callback - invoked with (err, content)
+ */
+var loadFile = function(fileName, callback) {
+
+	var content = null;
+
+	try {
+		const text = fs.readFileSync(path.resolve(process.cwd(), fileName), 'utf8');
+		if(['.yml', '.yaml'].indexOf(path.extname(fileName).toLowerCase()) !== -1) {
+			content = yaml.load(text, {filename: fileName});
+		}
+		else {
+			content = JSON.parse(text);
+		}
+	}
+	catch(err) {
+		return callback('File "' + fileName + '" could not be loaded: ' + err);
+	}
+
+	return callback(null, content);
+};
+
+/*
+ * Translates a schema validation error into a message that identifies the offending setting.
+ * @param {Object} error - ajv validation error
+ * @returns {String} message
+ */
+var getValidationMessage = function(error) {
+
+	// ajv reports the path as ".tasks[0].update_mode"
+	var setting = error.dataPath.replace(/^\./, '');
+
+	switch(error.keyword) {
+		case 'additionalProperties':
+			setting = (setting ? setting + '.' : '') + error.params.additionalProperty;
+			return 'Configuration setting "' + setting + '" is not supported.';
+		case 'required':
+			setting = (setting ? setting + '.' : '') + error.params.missingProperty;
+			return 'Configuration setting "' + setting + '" is required.';
+		case 'enum':
+			return 'Configuration setting "' + setting + '" is invalid. Valid values are "' + error.params.allowedValues.join('", "') + '".';
+		case 'anyOf':
+			return 'Configuration setting "' + setting + '" is invalid. It must be a string or a list of strings.';
+		default:
+			if(! setting) {
+				return 'The configuration is invalid: it ' + error.message + '.';
+			}
+			return 'Configuration setting "' + setting + '" is invalid: it ' + error.message + '.';
+	}
+};
+
+/*
+ * Returns the service configuration. Settings are loaded from the JSON or YAML file identified by environment variable
+ * CONFIG_FILE (if set) and the file identified by environment variable REPLICATION_TASKS (if set). Environment variables
+ * override the settings in the configuration file. The resulting configuration is validated against the configuration schema.
+ *
+ * @param: {Callback} callback - invoked with (err, config) parameters
+ * @returns: {String} err - if the configuration could not be loaded or is invalid
+ * @returns: {Object} config - the effective configuration
+ * @returns: {String} config.config_file - name of the configuration file, if one was used
+ * @returns: {Boolean} config.hide_console - if true, all service endpoints are disabled
+ * @returns: {String} config.console_user - user id for the service endpoints
+ * @returns: {String} config.console_password - password for the service endpoints
+ * @returns: {Number} config.shutdown_timeout - maximum time in ms the service may take to stop after receiving SIGTERM
+ * @returns: {Array} config.tasks - settings for each replication task
+ */
+var getConfiguration = function(callback) {
+
+	var loadConfigFile = function(done) {
+		if(! process.env.CONFIG_FILE) {
+			return done(null, {});
+		}
+		debug('Loading configuration from file "' + process.env.CONFIG_FILE + '".');
+		loadFile(process.env.CONFIG_FILE, function(err, content) {
+			if(err) {
+				return done(err);
+			}
+			if(! _.isPlainObject(content)) {
+				return done('Configuration file "' + process.env.CONFIG_FILE + '" does not contain a settings object.');
+			}
+			return done(null, content);
+		});
+	};
+
+	loadConfigFile(function(err, config) {
+
+		if(err) {
+			return callback(err);
+		}
+
+		// environment variables take precedence
+		_.forEach(env_settings, function(setting, name) {
+			if(process.env[name] !== undefined) {
+				config[setting] = process.env[name];
+			}
+		});
+
+		// preserve the semantics of the boolean environment variables
+		if(process.env.RESTART !== undefined) {
+			config.restart = mutil.isTrue(process.env.RESTART);
+		}
+		if(process.env.DRY_RUN !== undefined) {
+			config.dry_run = mutil.isTrue(process.env.DRY_RUN);
+		}
+		if(process.env.BACKFILL !== undefined) {
+			config.backfill = mutil.isTrue(process.env.BACKFILL);
+		}
+		if(process.env.HIDE_CONSOLE !== undefined) {
+			config.hide_console = (process.env.HIDE_CONSOLE.length > 0);
+		}
+
+		// the selector is defined as JSON and the document ids as a comma separated list
+		if(process.env.SERVER_FILTER_SELECTOR !== undefined) {
+			try {
+				config.server_filter_selector = JSON.parse(process.env.SERVER_FILTER_SELECTOR);
+			}
+			catch(err) {
+				return callback('Environment variable SERVER_FILTER_SELECTOR does not contain a valid JSON object: ' + err);
+			}
+		}
+		if(process.env.SERVER_FILTER_DOC_IDS !== undefined) {
+			config.server_filter_doc_ids = process.env.SERVER_FILTER_DOC_IDS.split(',').map(function(docId) {
+				return docId.trim();
+			}).filter(function(docId) {
+				return (docId.length > 0);
+			});
+		}
+
+		const loadTaskFile = function(done) {
+			if(! process.env.REPLICATION_TASKS) {
+				return done();
+			}
+			debug('Loading replication task definitions from file "' + process.env.REPLICATION_TASKS + '".');
+			loadFile(process.env.REPLICATION_TASKS, function(err, taskList) {
+				if(err) {
+					return done(err);
+				}
+				if(! Array.isArray(taskList)) {
+					return done('File "' + process.env.REPLICATION_TASKS + '" does not contain a list of replication task definitions.');
+				}
+				config.tasks = taskList;
+				return done();
+			});
+		};
+
+		loadTaskFile(function(err) {
+
+			if(err) {
+				return callback(err);
+			}
+
+			// string values that were assigned by environment variables are converted to the expected type
+			const ajv = new Ajv({allErrors: false, coerceTypes: true});
+
+			if(! ajv.validate(config_schema, config)) {
+				debug('Configuration validation errors: ' + JSON.stringify(ajv.errors));
+				return callback(getValidationMessage(ajv.errors[0]));
+			}
+
+			const taskDefaults = _.pick(config, _.without(_.keys(task_settings_schema), 'source', 'target'));
+
+			var tasks = null;
+
+			if(config.tasks) {
+				// top level task settings apply to all tasks that don't define them
+				tasks = config.tasks.map(function(task) {
+					return _.defaults({}, task, taskDefaults);
+				});
+			}
+			else {
+				// documents that are exported to files are not written to a target database
+				if((! config.source) || ((! config.target) && (config.sink !== 'ndjson'))) {
+					return callback('The source and target database are not configured. Set environment variables SOURCE_COUCH_DB_URL and TARGET_COUCH_DB_URL or define "source" and "target" in the configuration file.');
+				}
+				tasks = [_.assign(_.pick(config, ['source', 'target']), taskDefaults)];
+			}
+
+			return callback(null, {
+									config_file: process.env.CONFIG_FILE || null,
+									hide_console: config.hide_console || false,
+									console_user: config.console_user || null,
+									console_password: config.console_password || null,
+									shutdown_timeout: config.shutdown_timeout || 8000,
+									tasks: tasks
+								  });
+		});
+	});
+};
+
+/*
+ * Returns a copy of the configuration that does not contain any passwords.
+ * @param {Object} config - configuration, as returned by getConfiguration
+ * @returns {Object} config
+ */
+var getConfigurationWithoutPasswords = function(config) {
+
+	if(! config) {
+		return null;
+	}
+
+	return {
+			 config_file: config.config_file,
+			 hide_console: config.hide_console,
+			 console_user: config.console_user,
+			 console_password: (config.console_password ? '********' : null),
+			 shutdown_timeout: config.shutdown_timeout,
+			 tasks: (config.tasks || []).map(function(task) {
+				return _.assign({}, task, {
+											source: mutil.getCredentialsWithoutPassword(mutil.splitUrl(task.source)),
+											target: mutil.getCredentialsWithoutPassword(mutil.splitUrl(task.target))
+										  },
+										  task.repository_url ? {repository_url: mutil.getUrlWithoutPassword(task.repository_url)} : {});
+			 })
+		   };
+};
+
+module.exports.getConfiguration = getConfiguration;
+module.exports.getConfigurationWithoutPasswords = getConfigurationWithoutPasswords;
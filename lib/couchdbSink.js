@@ -0,0 +1,172 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':sink');
+
+/*
+ * Sink that writes documents to a CouchDB database using the bulk API. See sink.js.
+ * @param {Object} targetCloudant - the target server
+ * @param {String} databaseName - the target database
+ * @param {Object} options - the replication settings
+ * @param {String} options.update_mode - "insert" or "upsert"
+ * @param {String} options.delete_policy - "delete" or "soft_delete"
+ * @param {String} options.soft_delete_field - the property that marks soft deleted documents
+ */
+function CouchDBSink(targetCloudant, databaseName, options) {
+	this.targetCloudant = targetCloudant;
+	this.databaseName = databaseName;
+	this.options = options;
+	this.targetDb = null;
+}
+
+/*
+ * Verifies that the target database exists.
+ * @param {Callback} callback - invoked with (err)
+ */
+CouchDBSink.prototype.init = function(callback) {
+
+	this.targetCloudant.db.get(this.databaseName, function(err, body) {
+
+		if(err) {
+			return callback('The target database "' + this.databaseName + '" cannot be accessed: ' + err);
+		}
+
+		debug('Target database information: ' + JSON.stringify(body));
+
+		this.targetDb = this.targetCloudant.db.use(this.databaseName);
+
+		return callback();
+
+	}.bind(this));
+};
+
+/*
+ * @returns {String} - description of the sink
+ */
+CouchDBSink.prototype.getName = function() {
+	return 'target database "' + this.databaseName + '"';
+};
+
+/*
+ * @returns {Object} - sink properties
+ */
+CouchDBSink.prototype.getInfo = function() {
+	return {
+				sink: 'couchdb',
+				database_name: this.databaseName
+		   };
+};
+
+/*
+ * Prepares the changes in a batch for the target database by assigning the document that will be written
+ * to change.target_doc. In upsert mode the current revision of each document is looked up in the target database
+ * and assigned to the document. Deletions are resolved according to the deletion policy: "delete" deletes the
+ * current revision of the target document and "soft_delete" sets the <soft_delete_field> property of the target
+ * document to true. Deletions of documents that don't exist in the target database are marked as skipped (change.skip).
+ * @param {Array} changes - the batch content; [{seq, doc, last, deletion}]
+ * @param {Callback} callback - invoked with (err) when processing is complete
+ */
+CouchDBSink.prototype.prepare = function(changes, callback) {
+
+	const options = this.options;
+
+	var keys = [];
+	changes.forEach(function(change) {
+		change.target_doc = change.doc;
+		change.skip = false;
+		if(change.deletion) {
+			keys.push(change.doc._id);
+		}
+		else if((options.update_mode === 'upsert') && (change.doc._id)) {
+			delete change.doc._rev;
+			keys.push(change.doc._id);
+		}
+	});
+
+	if(keys.length === 0) {
+		return callback();
+	}
+
+	// the content of the target documents is only needed to soft delete them
+	const method = (options.delete_policy === 'soft_delete') ? 'fetch' : 'fetchRevs';
+
+	this.targetDb[method]({keys: keys},
+						  function(err, body) {
+							if(err) {
+								return callback(err);
+							}
+
+							var targetDocs = {};
+							body.rows.forEach(function(row) {
+								if((row.value) && (! row.value.deleted)) {
+									targetDocs[row.key] = {
+															rev: row.value.rev,
+															doc: row.doc
+														  };
+								}
+							});
+
+							debug('Found ' + Object.keys(targetDocs).length + ' of ' + keys.length + ' documents in the target database.');
+
+							changes.forEach(function(change) {
+								var targetDoc = targetDocs[change.doc._id];
+								if(change.deletion) {
+									if(! targetDoc) {
+										debug('Document ' + change.doc._id + ' does not exist in the target database. Skipping deletion.');
+										change.skip = true;
+									}
+									else if(options.delete_policy === 'soft_delete') {
+										change.target_doc = targetDoc.doc;
+										change.target_doc[options.soft_delete_field] = true;
+									}
+									else {
+										change.target_doc = {
+														_id: change.doc._id,
+														_rev: targetDoc.rev,
+														_deleted: true
+													 };
+									}
+								}
+								else if((targetDoc) && (options.update_mode === 'upsert')) {
+									change.doc._rev = targetDoc.rev;
+								}
+							});
+
+							return callback();
+						  });
+};
+
+/*
+ * Writes documents to the target database.
+ * @param {Array} docs - the documents
+ * @param {Callback} callback - invoked with (err, results); results[i] is the bulk write result for docs[i]
+ */
+CouchDBSink.prototype.write = function(docs, callback) {
+	this.targetDb.bulk({docs: docs}, callback);
+};
+
+/*
+ * The target database connection does not need to be closed.
+ * @param {Callback} callback - invoked with ()
+ */
+CouchDBSink.prototype.close = function(callback) {
+	return callback();
+};
+
+module.exports.CouchDBSink = CouchDBSink;
@@ -0,0 +1,217 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':dryRun');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+const mutil = require('./util.js');
+
+// maximum number of errors that are included in a report
+const max_report_errors = 100;
+
+/*
+ * Collects the outcome of a dry run: the documents that would be written to the target database,
+ * a sample of source documents and the documents they were transformed into, and the changes that
+ * were filtered, dropped or could not be processed.
+ * @param {String} taskId - the replication task
+ * @param {Number} sampleSize - maximum number of before/after document pairs that are retained
+ */
+function DryRunReport(taskId, sampleSize) {
+	this.taskId = taskId;
+	this.sampleSize = sampleSize;
+	this.started = new Date().toISOString();
+	this.updated = this.started;
+	this.lastSeq = null;
+	this.counts = {
+					received: 0,			// changes that were processed
+					filtered: 0,			// changes that were rejected by the client-side filter
+					transformed: 0,			// changes that were transformed
+					dropped: 0,				// changes that the transformer dropped
+					documents: 0,			// documents that would be written
+					deletions: 0,			// deletions that would be applied
+					deletions_ignored: 0,	// deletions that would be ignored
+					errors: 0				// changes that could not be transformed or validated
+				  };
+	this.samples = [];
+	this.errors = [];
+}
+
+/*
+ * Records that a change was received from the change feed.
+ * @param {Object} change - {seq, doc}
+ */
+DryRunReport.prototype.recordReceived = function(change) {
+	this.counts.received++;
+	this.lastSeq = change.seq;
+	this.updated = new Date().toISOString();
+};
+
+/*
+ * Records that a change was rejected by the client-side filter.
+ */
+DryRunReport.prototype.recordFiltered = function() {
+	this.counts.filtered++;
+};
+
+/*
+ * Records that the transformer dropped a document.
+ */
+DryRunReport.prototype.recordDropped = function() {
+	this.counts.transformed++;
+	this.counts.dropped++;
+};
+
+/*
+ * Records a deletion.
+ * @param {Boolean} ignored - true if the deletion policy is "ignore"
+ */
+DryRunReport.prototype.recordDeletion = function(ignored) {
+	if(ignored) {
+		this.counts.deletions_ignored++;
+	}
+	else {
+		this.counts.deletions++;
+	}
+};
+
+/*
+ * Records the documents that would be written for a change. The first <sampleSize> changes are retained as samples.
+ * @param {Object} change - {seq}
+ * @param {Object} sourceDoc - the source document
+ * @param {Array} docs - the documents that would be written
+ */
+DryRunReport.prototype.recordDocuments = function(change, sourceDoc, docs) {
+	this.counts.transformed++;
+	this.counts.documents = this.counts.documents + docs.length;
+	if(this.samples.length < this.sampleSize) {
+		this.samples.push({
+							seq: change.seq,
+							doc_id: sourceDoc._id,
+							before: _.cloneDeep(sourceDoc),
+							after: _.cloneDeep(docs)
+						  });
+	}
+};
+
+/*
+ * Records a change that could not be processed.
+ * @param {String} stage - "transform" or "validate"
+ * @param {Object} change - {seq, doc, source_doc, violations}; changes that failed validation define source_doc and violations
+ * @param {String} reason - the error information
+ */
+DryRunReport.prototype.recordError = function(stage, change, reason) {
+	this.counts.errors++;
+	if(this.errors.length < max_report_errors) {
+		var error = {
+						stage: stage,
+						seq: change.seq,
+						doc_id: (change.source_doc || change.doc)._id,
+						reason: reason
+					};
+		if(change.violations) {
+			error.violations = change.violations;
+		}
+		this.errors.push(error);
+	}
+};
+
+/*
+ * Returns the report.
+ * @returns {Object} report
+ * @returns {String} report.task_id
+ * @returns {String} report.started - when the dry run started
+ * @returns {String} report.updated - when the last change was received
+ * @returns {String} report.last_seq - the sequence number of the last change that was received
+ * @returns {Object} report.counts - see constructor
+ * @returns {Number} report.filter_rejection_rate - fraction of the received changes that were rejected by the client-side filter
+ * @returns {Array} report.samples - [{seq, doc_id, before, after}]; after lists the documents that would be written
+ * @returns {Array} report.errors - [{stage, seq, doc_id, reason, violations}]; the first 100 errors
+ */
+DryRunReport.prototype.getReport = function() {
+	return {
+				task_id: this.taskId,
+				started: this.started,
+				updated: this.updated,
+				last_seq: this.lastSeq,
+				counts: _.clone(this.counts),
+				filter_rejection_rate: (this.counts.received > 0) ? (this.counts.filtered / this.counts.received) : 0,
+				samples: _.cloneDeep(this.samples),
+				errors: _.cloneDeep(this.errors)
+		   };
+};
+
+/*
+ * Returns the report in NDJSON format: a summary record, followed by one record for each sample and error.
+ * @returns {String}
+ */
+DryRunReport.prototype.toNDJSON = function() {
+	const report = this.getReport();
+	var records = [_.assign({type: 'summary'}, _.omit(report, ['samples', 'errors']))];
+	records = records.concat(report.samples.map(function(sample) {
+		return _.assign({type: 'sample'}, sample);
+	}));
+	records = records.concat(report.errors.map(function(error) {
+		return _.assign({type: 'error'}, error);
+	}));
+	return records.map(function(record) {
+		return JSON.stringify(record);
+	}).join('\n') + '\n';
+};
+
+/*
+ * Saves the report in NDJSON format. The file is replaced.
+ * @param {String} fileName - path to the file, relative to the current working directory
+ * @param {Callback} callback - optional; invoked with (err)
+ */
+DryRunReport.prototype.save = function(fileName, callback) {
+
+	const target = path.resolve(process.cwd(), fileName);
+	const temporary = target + '.tmp';
+
+	const done = function(err) {
+		if(err) {
+			console.error('Dry run report could not be saved in file "' + fileName + '": ' + err);
+		}
+		else {
+			debug('Dry run report was saved in file "' + fileName + '".');
+		}
+		if(callback) {
+			return callback(err ? String(err) : null);
+		}
+	};
+
+	try {
+		mutil.mkdir(path.dirname(target));
+	}
+	catch(err) {
+		return done(err);
+	}
+
+	// write a complete copy first; readers never see a partially written report
+	fs.writeFile(temporary, this.toNDJSON(), function(err) {
+		if(err) {
+			return done(err);
+		}
+		fs.rename(temporary, target, done);
+	});
+};
+
+module.exports.DryRunReport = DryRunReport;
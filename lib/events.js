@@ -0,0 +1,187 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':events');
+const _ = require('lodash');
+
+// severities that are assigned to events
+const severities = ['info', 'warn', 'error'];
+
+// number of events that are returned per page if no limit is specified
+const default_limit = 50;
+
+// maximum number of events that are returned per page
+const max_limit = 500;
+
+// event properties that are returned
+const event_properties = ['timestamp', 'severity', 'source', 'event_type', 'data', 'count', 'last_timestamp'];
+
+/*
+ * Validates the event query parameters that were passed to the events API.
+ * @param {Object} params - query parameters
+ * @param {String} params.severity - optional; "info", "warn" or "error"
+ * @param {String} params.source - optional; e.g. "application" or "target database"
+ * @param {String} params.event_type - optional; e.g. "start" or "target-bulk-write-error"
+ * @param {String} params.since - optional; only events that were recorded at or after this time are returned
+ * @param {String} params.until - optional; only events that were recorded at or before this time are returned
+ * @param {String} params.limit - optional; maximum number of events to be returned (default 50, maximum 500)
+ * @param {String} params.order - optional; "desc" (default; newest events first) or "asc"
+ * @param {String} params.bookmark - optional; identifies the next page, as returned by the previous request
+ * @param {Callback} callback - invoked with (err, query) parameters
+ * @returns {String} err - identifies the invalid parameter
+ * @returns {Object} query - normalized query; timestamps are converted to ISO format and the bookmark is decoded
+ */
+var parseEventQuery = function(params,
+							   callback) {
+
+	params = params || {};
+
+	var query = {
+					severity: params.severity || null,
+					source: params.source || null,
+					event_type: params.event_type || null,
+					since: null,
+					until: null,
+					limit: default_limit,
+					order: params.order || 'desc',
+					bookmark: null
+				};
+
+	if((query.severity) && (severities.indexOf(query.severity) === -1)) {
+		return callback('Parameter "severity" is invalid. Valid values are "' + severities.join('", "') + '".');
+	}
+
+	if(['asc', 'desc'].indexOf(query.order) === -1) {
+		return callback('Parameter "order" is invalid. Valid values are "asc" and "desc".');
+	}
+
+	var invalid = _.find(['since', 'until'], function(name) {
+		if(! params[name]) {
+			return false;
+		}
+		var date = new Date(params[name]);
+		if(isNaN(date.getTime())) {
+			return true;
+		}
+		query[name] = date.toISOString();
+		return false;
+	});
+
+	if(invalid) {
+		return callback('Parameter "' + invalid + '" is not a valid timestamp.');
+	}
+
+	if(params.limit !== undefined) {
+		query.limit = parseInt(params.limit, 10);
+		if((isNaN(query.limit)) || (query.limit < 1) || (query.limit > max_limit)) {
+			return callback('Parameter "limit" is invalid. Specify a number between 1 and ' + max_limit + '.');
+		}
+	}
+
+	if(params.bookmark) {
+		try {
+			query.bookmark = JSON.parse(Buffer.from(params.bookmark, 'base64').toString('utf8'));
+		}
+		catch(ex) {
+			debug('Bookmark ' + params.bookmark + ' could not be decoded: ' + ex);
+		}
+		if(! _.isPlainObject(query.bookmark)) {
+			return callback('Parameter "bookmark" is invalid.');
+		}
+	}
+
+	return callback(null, query);
+};
+
+/*
+ * Encodes a bookmark, which identifies the first event of the next page.
+ * @param {Object} position - repository specific position information
+ * @returns {String} bookmark
+ */
+var encodeBookmark = function(position) {
+	return Buffer.from(JSON.stringify(position), 'utf8').toString('base64');
+};
+
+/*
+ * Returns true if the event meets the criteria of the query.
+ * @param {Object} event - event record
+ * @param {Object} query - normalized query, as returned by parseEventQuery
+ * @returns {Boolean}
+ */
+var matchesEventQuery = function(event,
+								 query) {
+	return (((! query.severity) || (event.severity === query.severity)) &&
+			((! query.source) || (event.source === query.source)) &&
+			((! query.event_type) || (event.event_type === query.event_type)) &&
+			((! query.since) || (event.timestamp >= query.since)) &&
+			((! query.until) || (event.timestamp <= query.until)));
+};
+
+/*
+ * Returns the properties of an event record that are made available by the events API.
+ * @param {Object} event - event record
+ * @returns {Object} event
+ */
+var getEventInfo = function(event) {
+	return _.pick(event, event_properties);
+};
+
+/*
+ * Returns one page of events that meet the criteria of the query. Used by repositories that load all events.
+ * @param {Array} events - all event records, in the order in which they were recorded
+ * @param {Object} query - normalized query, as returned by parseEventQuery
+ * @returns {Object} page
+ * @returns {Array} page.events - the events
+ * @returns {String} page.bookmark - identifies the next page; null if this is the last page
+ */
+var selectEvents = function(events,
+							query) {
+
+	var selected = [];
+	var descending = (query.order === 'desc');
+	var index = descending ? events.length - 1 : 0;
+
+	if((query.bookmark) && (_.isInteger(query.bookmark.index))) {
+		index = query.bookmark.index;
+	}
+
+	for(; (index >= 0) && (index < events.length); index = index + (descending ? -1 : 1)) {
+		if(matchesEventQuery(events[index], query)) {
+			if(selected.length === query.limit) {
+				return {
+						events: selected,
+						bookmark: encodeBookmark({index: index})
+					   };
+			}
+			selected.push(getEventInfo(events[index]));
+		}
+	}
+
+	return {
+			events: selected,
+			bookmark: null
+		   };
+};
+
+module.exports.severities = severities;
+module.exports.parseEventQuery = parseEventQuery;
+module.exports.encodeBookmark = encodeBookmark;
+module.exports.matchesEventQuery = matchesEventQuery;
+module.exports.getEventInfo = getEventInfo;
+module.exports.selectEvents = selectEvents;
@@ -20,6 +20,8 @@ const async = require('async');
 const consts = require('./consts.js');
 const debug = require('debug')(consts.appPrefix + ':filter');
 const path = require('path');
+const _ = require('lodash');
+const sandboxes = require('./sandbox.js');
 
 /*
  * Class makes server-side and client-side filters available that can be applied
@@ -30,29 +32,36 @@ const path = require('path');
  * prior validation.
  * 
  * @param {Object} serverFilter - optional; configuration for server-side filter
- * @param {String} serverFilter.id - "designDocName/filterName" that will be used to filter the change feed at the source
- * @param {Function} serverFilter.definition - the filter definition
+ * @param {String} serverFilter.id - "designDocName/filterName" that will be used to filter the change feed at the source,
+ *                                   "_selector" or "_doc_ids"
+ * @param {String} serverFilter.type - optional; "design" (default), "selector" or "doc_ids"
+ * @param {Function|Object|Array} serverFilter.definition - the filter definition, the Mango selector or the document ids
  * @param {Object} clientFilter - optional; configuration for client-side filter
  * @param {String} clientFilter.id - "filename" that contains the filter definition
  * @param {Function} clientFilter.definition - the filter definition
+ * @param {Object} clientFilter.sandboxed - optional; the filter routine, if it runs in a sandbox (see sandbox.js)
  */
 function Filter(serverFilter, clientFilter) {
 
 	this.serverFilterName = null;
+	this.serverFilterType = null;
 	this.serverFilterDefinition = null;
 
 	if(serverFilter) {
-		this.serverFilterName = serverFilter.id;				// "design_doc/filter"
-		this.serverFilterDefinition = serverFilter.definition;	// javascript
+		this.serverFilterName = serverFilter.id;				// "design_doc/filter", "_selector" or "_doc_ids"
+		this.serverFilterType = serverFilter.type || 'design';
+		this.serverFilterDefinition = serverFilter.definition;	// javascript, selector or list of document ids
 		debug('Creating server-side filter: ' + JSON.stringify(serverFilter));
 	}
 
 	this.clientFilterName = null;
 	this.clientFilterDefinition = null;
+	this.clientFilterSandboxed = null;
 
 	if(clientFilter) {
 		this.clientFilterName = clientFilter.id; 				// a file name
 		this.clientFilterDefinition = clientFilter.definition;	// javascript
+		this.clientFilterSandboxed = clientFilter.sandboxed || null;
 		debug('Creating client-side filter: ' + JSON.stringify(clientFilter));
 	}
 }
@@ -66,28 +75,63 @@ Filter.prototype.hasServerFilter = function() {
 
 /*
  * Returns the design document name and filter name of the server-side filter, or null if not defined.
- * @returns {String} - the filter name expressed as "designDocName/filterName", or null, if not defined
+ * @returns {String} - the filter name expressed as "designDocName/filterName" ("_selector" or "_doc_ids" for the 
+ *                     built-in filters), or null, if not defined
  */
 Filter.prototype.getServerFilterName = function() {
 	return this.serverFilterName;
 };
 
+/*
+ * @returns {String} - "design" (filter function), "selector" (Mango selector) or "doc_ids" (document ids); null if not defined
+ */
+Filter.prototype.getServerFilterType = function() {
+	return this.serverFilterType;
+};
+
  /*
  * Returns the server-side filter function definition
- * @returns {String} - the filter function text or null, if not defined
+ * @returns {String|Object|Array} - the filter function text, the Mango selector, the document ids or null, if not defined
  */
 Filter.prototype.getServerFilterDefinition = function() {
-	if(this.serverFilterDefinition) {
+	if(! this.serverFilterDefinition) {
+		return null;
+	}
+	if(this.serverFilterType === 'design') {
 		return this.serverFilterDefinition.toString();
 	}
-	return null;
+	return _.cloneDeep(this.serverFilterDefinition);
+};
+
+/*
+ * Returns the change feed options that apply the server-side filter. The built-in filters receive their 
+ * arguments in the body of a POST request.
+ * @returns {Object} - options for https://github.com/cloudant-labs/cloudant-follow; empty if no server-side filter is defined
+ */
+Filter.prototype.getChangeFeedOptions = function() {
+	switch(this.serverFilterType) {
+		case 'design':
+			return {filter: this.serverFilterName};
+		case 'selector':
+			return {
+					filter: this.serverFilterName,
+					request: {method: 'POST', body: JSON.stringify({selector: this.serverFilterDefinition})}
+				   };
+		case 'doc_ids':
+			return {
+					filter: this.serverFilterName,
+					request: {method: 'POST', body: JSON.stringify({doc_ids: this.serverFilterDefinition})}
+				   };
+		default:
+			return {};
+	}
 };
 
 /*
  * @returns {Boolean} - true if a client-side filter is defined; false otherwise
  */
 Filter.prototype.hasClientFilter = function() {
-	return (this.clientFilterDefinition !== null);
+	return ((this.clientFilterDefinition !== null) || (this.clientFilterSandboxed !== null));
 };
 
 /*
@@ -108,6 +152,9 @@ Filter.prototype.getClientFilter = function() {
  * @returns {String} - the filter function text or null, if not defined
  */
 Filter.prototype.getClientFilterDefinition = function() {
+	if(this.clientFilterSandboxed) {
+		return this.clientFilterSandboxed.definition;
+	}
 	if(this.clientFilterDefinition) {
 		return this.clientFilterDefinition.toString();
 	}
@@ -117,7 +164,7 @@ Filter.prototype.getClientFilterDefinition = function() {
 /*
  * Determines whether <change> should be kept or ignored. A change is ignored if <change>
  * (1) is null/undefined, (2) doesn't contain the "doc" property, (3) the client-side filter evaluates to false or (4) a fatal
- *  error is encountered
+ *  error is encountered. Not supported for sandboxed filters; use evaluateClientFilter.
  * @param {Object} change - a change object, as provided by https://github.com/iriscouch/follow when the "change" event is emitted
  * @returns {Boolean} - true if the change should be applied to the target database
  */
@@ -135,7 +182,7 @@ Filter.prototype.applyClientFilter = function(change) {
 		return this.clientFilterDefinition(change); // custom filter function determines fate of this change
 	}
 	catch(err) {
-		console.error('Document filter function in file "' + process.env.CLIENT_FILTER + '" caused a fatal error: ' + err);
+		console.error('Document filter function in file "' + this.clientFilterName + '" caused a fatal error: ' + err);
 		console.error('Change:' + JSON.stringify(change));
 		console.error('Filter:' + this.clientFilterDefinition);
 		return false;
@@ -143,15 +190,177 @@ Filter.prototype.applyClientFilter = function(change) {
 };
 
 /*
- * Create a filter based on the content of environment variables SERVER_FILTER ("<design_doc_name>/<filter_name>") and 
- * CLIENT_FILTER ("<path/to/client_filter_js>"). If either variable is defined it must contain a valid value. 
+ * Determines whether <change> should be kept or ignored (see applyClientFilter). Sandboxed filters are evaluated
+ * asynchronously.
+ * @param {Object} change - a change object, as provided by https://github.com/iriscouch/follow when the "change" event is emitted
+ * @param {Callback} callback - invoked with (err, keep); err is a SandboxViolation (see sandbox.js) if the sandboxed
+ *                              filter exceeded the sandbox limits
+ */
+Filter.prototype.evaluateClientFilter = function(change, callback) {
+
+	if((! this.clientFilterSandboxed) || (! change) || (! change.doc)) {
+		return callback(null, this.applyClientFilter(change));
+	}
+
+	this.clientFilterSandboxed.invoke(change, function(err, keep) {
+		if(sandboxes.isViolation(err)) {
+			console.error('Document filter function in file "' + this.clientFilterName + '" violated the sandbox limits for document ' + change.doc._id + ': ' + err);
+			return callback(err);
+		}
+		if(err) {
+			console.error('Document filter function in file "' + this.clientFilterName + '" caused a fatal error: ' + err);
+			console.error('Change:' + JSON.stringify(change));
+			return callback(null, false);
+		}
+		return callback(null, Boolean(keep));
+	}.bind(this));
+};
+
+// operators that can be used in a Mango selector
+const selector_operators = ['$and', '$or', '$not', '$nor', '$all', '$elemMatch', '$allMatch', '$keyMapMatch',
+							'$lt', '$lte', '$eq', '$ne', '$gte', '$gt', '$exists', '$type', '$in', '$nin', '$size', '$mod', '$regex'];
+
+// operators whose argument is a list
+const selector_list_operators = ['$and', '$or', '$nor', '$all', '$in', '$nin', '$mod'];
+
+/*
+ * Verifies that a Mango selector only uses known operators and that list operators are applied to lists.
+ * The source database validates the selector in full.
+ * @param {*} selector - the selector or a part of it
+ * @returns {String} - describes the first problem that was found; null if none was found
+ */
+var validateSelector = function(selector) {
+
+	if(Array.isArray(selector)) {
+		return selector.reduce(function(problem, item) {
+			return problem || validateSelector(item);
+		}, null);
+	}
+
+	if(! _.isPlainObject(selector)) {
+		return null;
+	}
+
+	return Object.keys(selector).reduce(function(problem, key) {
+		if(problem) {
+			return problem;
+		}
+		if(key.charAt(0) === '$') {
+			if(selector_operators.indexOf(key) === -1) {
+				return 'Operator "' + key + '" is not supported.';
+			}
+			if((selector_list_operators.indexOf(key) !== -1) && (! Array.isArray(selector[key]))) {
+				return 'Operator "' + key + '" requires a list.';
+			}
+		}
+		return validateSelector(selector[key]);
+	}, null);
+};
+
+/*
+ * Returns the definition of a server-side filter that applies a Mango selector (CouchDB 2.x "_selector" filter).
+ * The selector is verified by requesting the changes that are recorded after the current update seq.
+ * @param {Object} database - the source database
+ * @param {Object|String} selector - the selector or its JSON representation
+ * @param {Callback} callback - invoked with (err, serverFilter) parameters
+ */
+var getSelectorFilter = function(database, selector, callback) {
+
+	if(typeof selector === 'string') {
+		try {
+			selector = JSON.parse(selector);
+		}
+		catch(err) {
+			return callback('[Configuration error] Server-side selector is not valid JSON: ' + err);
+		}
+	}
+
+	if((! _.isPlainObject(selector)) || (_.isEmpty(selector))) {
+		return callback('[Configuration error] Server-side selector must be a JSON object that defines at least one condition.');
+	}
+
+	const problem = validateSelector(selector);
+	if(problem) {
+		return callback('[Configuration error] Server-side selector ' + JSON.stringify(selector) + ' is invalid: ' + problem);
+	}
+
+	debug('Server-side selector is set to ' + JSON.stringify(selector) + '.');
+
+	database.server.request({
+								db: database.config.db,
+								path: '_changes',
+								method: 'POST',
+								qs: {filter: '_selector', since: 'now', limit: 1},
+								body: {selector: selector}
+							},
+							function(err) {
+								if(err) {
+									return callback('[Configuration error] Server-side selector ' + JSON.stringify(selector) + ' was rejected by the source database: ' + err);
+								}
+								console.log('Server-side selector ' + JSON.stringify(selector) + ' was accepted by the source database.');
+								return callback(null, {'id': '_selector', 'type': 'selector', 'definition': selector});
+							});
+};
+
+/*
+ * Returns the definition of a server-side filter that only includes changes of the listed documents ("_doc_ids" filter).
+ * @param {Array|String} docIds - document ids, or a comma separated list of document ids
+ * @param {Callback} callback - invoked with (err, serverFilter) parameters
+ */
+var getDocIdsFilter = function(docIds, callback) {
+
+	if(typeof docIds === 'string') {
+		docIds = docIds.split(',');
+	}
+
+	if((! Array.isArray(docIds)) || (! docIds.every(_.isString))) {
+		return callback('[Configuration error] Server-side document id filter must be a list of document ids.');
+	}
+
+	docIds = _.uniq(docIds.map(function(docId) {
+		return docId.trim();
+	}).filter(function(docId) {
+		return (docId.length > 0);
+	}));
+
+	if(docIds.length === 0) {
+		return callback('[Configuration error] Server-side document id filter does not list any document ids.');
+	}
+
+	console.log('Server-side filter only includes changes of ' + docIds.length + ' document(s).');
+	return callback(null, {'id': '_doc_ids', 'type': 'doc_ids', 'definition': docIds});
+};
+
+/*
+ * Create a filter based on the server-side filter ("<design_doc_name>/<filter_name>", Mango selector or document ids) 
+ * and client-side filter ("<path/to/client_filter_js>") settings. If either setting is defined it must contain a valid 
+ * value. Only one server-side filter can be defined.
  *
- * @param: {Object}
+ * @param: {Object} database - the source database
+ * @param: {Object} filterOptions - optional; the filter settings. If not specified no filter is applied.
+ * @param: {String} filterOptions.server_filter - optional; "<design_doc_name>/<filter_name>"
+ * @param: {Object|String} filterOptions.server_filter_selector - optional; Mango selector (or its JSON representation)
+ * @param: {Array|String} filterOptions.server_filter_doc_ids - optional; document ids (or a comma separated list)
+ * @param: {String} filterOptions.client_filter - optional; "<path/to/client_filter_js>"
+ * @param: {Object} filterOptions.sandbox - optional; the sandbox in which the client-side filter is run (see sandbox.js)
  * @param: {Callback} callback - invoked with (err, Filter) parameters
  * @returns: {String} err - if any validation issues were encountered
  * @returns: {Object} Filter - a validated filter
  */
-var getFilter = function(database, callback){
+var getFilter = function(database, filterOptions, callback){
+
+	if(typeof filterOptions === 'function') {
+		callback = filterOptions;
+		filterOptions = null;
+	}
+
+	filterOptions = filterOptions || {};
+
+	const serverFilter = filterOptions.server_filter;
+	const serverSelector = filterOptions.server_filter_selector;
+	const serverDocIds = filterOptions.server_filter_doc_ids;
+	const clientFilter = filterOptions.client_filter;
+	const sandbox = filterOptions.sandbox;
 
 	// verify that valid filters can be configured
 	// (1) server-side filter (don't add documents to the change feed)
@@ -160,21 +369,34 @@ var getFilter = function(database, callback){
 	async.parallel({
 					serverFilter: function(serverFilterCallback) {
 
-						if(process.env.SERVER_FILTER) {
+						const serverFilterSettings = _.keys(_.pickBy(_.pick(filterOptions, ['server_filter', 'server_filter_selector', 'server_filter_doc_ids'])));
+						if(serverFilterSettings.length > 1) {
+							return serverFilterCallback('[Configuration error] Only one server-side filter can be defined. Remove all but one of the settings "' + serverFilterSettings.join('", "') + '".');
+						}
+
+						if(serverSelector) {
+							return getSelectorFilter(database, serverSelector, serverFilterCallback);
+						}
+
+						if(serverDocIds) {
+							return getDocIdsFilter(serverDocIds, serverFilterCallback);
+						}
+
+						if(serverFilter) {
 
-							debug('Environment variable SERVER_FILTER is set to "' + process.env.SERVER_FILTER + '".');
+							debug('Server-side filter is set to "' + serverFilter + '".');
 
-							var filterInfo = process.env.SERVER_FILTER.split(/\//, 2);
+							var filterInfo = serverFilter.split(/\//, 2);
 							if((filterInfo.length !== 2) || (! filterInfo[0]) || (! filterInfo[1])) {
 								// expected format: <design_doc_id>/<filter_id>
-								return serverFilterCallback('[Configuration error] Environment variable SERVER_FILTER does not identify a design document containing a filter.');
+								return serverFilterCallback('[Configuration error] Server-side filter "' + serverFilter + '" does not identify a design document containing a filter.');
 							}
 			
 							database.get('_design/' + filterInfo[0], 
 										 function(err, body) {
 
 										 	if(err) {
-										 		return serverFilterCallback('[Configuration error] Environment variable SERVER_FILTER refers to design document "' + filterInfo[0] + '" which could not be located in the source database: ' + err);
+										 		return serverFilterCallback('[Configuration error] Server-side filter "' + serverFilter + '" refers to design document "' + filterInfo[0] + '" which could not be located in the source database: ' + err);
 										 	}
 										 	
 										 	debug('Found design document:' + JSON.stringify(body));
@@ -185,7 +407,7 @@ var getFilter = function(database, callback){
 										 		debug('[-------- server-side filter definition --------]\n' +
 										 			  body.filters[filterInfo[1]] + '\n' + 
 										 			  '[-----------------------------------------------]');
-												return serverFilterCallback(null, {'id': process.env.SERVER_FILTER, 'definition': body.filters[filterInfo[1]]});
+												return serverFilterCallback(null, {'id': serverFilter, 'type': 'design', 'definition': body.filters[filterInfo[1]]});
 										 	}
 										 	else {
 										 		return serverFilterCallback('[Configuration error] Design document "' + filterInfo[0] + '" in the source database does not define a filter named "' + filterInfo[1] + '".');
@@ -201,25 +423,39 @@ var getFilter = function(database, callback){
 					},
 					clientFilter: function(clientFilterCallback) {
 
-						if(process.env.CLIENT_FILTER) {
+						if(clientFilter) {
+
+							debug('Client-side filter is set to "' + clientFilter + '".');
 
-							debug('Environment variable CLIENT_FILTER is set to "' + process.env.CLIENT_FILTER + '".');
+							if(sandbox) {
+								return sandbox.load(clientFilter, function(err, routine) {
+									if(err) {
+										return clientFilterCallback('Custom document filter function could not be loaded from file "' + clientFilter + '": ' + err);
+									}
+									console.log('Client-side filter routine was loaded from file "' + clientFilter + '" into the sandbox.');
+									return clientFilterCallback(null, {'id': clientFilter, 'definition': null, 'sandboxed': routine});
+								});
+							}
+
+							var filterFunction = null;
 
 							try {
-								var filterFunction = require(path.join(process.cwd(), process.env.CLIENT_FILTER));
-								if(typeof filterFunction === 'function') {
-									console.log('Client-side filter routine was loaded from file "' + process.env.CLIENT_FILTER + '".');
-									debug('[-------- client-side filter definition --------]\n' +
-									      filterFunction.toString() + '\n' + 
-									      '[-----------------------------------------------]');
-									return clientFilterCallback(null, {'id': process.env.CLIENT_FILTER, 'definition': filterFunction});
-								}
-								else {
-									return clientFilterCallback('The file "' + process.env.CLIENT_FILTER + '" does not export a function.');
-								}
+								filterFunction = require(path.join(process.cwd(), clientFilter));
 							}
 							catch(error) {
-								return clientFilterCallback('Custom document filter function could not be loaded from file "' + process.env.CLIENT_FILTER + '": ' + error);
+								return clientFilterCallback('Custom document filter function could not be loaded from file "' + clientFilter + '": ' + error);
+							}
+
+							// invoked outside of the try block; errors raised by the caller must not be reported as load errors
+							if(typeof filterFunction === 'function') {
+								console.log('Client-side filter routine was loaded from file "' + clientFilter + '".');
+								debug('[-------- client-side filter definition --------]\n' +
+								      filterFunction.toString() + '\n' + 
+								      '[-----------------------------------------------]');
+								return clientFilterCallback(null, {'id': clientFilter, 'definition': filterFunction});
+							}
+							else {
+								return clientFilterCallback('The file "' + clientFilter + '" does not export a function.');
 							}
 						}
 						else {
@@ -0,0 +1,300 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+/*
+ * Declarative transformations. A mapping spec is a JSON or YAML file that lists the operations that are applied
+ * to each document, in order:
+ *
+ * {
+ *   "operations": [
+ *     {"op": "rename", "from": "name", "to": "full_name"},
+ *     {"op": "remove", "path": ["internal", "audit.trail"]},
+ *     {"op": "set", "path": "source", "value": "legacy"},
+ *     {"op": "default", "path": "status", "value": "new"},
+ *     {"op": "move", "from": "address.city", "to": "city"},
+ *     {"op": "copy", "from": "address.zip", "to": "zip"},
+ *     {"op": "cast", "path": "total", "type": "number"},
+ *     {"op": "template", "path": "label", "template": "{{type}}-{{_id}}"}
+ *   ]
+ * }
+ *
+ * Paths use dot notation ("address.city", "items[0].sku"). Operations whose source property does not exist
+ * are skipped.
+ */
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':mapping');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const _ = require('lodash');
+
+// file extensions that identify a mapping spec
+const spec_file_extensions = ['.json', '.yml', '.yaml'];
+
+// target types of the cast operation
+const cast_types = ['string', 'number', 'integer', 'boolean', 'date'];
+
+// properties each operation requires
+const operation_properties = {
+								rename: ['from', 'to'],
+								remove: ['path'],
+								set: ['path', 'value'],
+								default: ['path', 'value'],
+								move: ['from', 'to'],
+								copy: ['from', 'to'],
+								cast: ['path', 'type'],
+								template: ['path', 'template']
+							 };
+
+// template placeholder, e.g. "{{address.city}}"
+const placeholder = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+
+/*
+ * @param {String} fileName
+ * @returns {Boolean} - true if the file is a mapping spec, false if it is a JavaScript module
+ */
+var isMappingFile = function(fileName) {
+	return (spec_file_extensions.indexOf(path.extname(fileName || '').toLowerCase()) !== -1);
+};
+
+/*
+ * Converts a value to the specified type.
+ * @param {*} value
+ * @param {String} type - one of cast_types
+ * @returns {*} - the converted value
+ * @throws {String} - if the value cannot be converted
+ */
+var cast = function(value, type) {
+
+	if((value === null) || (value === undefined)) {
+		return value;
+	}
+
+	var result = null;
+
+	switch(type) {
+		case 'string':
+			return (typeof value === 'object') ? JSON.stringify(value) : String(value);
+		case 'number':
+		case 'integer':
+			result = ((typeof value === 'string') && (value.trim().length === 0)) ? NaN : Number(value);
+			if((typeof value === 'object') || (! isFinite(result))) {
+				throw 'Value ' + JSON.stringify(value) + ' cannot be converted to a ' + type + '.';
+			}
+			return (type === 'integer') ? Math.trunc(result) : result;
+		case 'boolean':
+			result = String(value).trim().toLowerCase();
+			if(['true', '1', 'yes'].indexOf(result) !== -1) {
+				return true;
+			}
+			if(['false', '0', 'no'].indexOf(result) !== -1) {
+				return false;
+			}
+			throw 'Value ' + JSON.stringify(value) + ' cannot be converted to a boolean.';
+		case 'date':
+			result = new Date(value);
+			if((typeof value === 'object') || (isNaN(result.getTime()))) {
+				throw 'Value ' + JSON.stringify(value) + ' cannot be converted to a date.';
+			}
+			return result.toISOString();
+	}
+};
+
+/*
+ * Replaces the placeholders in a template with the document's property values. Placeholders that
+ * identify properties that don't exist are replaced with an empty string.
+ * @param {String} template
+ * @param {Object} doc
+ * @returns {String}
+ */
+var fillTemplate = function(template, doc) {
+	return template.replace(placeholder, function(match, propertyPath) {
+		const value = _.get(doc, propertyPath);
+		if((value === null) || (value === undefined)) {
+			return '';
+		}
+		return (typeof value === 'object') ? JSON.stringify(value) : String(value);
+	});
+};
+
+/*
+ * Applies an operation to a document.
+ * @param {Object} operation - a validated operation
+ * @param {Object} doc - the document, which is modified
+ */
+var applyOperation = function(operation, doc) {
+
+	switch(operation.op) {
+		case 'rename':
+			if(_.has(doc, operation.from)) {
+				// the property keeps its position in the document hierarchy
+				const parentPath = _.toPath(operation.from).slice(0, -1);
+				const value = _.get(doc, operation.from);
+				_.unset(doc, operation.from);
+				_.set(doc, parentPath.concat(operation.to), value);
+			}
+			break;
+		case 'remove':
+			[].concat(operation.path).forEach(function(propertyPath) {
+				_.unset(doc, propertyPath);
+			});
+			break;
+		case 'set':
+			_.set(doc, operation.path, _.cloneDeep(operation.value));
+			break;
+		case 'default':
+			if((_.get(doc, operation.path) === null) || (_.get(doc, operation.path) === undefined)) {
+				_.set(doc, operation.path, _.cloneDeep(operation.value));
+			}
+			break;
+		case 'move':
+		case 'copy':
+			if(_.has(doc, operation.from)) {
+				const value = _.get(doc, operation.from);
+				if(operation.op === 'move') {
+					_.unset(doc, operation.from);
+				}
+				_.set(doc, operation.to, _.cloneDeep(value));
+			}
+			break;
+		case 'cast':
+			if(_.has(doc, operation.path)) {
+				_.set(doc, operation.path, cast(_.get(doc, operation.path), operation.type));
+			}
+			break;
+		case 'template':
+			_.set(doc, operation.path, fillTemplate(operation.template, doc));
+			break;
+	}
+};
+
+/*
+ * Verifies that an operation is supported and defines the required properties.
+ * @param {Object} operation
+ * @returns {String} - describes the problem that was found; null if none was found
+ */
+var validateOperation = function(operation) {
+
+	if((! _.isPlainObject(operation)) || (! operation_properties.hasOwnProperty(operation.op))) {
+		return 'Operation ' + JSON.stringify(operation) + ' is not supported. Supported operations are "' + Object.keys(operation_properties).join('", "') + '".';
+	}
+
+	const missing = operation_properties[operation.op].filter(function(property) {
+		return (operation[property] === undefined);
+	});
+	if(missing.length > 0) {
+		return 'Operation ' + JSON.stringify(operation) + ' does not define "' + missing.join('", "') + '".';
+	}
+
+	// paths are strings; remove accepts a list of paths
+	const paths = _.flatten(_.values(_.pick(operation, ['from', 'to', 'path'])));
+	if(! paths.every(function(propertyPath) {
+							return ((typeof propertyPath === 'string') && (propertyPath.length > 0));
+					 })) {
+		return 'Operation ' + JSON.stringify(operation) + ' does not define a valid property path.';
+	}
+
+	if((operation.op === 'rename') && (_.toPath(operation.to).length !== 1)) {
+		return 'Operation ' + JSON.stringify(operation) + ' is invalid: "to" must be a property name. Use "move" to change the position of the property.';
+	}
+
+	if((['rename', 'remove', 'move'].indexOf(operation.op) !== -1) && (_.flatten([operation.from, operation.path]).indexOf('_id') !== -1)) {
+		return 'Operation ' + JSON.stringify(operation) + ' is invalid: the document id cannot be removed.';
+	}
+
+	if((operation.op === 'cast') && (cast_types.indexOf(operation.type) === -1)) {
+		return 'Operation ' + JSON.stringify(operation) + ' is invalid: supported types are "' + cast_types.join('", "') + '".';
+	}
+
+	if((operation.op === 'template') && (typeof operation.template !== 'string')) {
+		return 'Operation ' + JSON.stringify(operation) + ' is invalid: the template must be a string.';
+	}
+
+	return null;
+};
+
+/*
+ * Creates a transformation routine from a mapping spec.
+ * @param {Object} spec - the mapping spec
+ * @param {Array} spec.operations - the operations, in the order in which they are applied
+ * @param {Callback} callback - invoked with (err, routine) parameters; routine is a synchronous transformation
+ *                              function that returns a modified copy of the document
+ */
+var getMappingRoutine = function(spec, callback) {
+
+	if((! _.isPlainObject(spec)) || (! Array.isArray(spec.operations)) || (spec.operations.length === 0)) {
+		return callback('The mapping spec must define a non-empty list of "operations".');
+	}
+
+	const problem = spec.operations.reduce(function(problem, operation, index) {
+		if(problem) {
+			return problem;
+		}
+		const operationProblem = validateOperation(operation);
+		return (operationProblem ? 'Operation ' + (index + 1) + ': ' + operationProblem : null);
+	}, null);
+
+	if(problem) {
+		return callback(problem);
+	}
+
+	const operations = _.cloneDeep(spec.operations);
+
+	return callback(null, function(doc) {
+		if(! doc) {
+			return doc;
+		}
+		var result = _.cloneDeep(doc);
+		operations.forEach(function(operation) {
+			applyOperation(operation, result);
+		});
+		return result;
+	});
+};
+
+/*
+ * Loads a mapping spec file and creates its transformation routine.
+ * @param {String} fileName - JSON or YAML file, relative to the current working directory
+ * @param {Callback} callback - invoked with (err, routine, definition) parameters; definition is the spec in JSON format
+ */
+var loadMapping = function(fileName, callback) {
+
+	var spec = null;
+
+	try {
+		const text = fs.readFileSync(path.join(process.cwd(), fileName), 'utf8');
+		spec = (path.extname(fileName).toLowerCase() === '.json') ? JSON.parse(text) : yaml.load(text, {filename: fileName});
+	}
+	catch(err) {
+		return callback('Mapping spec could not be loaded: ' + err);
+	}
+
+	debug('Loaded mapping spec from file "' + fileName + '": ' + JSON.stringify(spec));
+
+	getMappingRoutine(spec, function(err, routine) {
+		if(err) {
+			return callback('Mapping spec is invalid. ' + err);
+		}
+		return callback(null, routine, JSON.stringify(spec, null, 2));
+	});
+};
+
+module.exports.isMappingFile = isMappingFile;
+module.exports.getMappingRoutine = getMappingRoutine;
+module.exports.loadMapping = loadMapping;
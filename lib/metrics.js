@@ -0,0 +1,238 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const async = require('async');
+const _ = require('lodash');
+
+// prefix of all metric names
+const metric_prefix = 'couchdb_db_transform_';
+
+/*
+ * Escapes a label value as required by the Prometheus text exposition format.
+ * @param {String} value
+ * @returns {String} escaped value
+ */
+var escapeLabelValue = function(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+/*
+ * Renders a label set, e.g. {task_id="123"}.
+ * @param {Object} labels - label names and values
+ * @returns {String} rendered labels; empty string if no labels are defined
+ */
+var formatLabels = function(labels) {
+	var names = _.keys(labels).sort();
+	if(names.length === 0) {
+		return '';
+	}
+	return '{' + names.map(function(name) {
+		return name + '="' + escapeLabelValue(labels[name]) + '"';
+	}).join(',') + '}';
+};
+
+/*
+ * Base class for all metric types. Values are tracked per label set.
+ * @param {String} name - metric name (without prefix)
+ * @param {String} help - metric description
+ * @param {String} type - "counter", "gauge" or "histogram"
+ */
+function Metric(name, help, type) {
+	this.name = metric_prefix + name;
+	this.help = help;
+	this.type = type;
+	this.values = {};	// keyed by the rendered label set
+}
+
+/*
+ * Returns the value tracked for the label set, creating it if necessary.
+ * @param {Object} labels - label names and values
+ * @param {Function} create - returns the initial value
+ */
+Metric.prototype.getEntry = function(labels, create) {
+	var key = formatLabels(labels || {});
+	if(! this.values[key]) {
+		this.values[key] = {labels: labels || {}, value: create()};
+	}
+	return this.values[key];
+};
+
+/*
+ * Renders the metric in text exposition format.
+ * @returns {Array} lines
+ */
+Metric.prototype.render = function() {
+	var lines = ['# HELP ' + this.name + ' ' + this.help,
+				 '# TYPE ' + this.name + ' ' + this.type];
+	_.forEach(this.values, function(entry, key) {
+		lines.push(this.name + key + ' ' + entry.value);
+	}.bind(this));
+	return lines;
+};
+
+/*
+ * A monotonically increasing value.
+ */
+function Counter(name, help) {
+	Metric.call(this, name, help, 'counter');
+}
+
+Counter.prototype = Object.create(Metric.prototype);
+
+/*
+ * Increments the counter.
+ * @param {Object} labels - label names and values
+ * @param {Number} value - optional; defaults to 1
+ */
+Counter.prototype.inc = function(labels, value) {
+	this.getEntry(labels, _.constant(0)).value += (value === undefined) ? 1 : value;
+};
+
+/*
+ * A value that can go up and down.
+ */
+function Gauge(name, help) {
+	Metric.call(this, name, help, 'gauge');
+}
+
+Gauge.prototype = Object.create(Metric.prototype);
+
+/*
+ * Sets the gauge to value.
+ * @param {Object} labels - label names and values
+ * @param {Number} value
+ */
+Gauge.prototype.set = function(labels, value) {
+	this.getEntry(labels, _.constant(0)).value = value;
+};
+
+/*
+ * Counts observations in configurable buckets.
+ * @param {Array} buckets - upper bounds of the buckets, in ascending order
+ */
+function Histogram(name, help, buckets) {
+	Metric.call(this, name, help, 'histogram');
+	this.buckets = buckets;
+}
+
+Histogram.prototype = Object.create(Metric.prototype);
+
+/*
+ * Records an observation.
+ * @param {Object} labels - label names and values
+ * @param {Number} value
+ */
+Histogram.prototype.observe = function(labels, value) {
+	var entry = this.getEntry(labels, function() {
+		return {
+				counts: this.buckets.map(_.constant(0)),
+				sum: 0,
+				count: 0
+			   };
+	}.bind(this));
+
+	this.buckets.forEach(function(bound, index) {
+		if(value <= bound) {
+			entry.value.counts[index]++;
+		}
+	});
+	entry.value.sum += value;
+	entry.value.count++;
+};
+
+/*
+ * Renders the cumulative bucket counts, sum and count of observations for each label set.
+ * @returns {Array} lines
+ */
+Histogram.prototype.render = function() {
+	var lines = ['# HELP ' + this.name + ' ' + this.help,
+				 '# TYPE ' + this.name + ' ' + this.type];
+	_.forEach(this.values, function(entry) {
+		this.buckets.forEach(function(bound, index) {
+			lines.push(this.name + '_bucket' + formatLabels(_.assign({le: String(bound)}, entry.labels)) + ' ' + entry.value.counts[index]);
+		}.bind(this));
+		lines.push(this.name + '_bucket' + formatLabels(_.assign({le: '+Inf'}, entry.labels)) + ' ' + entry.value.count);
+		lines.push(this.name + '_sum' + formatLabels(entry.labels) + ' ' + entry.value.sum);
+		lines.push(this.name + '_count' + formatLabels(entry.labels) + ' ' + entry.value.count);
+	}.bind(this));
+	return lines;
+};
+
+// metrics that are reported by the service; all are labeled with the replication task id
+const metrics = {
+	changes_received: new Counter('changes_received_total', 'Number of changes received from the source database change feed.'),
+	changes_filtered: new Counter('changes_filtered_total', 'Number of changes that were ignored by the client-side filter.'),
+	changes_transformed: new Counter('changes_transformed_total', 'Number of changes that were processed by the transformer.'),
+	documents_written: new Counter('documents_written_total', 'Number of documents that were written to the target database.'),
+	documents_failed: new Counter('documents_failed_total', 'Number of documents that could not be transformed or written to the target database.'),
+	documents_invalid: new Counter('documents_invalid_total', 'Number of documents that were quarantined because they violate the validation schema.'),
+	documents_retried: new Counter('documents_retried_total', 'Number of documents whose write was retried after a transient error.'),
+	bulk_write_duration: new Histogram('bulk_write_duration_seconds', 'Duration of bulk write requests to the target database.',
+									   [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]),
+	batch_size: new Histogram('batch_size', 'Number of documents in the batches that are written to the target database.',
+							  [1, 10, 50, 100, 250, 500, 1000]),
+	write_queue_length: new Gauge('write_queue_length', 'Number of batches that are waiting to be written to the target database.'),
+	transform_queue_length: new Gauge('transform_queue_length', 'Number of changes that are waiting to be transformed.'),
+	buffer_size: new Gauge('buffer_size', 'Number of documents in the partially filled batch.'),
+	buffered_bytes: new Gauge('buffered_bytes', 'Serialized size of the documents that have not yet been written to the target database.'),
+	batch_limit: new Gauge('batch_limit', 'Current maximum number of documents in a batch, adapted to the write performance of the target database.'),
+	paused: new Gauge('paused', 'Set to 1 if the change feed is paused, 0 otherwise.'),
+	replication_lag: new Gauge('replication_lag_changes', 'Approximate number of source database changes that have not yet been applied to the target database.')
+};
+
+// functions that update gauges before the metrics are rendered; keyed by replication task id
+var collectors = {};
+
+/*
+ * Registers a function that updates the gauges of a replication task before the metrics are rendered.
+ * A previously registered function for the same task is replaced.
+ * @param {String} taskId - replication task id
+ * @param {Function} collector - invoked with (callback)
+ */
+var registerCollector = function(taskId, collector) {
+	collectors[taskId] = collector;
+};
+
+/*
+ * Returns all metrics in the Prometheus text exposition format.
+ * @param {Callback} callback - invoked with (err, text)
+ */
+var getMetrics = function(callback) {
+
+	async.eachSeries(_.values(collectors),
+					 function(collector, done) {
+					 	collector(function() {
+					 		// a collector that fails leaves the previous gauge values unchanged
+					 		return done();
+					 	});
+					 },
+					 function() {
+					 	var lines = [];
+					 	_.forEach(metrics, function(metric) {
+					 		lines = lines.concat(metric.render());
+					 	});
+					 	return callback(null, lines.join('\n') + '\n');
+					 });
+};
+
+module.exports.metrics = metrics;
+module.exports.registerCollector = registerCollector;
+module.exports.getMetrics = getMetrics;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
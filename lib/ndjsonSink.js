@@ -0,0 +1,287 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const async = require('async');
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':sink');
+const fs = require('fs');
+const path = require('path');
+
+const mutil = require('./util.js');
+
+// extension of the file that is currently written
+const active_file_extension = '.part';
+
+/*
+ * Sink that appends documents to NDJSON files (one JSON document per line). See sink.js.
+ *
+ * Documents are written to <directory>/<taskId>_<timestamp>_<n>.ndjson.part. Each batch is flushed to disk
+ * before it is reported as written, so the checkpoint never covers documents that were not stored. A file is
+ * rotated (renamed to <taskId>_<timestamp>_<n>.ndjson) once it exceeds the maximum size or age, when the sink
+ * is closed and, if the service was terminated, when the sink is initialized again. Rotated files are complete;
+ * a batch is never split across files.
+ *
+ * Deletions are written as {"_id": ..., "_deleted": true} or, if the deletion policy is "soft_delete",
+ * as {"_id": ..., "<soft_delete_field>": true}.
+ *
+ * @param {String} directory - the directory in which the files are stored, relative to the current working directory
+ * @param {String} taskId - unique identifier of the replication task; used as file name prefix
+ * @param {Object} options - the replication settings
+ * @param {Number} options.sink_max_file_bytes - size in bytes at which a file is rotated
+ * @param {Number} options.sink_max_file_age - time in ms after which a file is rotated
+ * @param {String} options.delete_policy - "delete" or "soft_delete"
+ * @param {String} options.soft_delete_field - the property that marks soft deleted documents
+ */
+function NDJSONSink(directory, taskId, options) {
+
+	this.directory = path.resolve(process.cwd(), directory);
+	this.directoryName = directory;
+	this.taskId = taskId;
+	this.options = options;
+	// the file that is currently written; {name, fd, bytes, timer}
+	this.file = null;
+	// number of files that were opened by this instance
+	this.fileCount = 0;
+
+	// files are written, rotated and closed one operation at a time
+	this.queue = async.queue(function(task, callback) {
+		task(callback);
+	}, 1);
+}
+
+/*
+ * Creates the directory and rotates the files that were not completed before the service was terminated.
+ * @param {Callback} callback - invoked with (err)
+ */
+NDJSONSink.prototype.init = function(callback) {
+
+	try {
+		mutil.mkdir(this.directory);
+	}
+	catch(err) {
+		return callback('Directory "' + this.directoryName + '" cannot be created: ' + err);
+	}
+
+	fs.readdir(this.directory, function(err, fileNames) {
+		if(err) {
+			return callback('Directory "' + this.directoryName + '" cannot be accessed: ' + err);
+		}
+
+		const incomplete = fileNames.filter(function(fileName) {
+			return ((fileName.indexOf(this.taskId + '_') === 0) && (path.extname(fileName) === active_file_extension));
+		}, this);
+
+		async.eachSeries(incomplete,
+						 function(fileName, done) {
+							debug('Rotating file "' + fileName + '" that was not completed.');
+							fs.rename(path.join(this.directory, fileName),
+									  path.join(this.directory, path.basename(fileName, active_file_extension)),
+									  done);
+						 }.bind(this),
+						 function(err) {
+							if(err) {
+								return callback('Files in directory "' + this.directoryName + '" cannot be rotated: ' + err);
+							}
+							return callback();
+						 }.bind(this));
+	}.bind(this));
+};
+
+/*
+ * @returns {String} - description of the sink
+ */
+NDJSONSink.prototype.getName = function() {
+	return 'NDJSON files in directory "' + this.directoryName + '"';
+};
+
+/*
+ * @returns {Object} - sink properties
+ */
+NDJSONSink.prototype.getInfo = function() {
+	return {
+				sink: 'ndjson',
+				directory: this.directoryName
+		   };
+};
+
+/*
+ * Assigns the record that will be written for each change to change.target_doc.
+ * @param {Array} changes - the batch content; [{seq, doc, last, deletion}]
+ * @param {Callback} callback - invoked with (err) when processing is complete
+ */
+NDJSONSink.prototype.prepare = function(changes, callback) {
+
+	changes.forEach(function(change) {
+		change.skip = false;
+		if(! change.deletion) {
+			change.target_doc = change.doc;
+		}
+		else if(this.options.delete_policy === 'soft_delete') {
+			change.target_doc = {_id: change.doc._id};
+			change.target_doc[this.options.soft_delete_field] = true;
+		}
+		else {
+			change.target_doc = {_id: change.doc._id, _deleted: true};
+		}
+	}, this);
+
+	return callback();
+};
+
+/*
+ * Opens a new file.
+ * @param {Callback} callback - invoked with (err)
+ */
+NDJSONSink.prototype.open = function(callback) {
+
+	this.fileCount++;
+	const name = this.taskId + '_' + new Date().toISOString().replace(/[-:.]/g, '') + '_' + this.fileCount + '.ndjson' + active_file_extension;
+
+	fs.open(path.join(this.directory, name), 'a', function(err, fd) {
+		if(err) {
+			return callback('File "' + name + '" cannot be created: ' + err);
+		}
+
+		debug('Writing documents to file "' + name + '".');
+
+		this.file = {name: name, fd: fd, bytes: 0, timer: null};
+
+		// rotate the file once it reached the maximum age, even if no further documents are written
+		const file = this.file;
+		file.timer = setTimeout(function() {
+			this.queue.push(function(done) {
+				if(this.file !== file) {
+					return done();
+				}
+				this.rotate(done);
+			}.bind(this));
+		}.bind(this), this.options.sink_max_file_age);
+		file.timer.unref();
+
+		return callback();
+	}.bind(this));
+};
+
+/*
+ * Closes the current file, if one is open, and removes the extension that marks it as incomplete.
+ * @param {Callback} callback - invoked with ()
+ */
+NDJSONSink.prototype.rotate = function(callback) {
+
+	if(! this.file) {
+		return callback();
+	}
+
+	const file = this.file;
+	this.file = null;
+	clearTimeout(file.timer);
+
+	fs.close(file.fd, function(err) {
+		if(err) {
+			console.error('File "' + file.name + '" could not be closed: ' + err);
+		}
+		fs.rename(path.join(this.directory, file.name),
+				  path.join(this.directory, path.basename(file.name, active_file_extension)),
+				  function(err) {
+					if(err) {
+						console.error('File "' + file.name + '" could not be rotated: ' + err);
+					}
+					else {
+						debug('File "' + file.name + '" was rotated. Size: ' + file.bytes + ' bytes.');
+					}
+					return callback();
+				  });
+	}.bind(this));
+};
+
+/*
+ * Appends documents to the current file and flushes them to disk.
+ * @param {Array} docs - the documents
+ * @param {Callback} callback - invoked with (err, results); results[i] is {ok, id} for docs[i]
+ */
+NDJSONSink.prototype.write = function(docs, callback) {
+
+	const data = Buffer.from(docs.map(function(doc) {
+		return JSON.stringify(doc);
+	}).join('\n') + '\n', 'utf8');
+
+	this.queue.push(function(done) {
+
+		var append = function() {
+			const file = this.file;
+			fs.write(file.fd, data, 0, data.length, null, function(err, written) {
+				if((! err) && (written < data.length)) {
+					err = 'only ' + written + ' of ' + data.length + ' bytes were written';
+				}
+				if(err) {
+					// discard the partially written batch; the changes are written again
+					return fs.ftruncate(file.fd, file.bytes, function() {
+						return done('Documents could not be written to file "' + file.name + '": ' + err);
+					});
+				}
+				fs.fsync(file.fd, function(err) {
+					if(err) {
+						return done('Documents could not be written to file "' + file.name + '": ' + err);
+					}
+					file.bytes = file.bytes + data.length;
+					return done();
+				});
+			});
+		}.bind(this);
+
+		var rotate = function(next) {
+			if((this.file) && (this.file.bytes > 0) && (this.file.bytes + data.length > this.options.sink_max_file_bytes)) {
+				return this.rotate(next);
+			}
+			return next();
+		}.bind(this);
+
+		rotate(function() {
+			if(this.file) {
+				return append();
+			}
+			this.open(function(err) {
+				if(err) {
+					return done(err);
+				}
+				append();
+			});
+		}.bind(this));
+
+	}.bind(this),
+	function(err) {
+		if(err) {
+			return callback(err);
+		}
+		return callback(null, docs.map(function(doc) {
+			return {ok: true, id: doc._id};
+		}));
+	});
+};
+
+/*
+ * Completes the current file.
+ * @param {Callback} callback - invoked with ()
+ */
+NDJSONSink.prototype.close = function(callback) {
+	this.queue.push(this.rotate.bind(this), function() {
+		return callback();
+	});
+};
+
+module.exports.NDJSONSink = NDJSONSink;
@@ -18,13 +18,42 @@
 
 const async = require('async');
 const crypto = require('crypto');
+const path = require('path');
+const v8 = require('v8');
 const consts = require('./consts');
 const debug = require('debug')(consts.appPrefix + ':replicate');
 const debug_data = require('debug')(consts.appPrefix + ':data');
 const debug_perf = require('debug')(consts.appPrefix + ':performance');
 
+const _ = require('lodash');
 const mutil = require('./util.js');
-const r_cloudant = require('./util/cloudantRepository.js');
+const repository = require('./util/repository.js');
+const sinks = require('./sink.js');
+const batches = require('./batch.js');
+const CheckpointTracker = require('./checkpoint.js').CheckpointTracker;
+const BatchSizer = require('./batchSizer.js').BatchSizer;
+const DryRunReport = require('./dryRun.js').DryRunReport;
+const BackfillFeed = require('./backfillFeed.js').BackfillFeed;
+const sandboxes = require('./sandbox.js');
+const metrics = require('./metrics.js').metrics;
+const registerMetricsCollector = require('./metrics.js').registerCollector;
+
+// maximum delay (in ms) between two attempts to write a batch of documents to the target database
+const max_write_retry_delay = 60000;
+
+// interval (in ms) at which the dry run report file is updated
+const dry_run_report_interval = 10000;
+
+/*
+ * Returns the serialized size of the documents that are derived from the changes.
+ * @param {Array} changes - [{seq, doc, last, deletion, bytes}]; bytes is undefined for changes that were not buffered
+ * @returns {Number} size in bytes; 0 if unknown
+ */
+var getSerializedSize = function(changes) {
+	return _.sumBy(changes, function(change) {
+		return change.bytes || 0;
+	});
+};
 
 /*
  * Replication function. Listens to the change feed of the database identified by <sourceCredentials>, 
@@ -33,14 +62,74 @@ const r_cloudant = require('./util/cloudantRepository.js');
  * @param {Object} sourceCredentials - credentials for the source database
  * @param {String} sourceCredentials.url - the URL of the source database
  * @param {String} sourceCredentials.dbname - the name of the source database
- * @param {Object} targetCredentials - credentials for the target database
+ * @param {Object} targetCredentials - credentials for the target database; optional if options.sink is "ndjson"
  * @param {String} targetCredentials.url - the URL of the target database
  * @param {String} targetCredentials.dbname - the name of the target database
  * @param {Boolean} restart - if true (false is default), process all document changes in the source database; if false process changes that were not yet processed
+ * @param {Object} options - optional replication settings
+ * @param {String} options.update_mode - "insert" (default) or "upsert". In upsert mode changes are applied on top of 
+ *                                       the current revision of the document in the target database
+ * @param {String} options.delete_policy - how deletions of source documents are applied: "delete" (default) deletes the 
+ *                                         target document, "soft_delete" sets options.soft_delete_field in the target document 
+ *                                         to true and "ignore" doesn't modify the target document
+ * @param {String} options.soft_delete_field - the property that marks a document as deleted in soft_delete mode (default "deleted")
+ * @param {Number} options.write_retry_max_attempts - maximum number of attempts to write a batch of documents if a transient error 
+ *                                                    is encountered (default 5)
+ * @param {Number} options.write_retry_initial_delay - delay in ms before the first retry (default 1000); the delay is doubled after each retry
+ * @param {String} options.server_filter - optional; "<design_doc_name>/<filter_name>" of the server-side filter
+ * @param {Object} options.server_filter_selector - optional; Mango selector that is applied to the change feed at the source
+ * @param {Array} options.server_filter_doc_ids - optional; ids of the documents whose changes are replicated
+ * @param {String} options.client_filter - optional; file containing the client-side filter function
+ * @param {Array} options.transform_function - optional; ordered list of files containing transformation routines 
+ *                                             (or a comma separated list of file names)
+ * @param {String} options.validation_schema - optional; JSON or YAML file containing the JSON Schema that transformed documents
+ *                                            must conform to. Documents that don't are saved in the dead letter store.
+ * @param {Number} options.changes_per_batch - maximum number of changes that are written to the target database in one request (default 500)
+ * @param {Number} options.max_batch_bytes - maximum serialized size in bytes of the documents that are written in one request (default 5242880)
+ * @param {Number} options.target_batch_latency - batches are made smaller if a bulk write request takes longer (in ms) and larger
+ *                                                if it completes in less than half the time (default 5000)
+ * @param {Number} options.writer_concurrency - maximum number of batches that are written to the target database in parallel (default 1)
+ * @param {Number} options.max_queued_batches - the change feed is paused if more batches are waiting to be written (default 50)
+ * @param {Number} options.max_buffered_bytes - the change feed is paused if the documents that have not yet been written 
+ *                                              exceed the specified size in bytes (default 67108864)
+ * @param {Number} options.max_heap_usage - the change feed is paused if the used heap exceeds the specified fraction of the heap
+ *                                          size limit (default 0.8)
+ * @param {Number} options.queue_check_interval - interval in ms at which the heap usage is checked while the change feed is paused (default 1000)
+ * @param {String} options.repository_type - where recovery information, events and dead letter records are stored: 
+ *                                           "cloudant" (default; transformer_ database on the target server), "file" or "redis"
+ * @param {String} options.repository_directory - directory of the file repository (default "repository")
+ * @param {String} options.repository_url - URL of the Redis server (redis repository) or of the CouchDB server that hosts
+ *                                          the repository database (cloudant repository; default is the target server)
+ * @param {String} options.repository_database - name of the repository database (cloudant repository; default "transformer_")
+ * @param {Number} options.event_max_age - optional; events that are older than the specified number of days are deleted
+ * @param {Number} options.event_max_count - optional; maximum number of events per severity that are retained
+ * @param {Boolean} options.event_rollup - if true, consecutive similar events are recorded in one event record (default false)
+ * @param {Number} options.event_pruning_interval - interval in ms at which events are pruned (default 3600000)
+ * @param {String} options.sandbox - where the filter and transformation routines are run: "none" (default; in the service
+ *                                   process) or "process" (in a child process)
+ * @param {Number} options.sandbox_timeout - maximum execution time in ms of a sandboxed routine per document (default 1000)
+ * @param {Number} options.sandbox_memory_limit - maximum heap size in MB of the sandbox child process (default 256)
+ * @param {String} options.sandbox_violation_policy - "skip" (default) skips a document that caused a sandbox violation,
+ *                                                    "halt" stops the replication task
+ * @param {Boolean} options.dry_run - if true, changes are filtered, transformed and validated but nothing is written to the 
+ *                                    target database and no recovery information or events are saved (default false). 
+ *                                    See getDryRunReport.
+ * @param {Number} options.dry_run_sample_size - maximum number of source documents that are included in the dry run report, 
+ *                                               along with the documents they were transformed into (default 20)
+ * @param {String} options.dry_run_directory - directory in which the dry run report is saved (default "dry_run")
+ * @param {Boolean} options.backfill - if true, only the changes that were recorded in the source database before replication
+ *                                     started are processed. Replication stops once they have been written (default false). 
+ *                                     See whenBackfillComplete.
+ * @param {String} options.sink - where the documents are written: "couchdb" (default; the target database) or "ndjson" 
+ *                                (NDJSON files in options.sink_directory)
+ * @param {String} options.sink_directory - directory in which the NDJSON files are stored (default "export")
+ * @param {Number} options.sink_max_file_bytes - an NDJSON file is rotated once it reaches the specified size in bytes (default 104857600)
+ * @param {Number} options.sink_max_file_age - an NDJSON file is rotated once it is older than the specified number of ms (default 3600000)
  */
 function Replicator(sourceCredentials, 
 					targetCredentials,
-					restart) {
+					restart,
+					options) {
 
 	this.sourceCredentials = sourceCredentials;
 	this.targetCredentials = targetCredentials;
@@ -48,6 +137,59 @@ function Replicator(sourceCredentials,
 	//		            false = process document changes that were not yet processed)	
 	this.restart = restart || false;
 
+	this.options = {
+					update_mode: (options && options.update_mode) || 'insert',
+					delete_policy: (options && options.delete_policy) || 'delete',
+					soft_delete_field: (options && options.soft_delete_field) || 'deleted',
+					write_retry_max_attempts: (options && parseInt(options.write_retry_max_attempts, 10)) || 5,
+					write_retry_initial_delay: (options && parseInt(options.write_retry_initial_delay, 10)) || 1000,
+					server_filter: (options && options.server_filter) || null,
+					server_filter_selector: (options && options.server_filter_selector) || null,
+					server_filter_doc_ids: (options && options.server_filter_doc_ids) || null,
+					client_filter: (options && options.client_filter) || null,
+					transform_function: (options && options.transform_function) || null,
+					validation_schema: (options && options.validation_schema) || null,
+					changes_per_batch: (options && parseInt(options.changes_per_batch, 10)) || 500,
+					max_batch_bytes: (options && parseInt(options.max_batch_bytes, 10)) || 5242880,
+					target_batch_latency: (options && parseInt(options.target_batch_latency, 10)) || 5000,
+					writer_concurrency: (options && parseInt(options.writer_concurrency, 10)) || 1,
+					max_queued_batches: (options && parseInt(options.max_queued_batches, 10)) || 50,
+					max_buffered_bytes: (options && parseInt(options.max_buffered_bytes, 10)) || 67108864,
+					max_heap_usage: (options && parseFloat(options.max_heap_usage)) || 0.8,
+					queue_check_interval: (options && parseInt(options.queue_check_interval, 10)) || 1000,
+					repository_type: (options && options.repository_type) || 'cloudant',
+					repository_directory: (options && options.repository_directory) || 'repository',
+					repository_url: (options && options.repository_url) || null,
+					repository_database: (options && options.repository_database) || null,
+					event_max_age: (options && parseInt(options.event_max_age, 10)) || null,
+					event_max_count: (options && parseInt(options.event_max_count, 10)) || null,
+					event_rollup: (options && options.event_rollup === true) || false,
+					event_pruning_interval: (options && parseInt(options.event_pruning_interval, 10)) || 3600000,
+					sandbox: (options && options.sandbox) || 'none',
+					sandbox_timeout: (options && parseInt(options.sandbox_timeout, 10)) || 1000,
+					sandbox_memory_limit: (options && parseInt(options.sandbox_memory_limit, 10)) || 256,
+					sandbox_violation_policy: (options && options.sandbox_violation_policy) || 'skip',
+					dry_run: (options && options.dry_run === true) || false,
+					dry_run_sample_size: (options && parseInt(options.dry_run_sample_size, 10)) || 20,
+					dry_run_directory: (options && options.dry_run_directory) || 'dry_run',
+					backfill: (options && options.backfill === true) || false,
+					sink: (options && options.sink) || 'couchdb',
+					sink_directory: (options && options.sink_directory) || 'export',
+					sink_max_file_bytes: (options && parseInt(options.sink_max_file_bytes, 10)) || 104857600,
+					sink_max_file_age: (options && parseInt(options.sink_max_file_age, 10)) || 3600000
+				   };
+
+	// unique identifier of this replication task; used to store and load recovery information. Exports are
+	// identified by their directory.
+	const target = (this.options.sink === 'ndjson') ? {sink: 'ndjson', directory: this.options.sink_directory} : this.targetCredentials;
+	this.taskId = crypto.createHash('md5').update(JSON.stringify(this.sourceCredentials) + ' ' + JSON.stringify(target)).digest('hex');
+
+	// labels that identify the metrics of this replication task
+	this.metricLabels = {task_id: this.taskId};
+
+	// adapts the batch size to the observed write performance of the target database
+	this.batchSizer = new BatchSizer(this.options.changes_per_batch, this.options.max_batch_bytes, this.options.target_batch_latency);
+
 	// service status information
 	this.stats = {
 					initialized: false,			// service status
@@ -67,11 +209,24 @@ function Replicator(sourceCredentials,
 						server: null,	// server-side filter info
 						client: null	// client-side filter info
 					},
-					transformer: null	// transformer info
+					transformer: null,	// transformer info
+					validator: null,	// validation schema info
+					sandbox: {
+						mode: this.options.sandbox,		// where filter and transformation routines are run
+						violations: 0					// documents that caused a sandbox violation
+					}
 				};
 
 
 	this.sourceCloudant = null;			
+	this.sink = null;
+	this.repository = null;
+	this.transformer = null;
+	this.sandbox = null;
+	this.feedControl = null;
+
+	// replication state: "initializing", "running", "paused", "stopping" or "stopped"
+	this.state = 'initializing';
 
 } // constructor
 
@@ -85,10 +240,69 @@ Replicator.prototype.init = function(initCallback) {
 		return initCallback('Source database information is missing or incomplete. Expected input format https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$SOURCE_DATABASE_NAME');
 	}
 
-	if((! this.targetCredentials) || (! this.targetCredentials.url) || (! this.targetCredentials.dbname)) {
+	if(sinks.sink_types.indexOf(this.options.sink) === -1) {
+		return initCallback('Sink "' + this.options.sink + '" is not supported. Valid values are "' + sinks.sink_types.join('", "') + '".');
+	}
+
+	if((this.options.sink === 'couchdb') && 
+	   ((! this.targetCredentials) || (! this.targetCredentials.url) || (! this.targetCredentials.dbname))) {
 		return initCallback('Target database information is missing or incomplete. Expected input format https://$USERNAME:$PASSWORD@$REMOTE_USERNAME.cloudant.com/$TARGET_DATABASE_NAME');
 	}
 
+	if(['insert', 'upsert'].indexOf(this.options.update_mode) === -1) {
+		return initCallback('Update mode "' + this.options.update_mode + '" is not supported. Valid values are "insert" and "upsert".');
+	}
+
+	if(['delete', 'soft_delete', 'ignore'].indexOf(this.options.delete_policy) === -1) {
+		return initCallback('Deletion policy "' + this.options.delete_policy + '" is not supported. Valid values are "delete", "soft_delete" and "ignore".');
+	}
+
+	if(repository.repository_types.indexOf(this.options.repository_type) === -1) {
+		return initCallback('Repository type "' + this.options.repository_type + '" is not supported. Valid values are "' + repository.repository_types.join('", "') + '".');
+	}
+
+	if((this.options.repository_type === 'redis') && (! this.options.repository_url)) {
+		return initCallback('The Redis repository requires the URL of the Redis server.');
+	}
+
+	if((this.options.repository_type === 'cloudant') && (! this.options.repository_url) && (! this.targetCredentials)) {
+		return initCallback('The Cloudant repository requires the URL of the repository server if no target database is defined.');
+	}
+
+	if((this.options.write_retry_max_attempts < 1) || (this.options.write_retry_initial_delay < 0)) {
+		return initCallback('The write retry settings are invalid. The maximum number of attempts must be at least 1 and the initial delay must not be negative.');
+	}
+
+	if(sandboxes.sandbox_modes.indexOf(this.options.sandbox) === -1) {
+		return initCallback('Sandbox mode "' + this.options.sandbox + '" is not supported. Valid values are "' + sandboxes.sandbox_modes.join('", "') + '".');
+	}
+
+	if(sandboxes.violation_policies.indexOf(this.options.sandbox_violation_policy) === -1) {
+		return initCallback('Sandbox violation policy "' + this.options.sandbox_violation_policy + '" is not supported. Valid values are "' + sandboxes.violation_policies.join('", "') + '".');
+	}
+
+	// in dry-run mode the outcome of each change is recorded in the report instead of the target database
+	this.dryRunReport = null;
+	if(this.options.dry_run) {
+		this.dryRunReport = new DryRunReport(this.taskId, this.options.dry_run_sample_size);
+		console.log('Replication task ' + this.taskId + ' runs in dry-run mode. No documents are written to the target database. ' + 
+					'The report is saved in file "' + this.getDryRunReportFileName() + '".');
+	}
+
+	// in backfill mode replication stops once the changes up to the current update sequence of the source database were processed
+	this.backfill = null;
+	if(this.options.backfill) {
+		this.backfill = {
+							started: Date.now(),
+							until_seq: null,		// update sequence of the source database when replication started
+							caught_up_seq: null,	// update sequence at which the change feed stopped
+							error: null,			// why the backfill did not complete
+							completed: false,
+							summary: null,			// see getBackfillSummary
+							callbacks: []			// see whenBackfillComplete
+						};
+	}
+
 	// connect to source system	
 	this.sourceCloudant = require('cloudant')({url:this.sourceCredentials.url});
 
@@ -105,122 +319,244 @@ Replicator.prototype.init = function(initCallback) {
 								database_name : this.sourceCredentials.dbname
 							};
 
+		if(this.backfill) {
+			this.backfill.until_seq = body.update_seq;
+			console.log('Replication task ' + this.taskId + ' runs in backfill mode. Changes up to update sequence "' + body.update_seq + '" are processed.');
+		}
+
 		const sourceDb = this.sourceCloudant.db.use(this.sourceCredentials.dbname);
 
-		// connect to target system
-		const targetCloudant = require('cloudant')({url:this.targetCredentials.url});
+		// connect to target system; an export to files does not require one
+		const targetCloudant = (this.targetCredentials) ? require('cloudant')({url:this.targetCredentials.url}) : null;
 
-		// verify that the target database exists
-		targetCloudant.db.get(this.targetCredentials.dbname, function(err, body) {
+		// documents are written to the sink
+		this.sink = sinks.createSink(this.options, 
+									 targetCloudant,
+									 this.targetCredentials,
+									 this.taskId);
+
+		// verify that the sink can be written to; the sink is not used in dry-run mode
+		const initSink = (this.options.dry_run) ? function(callback) { return callback(); } : this.sink.init.bind(this.sink);
+
+		initSink(function(err) {
 
 			if(err) {
-				return initCallback('The target database "' + this.targetCredentials.dbname + '" cannot be accessed: ' + err);
+				return initCallback(err);
 			}
 
-			debug('Target database information: ' + JSON.stringify(body));
-
-			this.stats.target = {
-									database_name: this.targetCredentials.dbname,
+			this.stats.target = _.assign(this.sink.getInfo(), {
 									last_applied_update_seq: 0,
 									copied: 0,
-									failed: 0 
-								};
+									failed: 0,
+									deleted: 0,
+									soft_deleted: 0,
+									deletions_ignored: 0,
+									retried: 0,
+									dead_letters: 0
+								});
 
-			const targetDb = targetCloudant.db.use(this.targetCredentials.dbname);
-
-			const concurrency = 1; // maximum number of workers that will insert batches of documents in the target database
+			// maximum number of workers that will insert batches of documents in the target database
+			const concurrency = this.options.writer_concurrency;
 
 			var that = this;
 
-			// for now only Cloudant is supported as repository
-			var rr = new r_cloudant.CloudantRepository(targetCloudant, 
-													   crypto.createHash('md5').update(JSON.stringify(this.sourceCredentials) + ' ' + JSON.stringify(this.targetCredentials)).digest('hex'));
+			// stores recovery information, events and dead letter records
+			var rr = repository.createRepository(this.options, 
+												 targetCloudant,
+												 this.taskId);
+
+			this.repository = rr;
+
+			// Batches may be written in parallel and complete in any order. The checkpoint only advances to the
+			// last seq of a batch once all batches that were started before it have completed.
+			var checkpoints = new CheckpointTracker();
+			var saved_checkpoint = null;
+
+			// recovery information is saved one at a time; a save covers all checkpoints that were reached before it started
+			var checkpoint_queue = async.queue(function(task, callback) {
+				const checkpoint = this.stats.target.last_applied_update_seq;
+				if((checkpoint === saved_checkpoint) || (this.options.dry_run)) {
+					return callback();
+				}
+				rr.saveRecoveryInfo(checkpoint,
+									this.stats.target.last_change_applied,
+									function(err) {
+										if(! err) {
+											saved_checkpoint = checkpoint;
+										}
+										return callback(err);		
+									});
+			}.bind(this), 1);
+
+			// set if documents that could not be written could not be preserved either; pending batches are not written
+			var writesHalted = false;
 
 			// bulk insert documents into the target database
 			var q = async.queue(function(batch, callback) {
 
+				if(writesHalted) {
+					return callback();
+				}
+
 				debug('Saving new batch of documents. Batch size is ' + batch.changes.length);
 
-				var seq = [];
-				var docs = [];
-				batch.changes.forEach(function(change) {
-					seq.push(change.seq);	
-					docs.push(change.doc);
-				});		
+				// only the most recent version of a document in this batch is written; changes that did not produce
+				// a document only advance the checkpoint
+				var changes = batches.removeSupersededChanges(batch.changes.filter(function(change) {
+					return (change.doc);
+				}));
+
+				// batches are started in the order in which they were queued
+				const ticket = checkpoints.start(_.compact(changes.map(function(change) {
+					return change.doc._id;
+				})));
+
+				// records that the batch was processed and saves the checkpoint, if it advanced
+				var complete = function(err, lastSeq) {
+					const checkpoint = checkpoints.complete(ticket, lastSeq);
+					if(! checkpoint) {
+						return callback(err);
+					}
+					this.stats.target.last_applied_update_seq = checkpoint;
+					checkpoint_queue.push({}, function(saveErr) {
+						return callback(err || saveErr);
+					});
+				}.bind(this);
+
+				// preserves documents that could not be written as dead letter records before the batch is completed; 
+				// if they cannot be preserved the checkpoint must not advance past the batch and replication is stopped
+				var preserve = function(failedChanges, reasons, err) {
+					this.saveDeadLetters('write', failedChanges, reasons, function(saveErr) {
+						if(! saveErr) {
+							return complete(err);
+						}
+						checkpoints.abandon(ticket);
+						if(! writesHalted) {
+							writesHalted = true;
+							console.error('Replication task ' + this.taskId + ' is stopped because documents that could not be written to ' + 
+										  this.sink.getName() + ' could not be saved as dead letter records: ' + saveErr);
+							if(this.backfill) {
+								this.backfill.error = 'Dead letter records could not be saved: ' + saveErr;
+							}
+							setImmediate(function() {
+								if(['running', 'paused'].indexOf(this.state) !== -1) {
+									this.stopReplication(function() {});
+								}
+							}.bind(this));
+						}
+						return callback(err);
+					}.bind(this));
+				}.bind(this);
 
-				targetDb.bulk({docs:docs}, 
-							  function(err, data) {
-								if(err) {
+				if(changes.length === 0) {
+					return complete(null, batches.getCheckpoint(batch.changes));
+				}
 
-									// an error was returned; assume that none of the documents was successfully stored
-									this.stats.target.failed = this.stats.target.failed + batch.changes.length;
-
-									// save error information for troubleshooting purposes
-									rr.saveErrorEvent('target-bulk-write-error',
-													  'target database',
-													  {	
-													 	error: err	
-													  },
-											          function(err) {
-											          	if(err) {
-											         		console.error('"target-bulk-write-error" event data could not be saved in the repository: ' + err);
-											         	}
-											         	console.log('"target-bulk-write-error" event data was saved in the repository.');
-											          });
-
-									return callback('Error saving documents in target database "' + 
-													this.targetCredentials.dbname + '": ' + err);
-								}
-								else {
-
-									// keep track of when the last change was written to the target database
-									this.stats.target.last_change_applied = Date();
-
-									var lastSuccessSeqInBatch = null;
-									var errors = [];
-
-									data.forEach(function (result, index) {
-										
-													if(result.id && result.rev) {
-														this.stats.target.copied++;
-														lastSuccessSeqInBatch = seq[index];
-													}
-													else {
-														errors.push(result);
-														this.stats.target.failed++;
-													}
-												},
-												this);
-
-									if(errors.length > 0) {
-
-										// save error information for troubleshooting purposes
-										rr.saveErrorEvent('target-bulk-write-error',
-														  'target database',
-														  {
-														  	results: data	
-														  },
-												          function(err) {
-												         	if(err) {
-												         		console.error('"target-bulk-write-error" event data could not be saved in the repository: ' + err);
-												         	}
-												         	console.log('"target-bulk-write-error" event data was saved in the repository.');
-												          });
-
-										return callback('Error saving documents in target database "' + 
-														this.targetCredentials.dbname + '": ' + JSON.stringify(errors));
-									}
+				metrics.batch_size.observe(this.metricLabels, changes.length);
 
-									this.stats.target.last_applied_update_seq = lastSuccessSeqInBatch;
+				var write = function() {
 
-									// write recovery info
-									rr.saveRecoveryInfo(this.stats.target.last_applied_update_seq,
-														this.stats.target.last_change_applied,
-														function(err) {
-															return callback(err);		
-														});
-								}
-							  }.bind(this));
+					if(writesHalted) {
+						// the batch was waiting for a batch whose documents could not be preserved
+						checkpoints.abandon(ticket);
+						return callback();
+					}
+
+					this.writeChanges(changes, function(err, results) {
+						if(err) {
+
+							// an error was returned; assume that none of the documents was successfully stored
+							this.stats.target.failed = this.stats.target.failed + changes.length;
+							metrics.documents_failed.inc(this.metricLabels, changes.length);
+
+							// save error information for troubleshooting purposes
+							rr.saveErrorEvent('target-bulk-write-error',
+											  'target database',
+											  {	
+											 	error: err	
+											  },
+									          function(err) {
+									          	if(err) {
+									         		console.error('"target-bulk-write-error" event data could not be saved in the repository: ' + err);
+									         	}
+									         	console.log('"target-bulk-write-error" event data was saved in the repository.');
+									          });
+
+							// preserve the documents
+							return preserve(changes,
+											changes.map(function() {
+												return err;
+											}),
+											'Error saving documents in ' + this.sink.getName() + ': ' + JSON.stringify(err));
+						}
+						else {
+
+							// keep track of when the last change was written to the target database
+							this.stats.target.last_change_applied = Date();
+
+							var errors = [];
+							var failedChanges = [];
+
+							changes.forEach(function (change, index) {
+
+											var result = results[index];
+
+											if(! result) {
+												// nothing was written for this change
+												return;
+											}
+							
+											if(! result.error) {
+												metrics.documents_written.inc(this.metricLabels);
+												if(! change.deletion) {
+													this.stats.target.copied++;
+												}
+												else if(this.options.delete_policy === 'soft_delete') {
+													this.stats.target.soft_deleted++;
+												}
+												else {
+													this.stats.target.deleted++;
+												}
+											}
+											else {
+												errors.push(result);
+												failedChanges.push(change);
+												this.stats.target.failed++;
+												metrics.documents_failed.inc(this.metricLabels);
+											}
+										},
+										this);
+
+							if(errors.length > 0) {
+
+								// save error information for troubleshooting purposes
+								rr.saveErrorEvent('target-bulk-write-error',
+												  'target database',
+												  {
+												  	results: results	
+												  },
+										          function(err) {
+										         	if(err) {
+										         		console.error('"target-bulk-write-error" event data could not be saved in the repository: ' + err);
+										         	}
+										         	console.log('"target-bulk-write-error" event data was saved in the repository.');
+										          });
+
+								// preserve the documents that could not be saved
+								return preserve(failedChanges,
+												errors,
+												'Error saving documents in ' + this.sink.getName() + ': ' + JSON.stringify(errors));
+							}
+
+							// A change might have been transformed into multiple documents. The source seq of a change
+							// is only recorded after the last document that was derived from it (change.last) was saved.
+							return complete(null, batches.getCheckpoint(batch.changes));
+						}
+					}.bind(this));
+				}.bind(this);
+
+				// a preceding batch that writes one of the documents must complete first
+				checkpoints.whenUnblocked(ticket, write);
 
 			}.bind(this), concurrency);
 
@@ -232,26 +568,67 @@ Replicator.prototype.init = function(initCallback) {
 			// repository is ready
 			rr.on('ready', function(recoveryInfo) {
 
-				// load transformation routine, if configured
-				require('./transform.js').getTransformer(function(err, transformer) {
+				// filter and transformation routines run in the sandbox, if configured
+				this.closeSandbox();
+				this.sandbox = sandboxes.createSandbox({
+															mode: this.options.sandbox,
+															timeout: this.options.sandbox_timeout,
+															memory_limit: this.options.sandbox_memory_limit
+													   });
+
+				// load transformation routine and validation schema, if configured
+				async.series({
+								transformer: function(done) {
+									require('./transform.js').getTransformer(this.options.transform_function || [], this.sandbox, done);
+								}.bind(this),
+								validator: function(done) {
+									require('./validator.js').getValidator(this.options.validation_schema, done);
+								}.bind(this)
+							 },
+							 function(err, pipeline) {
 					if(err) {
+						this.closeSandbox();
 						return initCallback(err);
 					}
 
+					const transformer = pipeline.transformer;
+					const validator = pipeline.validator;
+
+					this.transformer = transformer;
+					this.validator = validator;
+
 					this.stats.transformer = {
 												name : transformer.getName(),
-												definition : transformer.getRoutineDefinition()
+												definition : transformer.getRoutineDefinition(),
+												stages : transformer.getStages(),
+												dropped : 0,
+												failed : 0
 											};
 
+					this.stats.validator = {
+												name : validator.getName(),
+												definition : validator.getDefinition(),
+												invalid : 0
+										   };
+
 					// load filters, if configured
 					require('./filter.js').getFilter(sourceDb, 
+													 {
+													 	server_filter: this.options.server_filter,
+													 	server_filter_selector: this.options.server_filter_selector,
+													 	server_filter_doc_ids: this.options.server_filter_doc_ids,
+													 	client_filter: this.options.client_filter,
+													 	sandbox: this.sandbox
+													 },
 													 function(err, filter) {
 						if(err) {
+							this.closeSandbox();
 							return initCallback(err);
 						}
 
 						this.stats.filter.server = {
 													name : filter.getServerFilterName(),
+													type : filter.getServerFilterType(),
 													definition : filter.getServerFilterDefinition()
 												   };
 						this.stats.filter.client = {
@@ -261,8 +638,8 @@ Replicator.prototype.init = function(initCallback) {
 												   };
 
 						console.log('Replicator ready. Starting to listen for changes in database "' + 
-									this.sourceCredentials.dbname + '". Changes will be applied to database "' + 
-									this.targetCredentials.dbname + '".');
+									this.sourceCredentials.dbname + '". Changes will be applied to ' + 
+									this.sink.getName() + '.');
 
 						debug(JSON.stringify({source: mutil.getCredentialsWithoutPassword(this.sourceCredentials),
 							           		  target: mutil.getCredentialsWithoutPassword(this.targetCredentials)}));
@@ -272,9 +649,11 @@ Replicator.prototype.init = function(initCallback) {
 										 'application',
 										 {source: mutil.getCredentialsWithoutPassword(this.sourceCredentials), 
 										  target: mutil.getCredentialsWithoutPassword(this.targetCredentials),
+										  sink: this.sink.getInfo(),
 										  filter: {
 										  	server: {
 										  		'name' : filter.getServerFilterName(), 
+										  		'type' : filter.getServerFilterType(),
 										  		'definition': filter.getServerFilterDefinition()
 										  	}, 
 										  	client: {
@@ -284,7 +663,8 @@ Replicator.prototype.init = function(initCallback) {
 										  },
 										  transformer: {
 										  		'name': transformer.getName(),
-										  		'definition': transformer.getRoutineDefinition()	
+										  		'definition': transformer.getRoutineDefinition(),
+										  		'stages': transformer.getStages()
 										  }		  
 										 },
 								         function(err) {
@@ -295,7 +675,12 @@ Replicator.prototype.init = function(initCallback) {
 								         });
 
 						var changes = [];
-						const changes_per_batch = 500;
+						const changes_per_batch = this.options.changes_per_batch;
+						const batchSizer = this.batchSizer;
+						// serialized size of the documents in the partially filled batch
+						var buffer_bytes = 0;
+						// serialized size of the documents that have not yet been written (partially filled batch, queued and in-flight batches)
+						var buffered_bytes = 0;
 
 						if((! this.restart) && (recoveryInfo)) {
 							// a recovery record was found; continue processing changes in the source database
@@ -314,13 +699,19 @@ Replicator.prototype.init = function(initCallback) {
 											include_docs: true
 										  };
 
-						if(filter.hasServerFilter()) {
-							feedOptions.filter = filter.getServerFilterName();	
-						}					
+						// apply the server-side filter, if one is defined
+						_.assign(feedOptions, filter.getChangeFeedOptions());
 
 					    // create a change feed for the source database; capture either all document changes (couch_start_seq = 0)
-						// or all changes that occurred after couch_start_seq
-						var feed = sourceDb.follow(feedOptions);
+						// or all changes that occurred after couch_start_seq. In backfill mode the feed stops once it caught up 
+						// with the update sequence of the source database at startup.
+						var feed = null;
+						if(this.backfill) {
+							feed = new BackfillFeed(sourceDb, feedOptions, this.backfill.until_seq, this.options.changes_per_batch);
+						}
+						else {
+							feed = sourceDb.follow(feedOptions);
+						}
 
 						// The follow implementation does not support filtering on the server and 
 						// locally.If we were to do the following the STAGE_1 filter would be ignored:
@@ -329,45 +720,296 @@ Replicator.prototype.init = function(initCallback) {
 						// }
 						// We are therefore performing our own filtering for each incoming change
 
-						// process document changes
-						feed.on('change', function (change) {
+						// invoked when a worker has processed a batch
+						var batchCallback = function(err) {
+							if(err)	{
+								console.error('Worker returned an error: ' + err);
+				 			}
+							console.log('Status summary: ' + JSON.stringify(that.getStatus()));
+						};
+
+						// Throttle change feed to limit memory consumption. The feed is paused as soon as more than <max_queued_batches>
+						// batches are waiting to be written, more than <changes_per_batch> changes are waiting to be transformed,
+						// the documents that have not been written exceed <max_buffered_bytes> or the used heap exceeds
+						// <max_heap_usage>. The condition is re-evaluated whenever a change or batch was processed and
+						// every <queue_check_interval> ms while the feed is paused.
+						const max_queued_batches = this.options.max_queued_batches;
+						const max_buffered_bytes = this.options.max_buffered_bytes;
+						const max_heap_used = v8.getHeapStatistics().heap_size_limit * this.options.max_heap_usage;
+						const check_queue_size_interval = this.options.queue_check_interval;
+						var feed_paused = false;
+						var feed_draining = false;
+						// number of changes that are waiting to be filtered and transformed or are being processed
+						var pending_transformations = 0;
+						var throttle_timer = null;
+
+						// returns the reason why the feed must be paused; null if it can run
+						var getThrottleReason = function() {
+							if(q.length() > max_queued_batches) {
+								return 'Queue size: ' + q.length();
+							}
+							if(pending_transformations > changes_per_batch) {
+								return 'Pending transformations: ' + pending_transformations;
+							}
+							if(buffered_bytes > max_buffered_bytes) {
+								return 'Buffered bytes: ' + buffered_bytes;
+							}
+							// pausing only frees memory if documents are waiting to be written
+							const heapUsed = v8.getHeapStatistics().used_heap_size;
+							if((buffered_bytes > 0) && (heapUsed > max_heap_used)) {
+								return 'Heap usage: ' + heapUsed;
+							}
+							return null;
+						};
+
+						var throttle = function() {
+							if(feed_draining) {
+								return;
+							}
+							const reason = getThrottleReason();
+							if(reason) {
+								if(! feed_paused) {
+									feed.pause();
+									feed_paused = true;
+									debug_perf('Pausing change feed to reduce memory consumption. ' + reason);
+									debug_perf('Memory utilization: ' + JSON.stringify(process.memoryUsage()));
+								}
+								if(! throttle_timer) {
+									// heap usage can drop while no change or batch is processed
+									throttle_timer = setTimeout(function() {
+										throttle_timer = null;
+										throttle();
+									}, check_queue_size_interval);
+								}
+							}
+							else if(feed_paused) {
+								// don't resume a feed that was paused on request
+								if(that.state !== 'paused') {
+									feed.resume();
+								}
+								feed_paused = false;
+								debug_perf('Resuming change feed. Queue size: ' + q.length() + ' Buffered bytes: ' + buffered_bytes);
+							}
+						};
+
+						// moves the leading changes that fit within the current batch limits to the write queue
+						var pushBatch = function() {
+							const batch = changes.splice(0, batchSizer.getBatchLength(_.map(changes, 'bytes')));
+							const bytes = _.sumBy(batch, 'bytes');
+							buffer_bytes = buffer_bytes - bytes;
+							q.push({changes: batch}, function(err) {
+								buffered_bytes = buffered_bytes - bytes;
+								batchCallback(err);
+								throttle();
+							});
+						};
+
+						// adds the documents that were derived from a change to the batch. A change that did not produce
+						// a document (docs is empty) is added without a document, so that it advances the checkpoint.
+						var addToBatch = function(change, docs, deletion) {
+							if(that.dryRunReport) {
+								// nothing is written in dry-run mode
+								return;
+							}
+						  	batches.getChanges(change, docs, deletion).forEach(function(batchChange) {
+						  		const bytes = (batchChange.doc) ? Buffer.byteLength(JSON.stringify(batchChange.doc)) : 0;
+						  		batchChange.bytes = bytes;
+								changes.push(batchChange);
+								buffer_bytes = buffer_bytes + bytes;
+								buffered_bytes = buffered_bytes + bytes;
+						  	});
+							while((changes.length > 0) && (batchSizer.isFull(changes.length, buffer_bytes))) {
+								pushBatch();
+							}
+						};
+
+						// set if a sandbox violation halted replication; changes that were not yet processed are not written
+						var halted = false;
+
+						// a filter or transformation routine exceeded the sandbox limits; record the violation and apply the policy
+						var handleViolation = function(stage, change, violation, callback) {
+
+							that.stats.sandbox.violations++;
+
+							rr.saveErrorEvent('sandbox-violation',
+											  stage,
+											  {
+											  	doc_id: change.doc._id,
+											  	seq: change.seq,
+											  	routine: violation.routine,
+											  	violation: violation.type,
+											  	message: violation.message,
+											  	policy: that.options.sandbox_violation_policy
+											  });
+
+							if(that.options.sandbox_violation_policy === 'halt') {
+								if(! halted) {
+									halted = true;
+									console.error('Replication task ' + that.taskId + ' is stopped because document ' + change.doc._id + ' caused a sandbox violation: ' + violation);
+									if(that.backfill) {
+										that.backfill.error = 'Document ' + change.doc._id + ' caused a sandbox violation: ' + violation;
+									}
+									setImmediate(function() {
+										if(['running', 'paused'].indexOf(that.state) !== -1) {
+											that.stopReplication(function() {});
+										}
+									});
+								}
+								return callback();
+							}
+
+							// skip the document
+							console.error('Document ' + change.doc._id + ' is skipped because it caused a sandbox violation: ' + violation);
+							if(stage === 'transformer') {
+								that.stats.transformer.failed++;
+								metrics.documents_failed.inc(that.metricLabels);
+								that.saveDeadLetters('transform', [change], [violation.toString()]);
+							}
+							return callback();
+						};
 
-							if(filter.applyClientFilter(change)) {
+						// invokes the transformation routine and adds the resulting documents to the batch
+						var transformChange = function(change, callback) {
+
+							// transformation routines might modify the source document, which is preserved if a document is quarantined
+							// or included in the dry run report
+							const sourceDoc = ((validator.hasSchema()) || (that.dryRunReport)) ? _.cloneDeep(change.doc) : change.doc;
+
+							transformer.transform(change.doc,
+												  function(err, transformedDoc) {
+												  	if(sandboxes.isViolation(err)) {
+												  		return handleViolation('transformer', change, err, callback);
+												  	}
+
+												  	if(err) {
+												  		// preserve the source document and continue with the next change
+												  		console.error('Document ' + change.doc._id + ' (seq ' + change.seq + ') is skipped because it could not be transformed: ' + err);
+												  		that.stats.transformer.failed++;
+												  		metrics.documents_failed.inc(that.metricLabels);
+												  		that.saveDeadLetters('transform', [change], [err]);
+												  		return callback();
+												  	}
+
+												  	metrics.changes_transformed.inc(that.metricLabels);
+
+												  	// the routine might have split the document into multiple documents (array)
+												  	// or dropped it (null or undefined)
+												  	var transformedDocs = batches.toDocumentList(transformedDoc);
+
+												  	if(transformedDocs.length === 0) {
+												  		that.stats.transformer.dropped++;
+												  		if(that.dryRunReport) {
+												  			that.dryRunReport.recordDropped();
+												  		}
+												  		debug('Transformation routine dropped document ' + change.doc._id + '.');
+												  		addToBatch(change, [], false);
+												  		return callback();
+												  	}
+
+												  	// documents that violate the validation schema are quarantined instead of being written
+												  	var validDocs = transformedDocs.filter(function(transformedDoc) {
+												  		const violations = validator.validate(transformedDoc);
+												  		if(violations.length === 0) {
+												  			return true;
+												  		}
+												  		that.stats.validator.invalid++;
+												  		metrics.documents_invalid.inc(that.metricLabels);
+												  		console.error('Document ' + transformedDoc._id + ' (source document ' + sourceDoc._id + ') is quarantined because it violates the validation schema: ' + JSON.stringify(violations));
+												  		that.saveDeadLetters('validate', 
+												  							 [{seq: change.seq, doc: transformedDoc, source_doc: sourceDoc, violations: violations}],
+												  							 ['The document violates the validation schema.']);
+												  		return false;
+												  	});
+
+												  	if(validDocs.length === 0) {
+												  		addToBatch(change, [], false);
+												  		return callback();
+												  	}
+
+												  	if(that.dryRunReport) {
+												  		// record what would have been written
+												  		that.dryRunReport.recordDocuments(change, sourceDoc, validDocs);
+												  		return callback();
+												  	}
+
+												  	// add change to batch
+												  	addToBatch(change, validDocs, false);
+													return callback();
+												  });
+						};
+
+						// Filter and transformation routines might be asynchronous. Changes are therefore filtered and transformed 
+						// one at a time (in the order in which they were received) before they are added to the batch
+						var tq = async.queue(function(change, callback) {
+
+							if(halted) {
+								// the remaining changes are processed when replication is restarted
+								return callback();
+							}
+
+							if(that.dryRunReport) {
+								that.dryRunReport.recordReceived(change);
+							}
+
+							filter.evaluateClientFilter(change, function(err, keep) {
+
+								if(err) {
+									return handleViolation('client filter', change, err, callback);
+								}
+
+								if(! keep) {
+									that.stats.filter.client.filtered++;
+									if(that.dryRunReport) {
+										that.dryRunReport.recordFiltered();
+									}
+									metrics.changes_filtered.inc(that.metricLabels);
+									debug('Ignored change in document ' + change.doc._id + '.');
+									debug(JSON.stringify(change.doc));
+									addToBatch(change, [], false);
+									return callback();
+								}
 
 								// status monitoring: keep track of when the last change notification was received
 								that.stats.source.last_change_received = Date();
 
 								debug_data(change);
 
-								// updates are currently not supported; remove _rev from document;
-								// note that this might cause document update conflicts
+								// the source revision is meaningless in the target database; remove _rev from document.
+								// Note that in insert mode this might cause document update conflicts
 								delete change.doc._rev;
 
-								// invoke transformation routine
-								transformer.transform(change.doc,
-													  function(err, transformedDoc) {
-													  	if(err) {
-													  		return initCallback(err);
-													  	}
-													  	// add change to batch
-														changes.push({seq:change.seq, 
-														 		      doc: transformedDoc});		  	
-														if(changes.length >= changes_per_batch) {
-															q.push({changes:changes.splice(0, changes_per_batch)}, 
-																   function(err) {
-																	if(err)	{
-																		console.error('Worker returned an error: ' + err);
-														 			}
-																	console.log('Status summary: ' + JSON.stringify(that.getStatus()));
-																   });			  	
-														}
-													  }.bind(that));
-							}
-							else {
-								that.stats.filter.client.filtered++;
-								debug('Ignored change in document ' + change.doc._id + '.');
-								debug(JSON.stringify(change.doc));
-							}
+								if(change.deleted) {
+									if(that.dryRunReport) {
+										that.dryRunReport.recordDeletion(that.options.delete_policy === 'ignore');
+									}
+									else if(that.options.delete_policy === 'ignore') {
+										that.stats.target.deletions_ignored++;
+										debug('Ignored deletion of document ' + change.doc._id + '.');
+										addToBatch(change, [], false);
+									}
+									else {
+										// deletions are applied to the target document with the same id; the 
+										// transformation routine is not invoked
+										addToBatch(change, [{_id: change.doc._id}], true);
+									}
+									return callback();
+								}
+
+								return transformChange(change, callback);
+							});
+						}, 1);
+
+						// process document changes
+						feed.on('change', function (change) {
+
+							metrics.changes_received.inc(that.metricLabels);
+
+							pending_transformations++;
+							tq.push(change, function() {
+								pending_transformations--;
+								throttle();
+							});
+							throttle();
 						});
 
 						// an error occurred while listening to the change feed
@@ -376,6 +1018,25 @@ Replicator.prototype.init = function(initCallback) {
 												  'source feed',
 											 	  JSON.stringify(error));
 							  	console.error('Source feed error: ' + error);
+							  	if(that.backfill) {
+							  		// the backfill feed stops after an error
+							  		that.backfill.error = 'Source feed error: ' + error;
+							  		if(['running', 'paused'].indexOf(that.state) !== -1) {
+							  			that.stopReplication(function() {});
+							  		}
+							  	}
+							   });
+
+						// the backfill feed read all changes up to the update sequence of the source database at startup
+						feed.on('catchup', function (seq) {
+								if((! that.backfill) || (that.backfill.error)) {
+									return;
+								}
+								that.backfill.caught_up_seq = seq;
+								console.log('Replication task ' + that.taskId + ' caught up with update sequence "' + that.backfill.until_seq + '".');
+								if(['running', 'paused'].indexOf(that.state) !== -1) {
+									that.stopReplication(function() {});
+								}
 							   });
 
 						// TBD
@@ -409,34 +1070,23 @@ Replicator.prototype.init = function(initCallback) {
 							  	console.error('Source feed stopped.');
 							   });
 
-						// Throttle change feed to limit memory consumption; check queue size every 
-						// <check_queue_size_interval> ms and pause if more than <max_queued_batches> 
-						// are waiting to be processed
-						const max_queued_batches = 50;
-						const check_queue_size_interval = 10000;
-						var feed_paused = false;
-						setInterval(function() {
-						  
-						  if(q.length() > max_queued_batches) {
-						  	if(! feed_paused) {
-						  		feed.pause();
-						  		feed_paused = true;
-						  		debug_perf('Pausing change feed to reduce memory consumption. Queue size: ' + q.length());
-						  		debug_perf('Memory utilization: ' + JSON.stringify(process.memoryUsage()));
-						  	}
-						  }
-						  else {
-						  	if(feed_paused) {
-							  	feed.resume();
-							  	feed_paused = false;
-							  	debug_perf('Resuming change feed. Queue size: ' + q.length());
-						  	}
-						  }
-						}, check_queue_size_interval);
-
 						// follow the change feed
 						feed.follow();
 
+						// update the dry run report file every <dry_run_report_interval> ms
+						var report_timer = null;
+						if(this.dryRunReport) {
+							this.saveDryRunReport();
+							report_timer = setInterval(this.saveDryRunReport.bind(this), dry_run_report_interval);
+						}
+
+						// delete events that exceed the retention policy now and every <event_pruning_interval> ms
+						var prune_timer = null;
+						if((this.options.event_max_age) || (this.options.event_max_count)) {
+							this.pruneEvents();
+							prune_timer = setInterval(this.pruneEvents.bind(this), this.options.event_pruning_interval);
+						}
+
 						/*
 						 * Monitor replication status every <X> ms. If no change activity was reported by the source 
 						 * flush the document buffer. X is calculated as follows:
@@ -450,7 +1100,7 @@ Replicator.prototype.init = function(initCallback) {
 						var flush_timer = null;
 
 						var flush = function() {
-							if(changes.length === 0) {
+							if((changes.length === 0) && (tq.idle())) {
 								if(q.idle()) {
 									if(inactivity_check_interval_delay_factor <= max_inactivity_check_interval_delay_factor) {
 										inactivity_check_interval_delay_factor++;
@@ -462,18 +1112,11 @@ Replicator.prototype.init = function(initCallback) {
 								console.log(Date() + ' Document buffer is empty. Next attempt to flush buffer will be made in ' + (inactivity_check_interval * (Math.pow(2,inactivity_check_interval_delay_factor)) / 1000) + ' seconds.');
 							}
 							else {
-								if(q.idle()) {
+								if((q.idle()) && (changes.length > 0)) {
 									// there's at least one document in the buffer that has not been sent to the target
 									// write the buffer content to the target
 									console.log('Flushing buffer containing ' + changes.length + ' documents.');
-									q.push({changes:changes.splice(0, changes_per_batch)}, 
-										   function(err) {
-												if(err)	{
-								  					console.error('Worker returned an error: ' + err);
-									  			}
-
-												console.log('Status summary: ' + JSON.stringify(that.getStatus()));
-											}.bind(this));
+									pushBatch();
 								}
 								inactivity_check_interval_delay_factor = 0;	
 								clearInterval(flush_timer);	
@@ -486,22 +1129,840 @@ Replicator.prototype.init = function(initCallback) {
 						flush_timer = setInterval(flush.bind(this),
 						 						  inactivity_check_interval * (Math.pow(2,inactivity_check_interval_delay_factor)));
 
+						// update the gauges of this task when the metrics are requested
+						registerMetricsCollector(this.taskId, function(callback) {
+							metrics.write_queue_length.set(that.metricLabels, q.length());
+							metrics.transform_queue_length.set(that.metricLabels, tq.length());
+							metrics.buffer_size.set(that.metricLabels, changes.length);
+							metrics.buffered_bytes.set(that.metricLabels, buffered_bytes);
+							metrics.batch_limit.set(that.metricLabels, batchSizer.getLimits().docs);
+							metrics.paused.set(that.metricLabels, ((feed_paused) || (that.state === 'paused')) ? 1 : 0);
+							that.sourceCloudant.db.get(that.sourceCredentials.dbname, function(err, body) {
+								if(err) {
+									return callback(err);
+								}
+								// the numeric prefix of a sequence number approximates the number of changes
+								metrics.replication_lag.set(that.metricLabels, 
+															Math.max(0, mutil.getSequenceNumber(body.update_seq) - mutil.getSequenceNumber(that.stats.target.last_applied_update_seq)));
+								return callback();
+							});
+						});
 
+						// used by pause, resume and stop to control the change feed
+						this.feedControl = {
+							pause: function() {
+								feed.pause();
+							},
+							resume: function() {
+								// the throttle resumes the feed once the queues have been drained
+								if(! feed_paused) {
+									feed.resume();
+								}
+							},
+							drain: function(callback) {
+								// stop listening to the change feed and write all pending changes to the target database
+								feed_draining = true;
+								clearTimeout(throttle_timer);
+								clearInterval(prune_timer);
+								clearInterval(report_timer);
+								feed.stop();
+								var drain_timer = setInterval(function() {
+									if(! tq.idle()) {
+										return;
+									}
+									while(changes.length > 0) {
+										pushBatch();
+									}
+									if(! q.idle()) {
+										return;
+									}
+									clearInterval(drain_timer);
+									clearInterval(flush_timer);
+									// save the final checkpoint, in case saving the checkpoint of the last batch failed
+									checkpoint_queue.push({}, function(err) {
+										if(err) {
+											console.error('The final checkpoint of replication task ' + that.taskId + ' could not be saved: ' + err);
+										}
+										return callback();
+									});
+								}, 100);
+							}
+						};
+
+						this.state = 'running';
 						this.stats.initialized = true;
 
 						// signal to the caller that initialization has completed
 						return initCallback();
 
 					}.bind(this));	// require('./filter.js')...
-				}.bind(this)); 		// require('./transform.js')...
+				}.bind(this)); 		// async.series({transformer: ..., validator: ...})
 			}.bind(this)); 			// rr.on('ready',...
-		}.bind(this)); 				// targetCloudant.db.get(this.targetCredentials.dbname,...
+		}.bind(this)); 				// initSink(...
 	}.bind(this)); 					// this.sourceCloudant.db.get(this.sourceCredentials.dbname,...
 };
 
+/*
+ * Writes changes to the sink (see sink.js). Requests that fail with a transient error (see util.isRetryableError)
+ * are retried up to options.write_retry_max_attempts times. The delay between attempts starts at 
+ * options.write_retry_initial_delay ms and is doubled after each attempt. If the target server rejects the
+ * request because it is too large (413) the changes are split in half and each half is written separately.
+ * The outcome of each request is reported to the batch sizer.
+ * @param {Array} changes - the changes to be written; [{seq, doc, last, deletion, bytes}]
+ * @param {Callback} callback - invoked with (err, results); results[i] is the bulk write result for changes[i]
+ *                              or null if nothing was written for changes[i]
+ */
+Replicator.prototype.writeChanges = function(changes, callback) {
+
+	if(this.options.dry_run) {
+		return callback('Documents are not written to the target database in dry-run mode.');
+	}
+
+	async.retry({
+					times: this.options.write_retry_max_attempts,
+					interval: function(attempt) {
+						// attempt is the number of the upcoming attempt (2 for the first retry)
+						return Math.min(this.options.write_retry_initial_delay * Math.pow(2, attempt - 2), max_write_retry_delay);
+					}.bind(this),
+					errorFilter: function(err) {
+						if(! mutil.isRetryableError(err)) {
+							return false;
+						}
+						if(err.statusCode === 429) {
+							this.batchSizer.recordThrottled();
+						}
+						this.stats.target.retried = this.stats.target.retried + changes.length;
+						metrics.documents_retried.inc(this.metricLabels, changes.length);
+						console.log('Write request for ' + changes.length + ' documents failed with a transient error and will be retried: ' + JSON.stringify(err));
+						this.repository.saveWarningEvent('target-bulk-write-retry',
+														 'target database',
+														 {
+														 	error: err,
+														 	documents: changes.length
+														 });
+						return true;
+					}.bind(this)
+				},
+				function(attemptCallback) {
+					// look up target revisions (upsert mode) and resolve deletions
+					this.sink.prepare(changes,
+									  function(err) {
+										if(err) {
+											return attemptCallback(err);
+										}
+
+										var docs = changes.filter(function(change) {
+														return (! change.skip);
+												   }).map(function(change) {
+														return change.target_doc;
+												   });
+
+										if(docs.length === 0) {
+											return attemptCallback(null, changes.map(function() {
+												return null;
+											}));
+										}
+
+										const started = Date.now();
+										this.sink.write(docs, 
+														function(err, data) {
+															const latency = Date.now() - started;
+															metrics.bulk_write_duration.observe(this.metricLabels, latency / 1000);
+															if(err) {
+																return attemptCallback(err);
+															}
+
+															this.batchSizer.recordLatency(latency, docs.length, getSerializedSize(changes));
+
+															var index = 0;
+															return attemptCallback(null, changes.map(function(change) {
+																return (change.skip ? null : data[index++]);
+															}));
+														}.bind(this));
+									  }.bind(this));
+				}.bind(this),
+				function(err, results) {
+
+					if((! err) || (err.statusCode !== 413) || (changes.length < 2)) {
+						return callback(err, results);
+					}
+
+					this.batchSizer.recordTooLarge(changes.length, getSerializedSize(changes));
+
+					const half = Math.ceil(changes.length / 2);
+					console.log('Write request for ' + changes.length + ' documents was rejected because it is too large. Writing ' + 
+								half + ' and ' + (changes.length - half) + ' documents in separate requests.');
+
+					async.mapSeries([changes.slice(0, half), changes.slice(half)],
+									function(part, partCallback) {
+										this.writeChanges(part, function(err, results) {
+											// a part that failed is reported as a failure of each of its changes
+											return partCallback(null, {
+																		error: err,
+																		results: err ? part.map(function() {
+																			return {error: 'bulk_write_failed', reason: err};
+																		}) : results
+																	  });
+										});
+									}.bind(this),
+									function(err, parts) {
+										if((parts[0].error) && (parts[1].error)) {
+											return callback(parts[0].error);
+										}
+										return callback(null, parts[0].results.concat(parts[1].results));
+									});
+				}.bind(this));
+};
+
+/*
+ * Saves changes that could not be processed in the dead letter store of the repository.
+ * @param {String} stage - processing stage in which the changes failed ("transform", "validate" or "write")
+ * @param {Array} changes - the changes that could not be processed; changes that failed validation define the 
+ *                          transformed document (doc), the source document (source_doc) and the schema violations (violations)
+ * @param {Array} reasons - error information for each change
+ * @param {Callback} callback - optional; invoked with (err) when processing is complete
+ */
+Replicator.prototype.saveDeadLetters = function(stage, changes, reasons, callback) {
+
+	if(this.dryRunReport) {
+		// nothing is preserved in dry-run mode; the changes are listed in the report
+		changes.forEach(function(change, index) {
+			this.dryRunReport.recordError(stage, change, reasons[index]);
+		}, this);
+		if(callback) {
+			return callback();
+		}
+		return;
+	}
+
+	var records = changes.map(function(change, index) {
+		var record = {
+						stage: stage,
+						seq: change.seq,
+						doc_id: (change.source_doc || change.doc)._id,
+						reason: reasons[index],
+						attempts: 1
+					 };
+		if(stage === 'transform') {
+			record.source_doc = change.doc;
+		}
+		else if(stage === 'validate') {
+			// the source document is transformed again when the record is retried
+			record.source_doc = change.source_doc;
+			record.doc = _.omit(change.doc, '_rev');
+			record.violations = change.violations;
+		}
+		else {
+			record.deletion = (change.deletion || false);
+			// revisions are resolved when the document is written
+			record.doc = (change.deletion ? {_id: change.doc._id} : _.omit(change.doc, '_rev'));
+		}
+		return record;
+	});
+
+	this.repository.saveDeadLetters(records, function(err) {
+		if(err) {
+			console.error('Dead letter records could not be saved in the repository: ' + err);
+		}
+		else {
+			this.stats.target.dead_letters = this.stats.target.dead_letters + records.length;
+			debug(records.length + ' dead letter record(s) were saved in the repository.');
+		}
+		if(callback) {
+			return callback(err);
+		}
+	}.bind(this));
+};
+
+/*
+ * Deletes the events of this task that exceed the retention policy (options.event_max_age and options.event_max_count)
+ * @param {Callback} callback - optional; invoked with (err, removed)
+ */
+Replicator.prototype.pruneEvents = function(callback) {
+
+	this.repository.pruneEvents(this.options.event_max_age, 
+								this.options.event_max_count,
+								function(err, removed) {
+									if(err) {
+										console.error('Events of replication task ' + this.taskId + ' could not be pruned: ' + err);
+									}
+									else if(removed > 0) {
+										console.log('Deleted ' + removed + ' event record(s) of replication task ' + this.taskId + '.');
+									}
+									if(callback) {
+										return callback(err, removed);
+									}
+								}.bind(this));
+};
+
+/*
+ * Returns one page of the events that were recorded for this task
+ * @param {Object} query - normalized query, as returned by events.parseEventQuery
+ * @param {Callback} callback - invoked with (err, page); page.events contains the events and page.bookmark identifies the next page
+ */
+Replicator.prototype.getEvents = function(query, 
+										  callback) {
+
+	if(! this.stats.initialized) {
+		return callback('The replicator is not initialized.');
+	}
+
+	this.repository.getEvents(query, callback);
+};
+
+/*
+ * Returns the dry run report (see DryRunReport.getReport)
+ * @param {Callback} callback - invoked with (err, report)
+ */
+Replicator.prototype.getDryRunReport = function(callback) {
+
+	if(! this.options.dry_run) {
+		return callback('Replication task ' + this.taskId + ' does not run in dry-run mode.');
+	}
+
+	if(! this.dryRunReport) {
+		return callback('The replicator is not initialized.');
+	}
+
+	return callback(null, this.dryRunReport.getReport());
+};
+
+/*
+ * @returns {String} - the file in which the dry run report is saved, relative to the current working directory
+ */
+Replicator.prototype.getDryRunReportFileName = function() {
+	return path.join(this.options.dry_run_directory, this.taskId + '_dry_run.ndjson');
+};
+
+/*
+ * Saves the dry run report in NDJSON format (see DryRunReport.toNDJSON)
+ * @param {Callback} callback - optional; invoked with (err)
+ */
+Replicator.prototype.saveDryRunReport = function(callback) {
+
+	if(! this.dryRunReport) {
+		if(callback) {
+			return callback();
+		}
+		return;
+	}
+
+	this.dryRunReport.save(this.getDryRunReportFileName(), callback);
+};
+
+/*
+ * Returns the content of the dead letter store
+ * @param {Callback} callback - invoked with (err, records)
+ */
+Replicator.prototype.getDeadLetters = function(callback) {
+
+	if(! this.stats.initialized) {
+		return callback('The replicator is not initialized.');
+	}
+
+	this.repository.getDeadLetters(callback);
+};
+
+/*
+ * Retries processing of documents in the dead letter store. Documents that failed to transform or violated the
+ * validation schema are transformed, validated and written, documents that failed to write are written. Records of documents that were processed
+ * successfully are removed from the dead letter store. The recovery information is not modified.
+ * @param {Array} ids - optional; the ids of the dead letter records to be retried. If null, all records are retried.
+ * @param {Callback} callback - invoked with (err, summary)
+ * @returns {Object} summary
+ * @returns {Numeric} summary.retried - number of records that were retried
+ * @returns {Numeric} summary.succeeded - number of records that were processed successfully
+ * @returns {Numeric} summary.failed - number of records that could not be processed
+ */
+Replicator.prototype.retryDeadLetters = function(ids, callback) {
+
+	if(! this.stats.initialized) {
+		return callback('The replicator is not initialized.');
+	}
+
+	if(this.options.dry_run) {
+		return callback('Dead letter records cannot be retried in dry-run mode.');
+	}
+
+	this.repository.getDeadLetters(ids, function(err, records) {
+		if(err) {
+			return callback(err);
+		}
+
+		debug('Retrying ' + records.length + ' dead letter record(s).');
+
+		// re-create the changes for each record
+		async.mapSeries(records,
+						function(record, recordCallback) {
+							if(['transform', 'validate'].indexOf(record.stage) !== -1) {
+								this.transformer.transform(_.cloneDeep(record.source_doc), 
+														   function(err, transformedDoc) {
+																if(err) {
+																	return recordCallback(null, {record: record, error: err});
+																}
+																var docs = batches.toDocumentList(transformedDoc);
+																var violations = _.flatten(docs.map(this.validator.validate, this.validator));
+																if(violations.length > 0) {
+																	record.violations = violations;
+																	return recordCallback(null, {record: record, error: 'The document violates the validation schema.'});
+																}
+																return recordCallback(null, {
+																							 record: record, 
+																							 changes: docs.map(function(doc, index) {
+																							 	return {seq: record.seq, doc: doc, last: (index === docs.length - 1), deletion: false};
+																							 })
+																							});
+														   }.bind(this));
+							}
+							else {
+								return recordCallback(null, {
+															 record: record, 
+															 changes: [{seq: record.seq, doc: _.cloneDeep(record.doc), last: true, deletion: record.deletion}]
+															});
+							}
+						}.bind(this),
+						function(err, items) {
+
+							var changes = [];
+							items.forEach(function(item) {
+								if(item.changes) {
+									changes = changes.concat(item.changes);
+								}
+							});
+
+							this.writeChanges(changes, function(err, results) {
+
+								var index = 0;
+								var succeeded = [];
+								var failed = [];
+
+								items.forEach(function(item) {
+									if(item.changes) {
+										item.changes.forEach(function() {
+											var result = results ? results[index] : null;
+											index++;
+											if(err) {
+												item.error = err;
+											}
+											else if((result) && (result.error)) {
+												item.error = result;
+											}
+											else if(result) {
+												this.stats.target.copied++;
+											}
+										}, this);
+									}
+									if(item.error) {
+										item.record.attempts = (item.record.attempts || 1) + 1;
+										item.record.reason = item.error;
+										failed.push(item.record);
+									}
+									else {
+										succeeded.push(item.record);
+									}
+								}, this);
+
+								debug('Dead letter retry summary: ' + succeeded.length + ' succeeded, ' + failed.length + ' failed.');
+
+								this.repository.deleteDeadLetters(succeeded, function(err) {
+									if(err) {
+										return callback(err);
+									}
+									this.repository.saveDeadLetters(failed, function(err) {
+										if(err) {
+											return callback(err);
+										}
+										return callback(null, {
+																retried: records.length,
+																succeeded: succeeded.length,
+																failed: failed.length
+															  });
+									});
+								}.bind(this));
+							}.bind(this));
+						}.bind(this));
+	}.bind(this));
+};
+
+/*
+ * Removes records from the dead letter store
+ * @param {Array} ids - optional; the ids of the dead letter records to be removed. If null, all records are removed.
+ * @param {Callback} callback - invoked with (err, summary)
+ * @returns {Object} summary
+ * @returns {Numeric} summary.discarded - number of records that were removed
+ */
+Replicator.prototype.discardDeadLetters = function(ids, callback) {
+
+	if(! this.stats.initialized) {
+		return callback('The replicator is not initialized.');
+	}
+
+	if(this.options.dry_run) {
+		return callback('Dead letter records cannot be discarded in dry-run mode.');
+	}
+
+	this.repository.getDeadLetters(ids, function(err, records) {
+		if(err) {
+			return callback(err);
+		}
+		this.repository.deleteDeadLetters(records, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			return callback(null, {discarded: records.length});
+		});
+	}.bind(this));
+};
+
+/*
+ * Returns the replication state: "initializing", "running", "paused", "stopping" or "stopped"
+ * @return {String} state
+ */
+Replicator.prototype.getState = function() {
+	return this.state;
+};
+
+/*
+ * Records a runtime control action as an application event in the repository.
+ * @param {String} action - "pause", "resume", "stop" or "restart"
+ * @param {Object} data - optional; additional event information
+ * @param {Callback} callback - optional; invoked with () once the event was saved
+ */
+Replicator.prototype.saveControlEvent = function(action, data, callback) {
+	if(! this.repository) {
+		// a restart failed before the repository was re-created
+		console.error('The ' + action + ' event could not be saved because the repository is not available.');
+		if(callback) {
+			return callback();
+		}
+		return;
+	}
+	this.repository.saveInfoEvent(action,
+								  'application',
+								  _.assign({last_applied_update_seq: this.stats.target.last_applied_update_seq}, data),
+								  function(err) {
+								  	if(err) {
+								  		console.error('The ' + action + ' event could not be saved in the repository: ' + err);
+								  	}
+								  	if(callback) {
+								  		return callback();
+								  	}
+								  });
+};
+
+/*
+ * Pauses the change feed. Changes that were already received are still written to the target database.
+ * @param {callback} callback(err, state)
+ */
+Replicator.prototype.pauseReplication = function(callback) {
+
+	if(this.state !== 'running') {
+		return callback('Replication task ' + this.taskId + ' cannot be paused because it is ' + this.state + '.');
+	}
+
+	this.feedControl.pause();
+	this.state = 'paused';
+	console.log('Replication task ' + this.taskId + ' was paused.');
+	this.saveControlEvent('pause');
+	return callback(null, this.state);
+};
+
+/*
+ * Resumes a paused change feed.
+ * @param {callback} callback(err, state)
+ */
+Replicator.prototype.resumeReplication = function(callback) {
+
+	if(this.state !== 'paused') {
+		return callback('Replication task ' + this.taskId + ' cannot be resumed because it is ' + this.state + '.');
+	}
+
+	this.state = 'running';
+	this.feedControl.resume();
+	console.log('Replication task ' + this.taskId + ' was resumed.');
+	this.saveControlEvent('resume');
+	return callback(null, this.state);
+};
+
+/*
+ * Stops the change feed after all changes that were already received have been written to the target database.
+ * @param {callback} callback(err, state) - invoked after the pending changes have been written
+ */
+Replicator.prototype.stopReplication = function(callback) {
+
+	if(['running', 'paused'].indexOf(this.state) === -1) {
+		return callback('Replication task ' + this.taskId + ' cannot be stopped because it is ' + this.state + '.');
+	}
+
+	this.state = 'stopping';
+	console.log('Stopping replication task ' + this.taskId + '. Pending changes are written to the target database.');
+
+	this.feedControl.drain(function() {
+		this.state = 'stopped';
+		this.feedControl = null;
+		this.closeSandbox();
+		console.log('Replication task ' + this.taskId + ' was stopped.');
+		// the dry run report reflects all changes that were processed
+		async.series([
+						this.sink.close.bind(this.sink),
+						this.saveControlEvent.bind(this, 'stop', null),
+						this.saveDryRunReport.bind(this),
+						this.completeBackfill.bind(this)
+					 ],
+					 function() {
+						return callback(null, this.state);
+					 }.bind(this));
+	}.bind(this));
+};
+
+/*
+ * Completes the backfill once replication was stopped. If the change feed caught up and all documents were processed 
+ * (none failed or violated the validation schema), the update sequence it caught up with is saved as the final checkpoint. 
+ * Changes that were filtered at the source don't advance the checkpoint otherwise. The summary is displayed and passed to the callbacks registered with whenBackfillComplete.
+ * @param {Callback} callback - invoked with () when processing is complete
+ */
+Replicator.prototype.completeBackfill = function(callback) {
+
+	if((! this.backfill) || (this.backfill.completed)) {
+		return callback();
+	}
+
+	const backfill = this.backfill;
+
+	if((! backfill.caught_up_seq) && (! backfill.error)) {
+		backfill.error = 'Replication task ' + this.taskId + ' was stopped before it caught up with update sequence "' + backfill.until_seq + '".';
+	}
+
+	var saveCheckpoint = function(done) {
+		// the final checkpoint is only saved if all documents were processed
+		const summary = this.getBackfillSummary();
+		if((backfill.error) || (this.options.dry_run) || (summary.failed > 0) || (summary.invalid > 0) ||
+		   (backfill.caught_up_seq === this.stats.target.last_applied_update_seq)) {
+			return done();
+		}
+		this.repository.saveRecoveryInfo(backfill.caught_up_seq,
+										 this.stats.target.last_change_applied,
+										 function(err) {
+											if(err) {
+												backfill.error = 'The final checkpoint could not be saved: ' + err;
+											}
+											else {
+												this.stats.target.last_applied_update_seq = backfill.caught_up_seq;
+											}
+											return done();
+										 }.bind(this));
+	}.bind(this);
+
+	saveCheckpoint(function() {
+		backfill.completed = true;
+		backfill.summary = this.getBackfillSummary();
+		if(backfill.error) {
+			console.error('Backfill of replication task ' + this.taskId + ' did not complete: ' + backfill.error);
+		}
+		console.log('Backfill summary: ' + JSON.stringify(backfill.summary));
+		backfill.callbacks.forEach(function(backfillCallback) {
+			backfillCallback(backfill.error, backfill.summary);
+		});
+		backfill.callbacks = [];
+		return callback();
+	}.bind(this));
+};
+
+/*
+ * Returns the outcome of the backfill
+ * @return {Object} summary - null if the replication task does not run in backfill mode
+ * @return {String} summary.task_id - unique identifier of this replication task
+ * @return {Boolean} summary.dry_run - true if nothing was written to the target database
+ * @return {String} summary.until_seq - update sequence of the source database when replication started
+ * @return {String} summary.last_update_seq - the final checkpoint
+ * @return {Numeric} summary.copied - documents copied
+ * @return {Numeric} summary.deleted - documents that were deleted or marked as deleted in the target database
+ * @return {Numeric} summary.filtered - documents that were not copied because the filter condition was met
+ * @return {Numeric} summary.dropped - documents that were not copied because the transformation routine dropped them
+ * @return {Numeric} summary.invalid - documents that were not copied because they violate the validation schema
+ * @return {Numeric} summary.failed - documents that could not be transformed or written
+ * @return {Numeric} summary.dead_letters - documents that were saved in the dead letter store
+ * @return {Numeric} summary.duration - elapsed time in ms
+ * @return {String} summary.error - why the backfill did not complete; null if it did
+ */
+Replicator.prototype.getBackfillSummary = function() {
+
+	if(! this.backfill) {
+		return null;
+	}
+
+	const target = this.stats.target || {};
+
+	return {
+				task_id: this.taskId,
+				dry_run: this.options.dry_run,
+				until_seq: this.backfill.until_seq,
+				last_update_seq: target.last_applied_update_seq,
+				copied: target.copied || 0,
+				deleted: (target.deleted || 0) + (target.soft_deleted || 0),
+				deletions_ignored: target.deletions_ignored || 0,
+				filtered: (this.stats.filter.client) ? this.stats.filter.client.filtered : 0,
+				dropped: (this.stats.transformer) ? this.stats.transformer.dropped : 0,
+				invalid: (this.stats.validator) ? this.stats.validator.invalid : 0,
+				failed: (target.failed || 0) + ((this.stats.transformer) ? this.stats.transformer.failed : 0),
+				dead_letters: target.dead_letters || 0,
+				duration: Date.now() - this.backfill.started,
+				error: this.backfill.error
+		   };
+};
+
+/*
+ * Registers a callback that is invoked when the backfill completed (see options.backfill).
+ * @param {Callback} callback - invoked with (err, summary); err is set if the backfill did not complete. See getBackfillSummary. 
+ */
+Replicator.prototype.whenBackfillComplete = function(callback) {
+
+	if(! this.backfill) {
+		return callback('Replication task ' + this.taskId + ' does not run in backfill mode.');
+	}
+
+	if(this.backfill.completed) {
+		return callback(this.backfill.error, this.backfill.summary);
+	}
+
+	this.backfill.callbacks.push(callback);
+};
+
+/*
+ * @return {Boolean} - true if this replication task runs in backfill mode
+ */
+Replicator.prototype.isBackfill = function() {
+	return this.options.backfill;
+};
+
+/*
+ * Stops the sandbox in which the filter and transformation routines are run, if one was created.
+ */
+Replicator.prototype.closeSandbox = function() {
+	if(this.sandbox) {
+		this.sandbox.close();
+		this.sandbox = null;
+	}
+};
+
+/*
+ * Closes the repository once all pending event records were written and removes the listeners that were
+ * registered by init.
+ * @param {callback} callback() - invoked once the repository was closed
+ */
+Replicator.prototype.closeRepository = function(callback) {
+
+	if(! this.repository) {
+		return callback();
+	}
+
+	const rr = this.repository;
+	this.repository = null;
+
+	rr.close(function() {
+		rr.removeAllListeners();
+		return callback();
+	});
+};
+
+/*
+ * Restarts replication. A running replication is stopped first.
+ * @param {Boolean} fromScratch - if true, process all document changes in the source database (see RESTART); 
+ *                                otherwise resume processing after the last checkpoint
+ * @param {callback} callback(err, state) - invoked after the replicator was re-initialized
+ */
+Replicator.prototype.restartReplication = function(fromScratch, callback) {
+
+	if(['running', 'paused', 'stopped'].indexOf(this.state) === -1) {
+		return callback('Replication task ' + this.taskId + ' cannot be restarted because it is ' + this.state + '.');
+	}
+
+	var reinitialize = function() {
+		this.saveControlEvent('restart', {from_checkpoint: (! fromScratch)});
+		this.restart = (fromScratch === true);
+		this.state = 'initializing';
+		this.stats.initialized = false;
+		// init creates a new repository connection
+		this.closeRepository(function() {
+			this.init(function(err) {
+				if(err) {
+					this.state = 'stopped';
+					console.error('Replication task ' + this.taskId + ' could not be restarted: ' + err);
+					return callback(err);
+				}
+				console.log('Replication task ' + this.taskId + ' was restarted.');
+				return callback(null, this.state);
+			}.bind(this));
+		}.bind(this));
+	}.bind(this);
+
+	if(this.state === 'stopped') {
+		return reinitialize();
+	}
+
+	this.stopReplication(function() {
+		reinitialize();
+	});
+};
+
+/*
+ * Prepares the replication task for process termination. A running replication is stopped: the change feed
+ * is closed, the buffered changes are written to the target database and the final checkpoint and the stop
+ * event are saved. The repository connection and the sandbox are closed.
+ * @param {callback} callback() - invoked once the task can be terminated
+ */
+Replicator.prototype.shutdown = function(callback) {
+
+	var closeRepository = function() {
+		this.closeSandbox();
+		this.closeRepository(function() {
+			console.log('Replication task ' + this.taskId + ' can be terminated.');
+			return callback();
+		}.bind(this));
+	}.bind(this);
+
+	if(['running', 'paused'].indexOf(this.state) === -1) {
+		return closeRepository();
+	}
+
+	console.log('Shutting down replication task ' + this.taskId + '.');
+
+	this.stopReplication(function() {
+		closeRepository();
+	});
+};
+
+/*
+ * Returns the unique identifier of this replication task
+ * @return {String} taskId
+ */
+Replicator.prototype.getTaskId = function() {
+	return this.taskId;
+};
+
+/*
+ * @return {Boolean} - true if this replication task runs in dry-run mode
+ */
+Replicator.prototype.isDryRun = function() {
+	return this.options.dry_run;
+};
+
+/*
+ * Returns true if the dead letter record identified by <id> was created by this replication task
+ * @param {String} id - dead letter record id
+ * @return {Boolean} 
+ */
+Replicator.prototype.ownsDeadLetter = function(id) {
+	if((! this.repository) || (! id)) {
+		return false;
+	}
+	return (id.indexOf(this.repository.getDeadLetterIdPrefix()) === 0);
+};
+
 /*
  * Returns detailed system status information
  * @return {Object} status
+ * @return {String} status.task_id - unique identifier of this replication task
  * @return {Numeric} status.copied - documents copied
  * @return {Numeric} status.failed - document copy failures
  * @return {Numeric} status.filtered - documents that were not copied because the filter condition was met
@@ -510,19 +1971,34 @@ Replicator.prototype.init = function(initCallback) {
  * @return {String} status.last_update_seq - CouchDB update_seq number for the last change that was written to the target database
  * @return {Object}	status.filter - filter information
  * @return {Object}	status.filter.server - server-side filter information
- * @return {String}	status.filter.server.name - if defined, <design_doc/filter> containing the filter routine
- * @return {String}	status.filter.server.definition - the routine text of status.filter.server.name
+ * @return {String}	status.filter.server.name - if defined, <design_doc/filter> containing the filter routine, "_selector" or "_doc_ids"
+ * @return {String}	status.filter.server.type - "design", "selector" or "doc_ids"
+ * @return {String}	status.filter.server.definition - the routine text of status.filter.server.name, the selector or the document ids
  * @return {Object}	status.filter.client - client-side filter information
  * @return {String}	status.filter.client.name if - defined, <design_doc/filter> containing the filter routine
  * @return {String}	status.filter.client.definition - the routine text of status.filter.client.name
  * @return {Object}	status.transformer - transformer information
  * @return {String}	status.filter.transformer.name - if defined, the file name containing the transformation routine 
  * @return {String}	status.filter.transformer.definition - the routine text of status.filter.transformer.name 
+ * @return {Array}	status.filter.transformer.stages - name and definition of each transformation pipeline stage
+ * @return {Numeric} status.filter.transformer.dropped - documents that were dropped by the transformation routine
+ * @return {Numeric} status.filter.transformer.failed - documents that caused an error in the transformation routine
+ * @return {Object}	status.validator - validation schema information
+ * @return {String}	status.validator.name - if defined, the file name containing the validation schema
+ * @return {Object}	status.validator.definition - the validation schema
+ * @return {Numeric} status.validator.invalid - documents that were quarantined because they violate the validation schema
+ * @return {Boolean} status.dry_run - true if the task runs in dry-run mode (see getDryRunReport)
+ * @return {Object} status.sandbox - sandbox information
+ * @return {String} status.sandbox.mode - where the filter and transformation routines are run ("none" or "process")
+ * @return {Numeric} status.sandbox.violations - documents that caused a sandbox violation
  */
 Replicator.prototype.getDetailedStatus = function(callback) {
 
 	var status = {
 					status_date: Date(),
+					task_id: this.taskId,
+					state: this.state,
+					dry_run: this.options.dry_run,
 					service_status: {
 										source: {
 													database_name: this.stats.source.database_name,
@@ -530,7 +2006,9 @@ Replicator.prototype.getDetailedStatus = function(callback) {
 											    },
 										target: this.stats.target,
 										filter: this.stats.filter,
-										transformer: this.stats.transformer
+										transformer: this.stats.transformer,
+										validator: this.stats.validator,
+										sandbox: this.stats.sandbox
 									}
 				 };
 
@@ -560,27 +2038,42 @@ Replicator.prototype.getDetailedStatus = function(callback) {
  * @return {String} status.source.database_name - source database name
  * @return {String} status.source.last_change_received - timestamp for last change notification that was received from the source database
  * @return {Object} status.target
- * @return {String} status.target.database_name - target database name
+ * @return {String} status.target.sink - where documents are written ("couchdb" or "ndjson")
+ * @return {String} status.target.database_name - target database name (couchdb sink)
+ * @return {String} status.target.directory - directory in which the NDJSON files are stored (ndjson sink)
  * @return {String} status.target.last_applied_update_seq - CouchDB update_seq number for the last change that was written to the target database 
  * @return {Numeric} status.target.copied - documents copied
  * @return {Numeric} status.target.failed - document copy failures
+ * @return {Numeric} status.target.deleted - documents that were deleted in the target database
+ * @return {Numeric} status.target.soft_deleted - documents that were marked as deleted in the target database
+ * @return {Numeric} status.target.deletions_ignored - source document deletions that were not applied to the target database
+ * @return {Numeric} status.target.retried - documents whose write request was retried because of a transient error
+ * @return {Numeric} status.target.dead_letters - documents that were saved in the dead letter store
  * @return {String} status.target.last_change_applied - timestamp for last write operation in the target database
  * @return {Numeric} status.filtered - documents that were not copied because the filter condition was met
+ * @return {Numeric} status.dropped - documents that were not copied because the transformation routine dropped them
+ * @return {Numeric} status.invalid - documents that were not copied because they violate the validation schema
  */
 Replicator.prototype.getStatus = function() {
 
+	var status = {
+					source: this.stats.source,
+					target: this.stats.target
+				 };
+
 	if(this.stats.filter.client) {
-		return {
-				source: this.stats.source,
-				target: this.stats.target,
-				filtered: this.stats.filter.client.filtered
-		   };	
+		status.filtered = this.stats.filter.client.filtered;
 	}
 
-	return {
-				source: this.stats.source,
-				target: this.stats.target
-		   };	
+	if(this.stats.transformer) {
+		status.dropped = this.stats.transformer.dropped;
+	}
+
+	if(this.stats.validator) {
+		status.invalid = this.stats.validator.invalid;
+	}
+
+	return status;	
 };
 
 module.exports = Replicator;
@@ -0,0 +1,233 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const child_process = require('child_process');
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':sandbox');
+const path = require('path');
+
+// supported sandbox modes; "none" runs the routines in the service process without restrictions
+const sandbox_modes = ['none', 'process'];
+
+// what happens to the replication task if a routine violates the sandbox limits
+const violation_policies = ['skip', 'halt'];
+
+// exit code of a Node.js process that ran out of heap memory (SIGABRT)
+const out_of_memory_exit_code = 134;
+
+/*
+ * Constructor. Describes a routine that exceeded the limits of the sandbox.
+ * @param {String} type - "timeout" (the routine did not complete in time), "memory" (the routine exceeded the memory limit)
+ *                        or "exit" (the sandbox process ended unexpectedly)
+ * @param {String} routine - name of the file that contains the routine
+ * @param {String} message - description of the violation
+ */
+function SandboxViolation(type, routine, message) {
+	this.type = type;
+	this.routine = routine;
+	this.message = message;
+} // constructor
+
+SandboxViolation.prototype.toString = function() {
+	return this.message;
+};
+
+/*
+ * Returns true if err reports a sandbox violation.
+ * @param {*} err
+ * @returns {Boolean}
+ */
+var isViolation = function(err) {
+	return (err instanceof SandboxViolation);
+};
+
+/*
+ * Constructor. Runs routines in a child process (see sandboxWorker.js) whose heap is limited to <memory_limit> MB.
+ * The routines have access to the Node.js APIs of the child process. A routine that doesn't complete within <timeout> ms
+ * or exceeds the memory limit terminates the child process, which is restarted for the next invocation.
+ * @param {Object} options
+ * @param {Number} options.timeout - maximum execution time of a routine per document, in ms
+ * @param {Number} options.memory_limit - maximum heap size of the child process, in MB
+ */
+function ProcessSandbox(options) {
+	this.timeout = options.timeout;
+	this.memoryLimit = options.memory_limit;
+	// files of the routines that are loaded into the child process when it is started
+	this.fileNames = [];
+	this.child = null;
+	// requests that are waiting for a response from the child process; id -> {fileName, callback, timer}
+	this.pending = {};
+	this.nextId = 0;
+} // constructor
+
+/*
+ * Returns the child process; starts it if it is not running.
+ * @returns {Object} child process
+ */
+ProcessSandbox.prototype.getChild = function() {
+
+	if(this.child) {
+		return this.child;
+	}
+
+	const child = child_process.fork(path.join(__dirname, 'sandboxWorker.js'),
+									 [],
+									 {
+									 	cwd: process.cwd(),
+									 	execArgv: ['--max-old-space-size=' + this.memoryLimit]
+									 });
+
+	debug('Started sandbox process ' + child.pid + '.');
+
+	child.on('error', function(err) {
+		console.error('Sandbox process ' + child.pid + ' reported an error: ' + err);
+	});
+
+	child.on('message', function(message) {
+		const request = this.pending[message.id];
+		if(! request) {
+			return;
+		}
+		delete this.pending[message.id];
+		clearTimeout(request.timer);
+		if(message.error) {
+			return request.callback(message.error);
+		}
+		return request.callback(null, message.result);
+	}.bind(this));
+
+	child.on('exit', function(code, signal) {
+		debug('Sandbox process ' + child.pid + ' ended with code ' + code + ' (signal ' + signal + ').');
+		if(this.child === child) {
+			this.child = null;
+		}
+		const outOfMemory = ((code === out_of_memory_exit_code) || (signal === 'SIGABRT'));
+		// fail all requests that were sent to this process
+		Object.keys(this.pending).forEach(function(id) {
+			const request = this.pending[id];
+			if(request.child !== child) {
+				return;
+			}
+			delete this.pending[id];
+			clearTimeout(request.timer);
+			if(outOfMemory) {
+				return request.callback(new SandboxViolation('memory',
+															 request.fileName,
+															 'The routine in file "' + request.fileName + '" exceeded the memory limit of ' + this.memoryLimit + ' MB.'));
+			}
+			return request.callback(new SandboxViolation('exit',
+														 request.fileName,
+														 'The sandbox process ended unexpectedly (code ' + code + ', signal ' + signal + ') while running the routine in file "' + request.fileName + '".'));
+		}, this);
+	}.bind(this));
+
+	this.child = child;
+
+	// routines that were loaded into a previous process are reloaded
+	this.fileNames.forEach(function(fileName) {
+		child.send({type: 'load', file_name: fileName});
+	});
+
+	return child;
+};
+
+/*
+ * Sends a request to the child process.
+ * @param {Object} message - {type, file_name, input}
+ * @param {Callback} callback - invoked with (err, result)
+ */
+ProcessSandbox.prototype.request = function(message, callback) {
+
+	const child = this.getChild();
+	const id = this.nextId++;
+
+	this.pending[id] = {
+						child: child,
+						fileName: message.file_name,
+						callback: callback,
+						timer: setTimeout(function() {
+							// the routine might be stuck; terminate the process to reclaim the CPU
+							delete this.pending[id];
+							if(this.child === child) {
+								this.child = null;
+							}
+							child.kill('SIGKILL');
+							return callback(new SandboxViolation('timeout',
+																 message.file_name,
+																 'The routine in file "' + message.file_name + '" did not complete within ' + this.timeout + ' ms.'));
+						}.bind(this), this.timeout)
+					   };
+
+	message.id = id;
+	child.send(message);
+};
+
+/*
+ * Loads a routine into the child process.
+ * @param {String} fileName - file containing the routine, relative to the current working directory
+ * @param {Callback} callback - invoked with (err, routine); routine.definition is the routine text and
+ *                              routine.invoke(input, callback) runs the routine
+ */
+ProcessSandbox.prototype.load = function(fileName, callback) {
+
+	this.request({type: 'load', file_name: fileName}, function(err, definition) {
+		if(err) {
+			return callback('The routine could not be loaded from file "' + fileName + '" into the sandbox process: ' + err);
+		}
+		this.fileNames.push(fileName);
+		return callback(null, {
+								definition: definition,
+								invoke: function(input, invokeCallback) {
+									this.request({type: 'invoke', file_name: fileName, input: input}, invokeCallback);
+								}.bind(this)
+							  });
+	}.bind(this));
+};
+
+/*
+ * Stops the child process.
+ */
+ProcessSandbox.prototype.close = function() {
+	if(this.child) {
+		this.child.kill();
+		this.child = null;
+	}
+};
+
+/*
+ * Creates a sandbox in which filter and transformation routines are run.
+ * @param {Object} options
+ * @param {String} options.mode - "none" or "process"
+ * @param {Number} options.timeout - maximum execution time of a routine per document, in ms
+ * @param {Number} options.memory_limit - maximum heap size of the sandbox process, in MB
+ * @returns {Object} sandbox - null if mode is "none"
+ */
+var createSandbox = function(options) {
+	switch(options.mode) {
+		case 'process':
+			return new ProcessSandbox(options);
+		default:
+			return null;
+	}
+};
+
+module.exports.sandbox_modes = sandbox_modes;
+module.exports.violation_policies = violation_policies;
+module.exports.SandboxViolation = SandboxViolation;
+module.exports.isViolation = isViolation;
+module.exports.createSandbox = createSandbox;
@@ -0,0 +1,115 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+/*
+ * Child process of the process sandbox (see sandbox.js). Loads filter and transformation routines and runs them
+ * on the documents that the service process sends. Messages:
+ *  - {id, type: "load", file_name} loads a routine; the response contains the routine text
+ *  - {id, type: "invoke", file_name, input} runs a routine; the response contains its result
+ * Responses are sent as {id, error, result}. Load requests without an id are not answered.
+ */
+
+const path = require('path');
+
+// loaded routines; file name -> function
+var routines = {};
+
+/*
+ * Sends the response to a request.
+ * @param {Object} message - the request
+ * @param {String} error - null if the request succeeded
+ * @param {*} result
+ */
+var respond = function(message, error, result) {
+	if(message.id === undefined) {
+		if(error) {
+			console.error(error);
+		}
+		return;
+	}
+	process.send({id: message.id, error: error, result: result});
+};
+
+/*
+ * Runs a routine, which can be synchronous, return a Promise or accept a (doc, callback) signature.
+ * @param {Function} routine
+ * @param {Object} input - document or change
+ * @param {Callback} callback - invoked with (err, result)
+ */
+var invoke = function(routine, input, callback) {
+
+	var completed = false;
+
+	const done = function(err, result) {
+		if(completed) {
+			return;
+		}
+		completed = true;
+		return callback(err ? String(err) : null, result);
+	};
+
+	try {
+		if(routine.length > 1) {
+			return routine(input, done);
+		}
+		const result = routine(input);
+		if((result) && (typeof result.then === 'function')) {
+			return result.then(function(resolved) {
+									done(null, resolved);
+								},
+								function(err) {
+									done(err || 'The Promise was rejected.');
+								});
+		}
+		return done(null, result);
+	}
+	catch(err) {
+		return done(err);
+	}
+};
+
+process.on('message', function(message) {
+
+	if(message.type === 'load') {
+		var routine = null;
+		try {
+			routine = require(path.join(process.cwd(), message.file_name));
+		}
+		catch(err) {
+			return respond(message, String(err));
+		}
+		if(typeof routine !== 'function') {
+			return respond(message, 'File "' + message.file_name + '" does not export a function.');
+		}
+		routines[message.file_name] = routine;
+		return respond(message, null, routine.toString());
+	}
+
+	if(! routines[message.file_name]) {
+		return respond(message, 'No routine was loaded from file "' + message.file_name + '".');
+	}
+
+	invoke(routines[message.file_name], message.input, function(err, result) {
+		respond(message, err, result);
+	});
+});
+
+// the service process ended
+process.on('disconnect', function() {
+	process.exit(0);
+});
@@ -19,24 +19,40 @@
 const BasicStrategy = require('passport-http').BasicStrategy;
 const AnonymousStrategy = require('passport-anonymous');
 
-var strategyName = null;
-var strategy = null;
+/*
+ * Returns the passport strategy that secures the service endpoints. Basic authentication is enabled
+ * if a user id and password are configured.
+ * @param {String} consoleUser - user id; optional
+ * @param {String} consolePassword - password; optional
+ * @returns {Object} security
+ * @returns {String} security.strategyName - "basic" or "anonymous"
+ * @returns {Object} security.strategy - the passport strategy
+ */
+var getSecurity = function(consoleUser, consolePassword) {
 
-// enable basic authentication if security was configured
-if((process.env.CONSOLE_USER) && (process.env.CONSOLE_PASSWORD)) {
-	strategyName = 'basic';
-	strategy = new BasicStrategy(
-								  function(userid, password, done) {
-								    if((userid === process.env.CONSOLE_USER) && (password === process.env.CONSOLE_PASSWORD)) {
-								    	return done(null, process.env.CONSOLE_USER);
-								    }
-								    return done(null, false); 
-  								  });
-}
-else {
-	strategyName = 'anonymous';
-	strategy = new AnonymousStrategy();	
-}
+	var strategyName = null;
+	var strategy = null;
 
-module.exports.strategy = strategy;
-module.exports.strategyName = strategyName;
\ No newline at end of file
+	// enable basic authentication if security was configured
+	if((consoleUser) && (consolePassword)) {
+		strategyName = 'basic';
+		strategy = new BasicStrategy(
+									  function(userid, password, done) {
+									    if((userid === consoleUser) && (password === consolePassword)) {
+									    	return done(null, consoleUser);
+									    }
+									    return done(null, false); 
+	  								  });
+	}
+	else {
+		strategyName = 'anonymous';
+		strategy = new AnonymousStrategy();	
+	}
+
+	return {
+			strategyName: strategyName,
+			strategy: strategy
+		   };
+};
+
+module.exports.getSecurity = getSecurity;
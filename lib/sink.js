@@ -0,0 +1,66 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+/*
+ * A sink stores the filtered and transformed documents of a replication task. The replicator writes one
+ * batch at a time and saves the checkpoint of a batch once the sink reported that it was stored.
+ *
+ * Sinks implement the following methods:
+ *  - init(callback): verifies that the sink can be written to; callback(err)
+ *  - getName(): returns a description of the sink that is used in messages, e.g. 'target database "orders"'
+ *  - getInfo(): returns the sink properties that are included in the status, e.g. {sink: 'couchdb', database_name: 'orders'}
+ *  - prepare(changes, callback): assigns the document that will be written for each change to change.target_doc and
+ *                                sets change.skip to true if nothing needs to be written; callback(err)
+ *  - write(docs, callback): stores the documents; callback(err, results). results[i] is the outcome for docs[i],
+ *                           {id, rev} or {ok, id} if the document was stored and {id, error, reason} if it was not.
+ *  - close(callback): writes pending data and releases the resources of the sink; callback()
+ */
+
+// supported sink types
+const sink_types = ['couchdb', 'ndjson'];
+
+/*
+ * Creates the sink of a replication task.
+ * @param {Object} options - the replication settings
+ * @param {String} options.sink - "couchdb" (default) or "ndjson"
+ * @param {String} options.sink_directory - directory in which the files are stored (ndjson sink)
+ * @param {Number} options.sink_max_file_bytes - size in bytes at which a file is rotated (ndjson sink)
+ * @param {Number} options.sink_max_file_age - time in ms after which a file is rotated (ndjson sink)
+ * @param {Object} targetCloudant - the target server (couchdb sink)
+ * @param {Object} targetCredentials - the target database (couchdb sink)
+ * @param {String} taskId - unique identifier of the replication task
+ * @returns {Object} sink - must be initialized (see init)
+ */
+var createSink = function(options,
+						  targetCloudant,
+						  targetCredentials,
+						  taskId) {
+
+	if(options.sink === 'ndjson') {
+		return new (require('./ndjsonSink.js').NDJSONSink)(options.sink_directory,
+														   taskId,
+														   options);
+	}
+
+	return new (require('./couchdbSink.js').CouchDBSink)(targetCloudant,
+														 targetCredentials.dbname,
+														 options);
+};
+
+module.exports.sink_types = sink_types;
+module.exports.createSink = createSink;
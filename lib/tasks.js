@@ -0,0 +1,129 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':tasks');
+
+const mutil = require('./util.js');
+
+// task settings that are passed to the Replicator as options
+const task_option_names = ['update_mode',
+						   'delete_policy',
+						   'soft_delete_field',
+						   'write_retry_max_attempts',
+						   'write_retry_initial_delay',
+						   'server_filter',
+						   'server_filter_selector',
+						   'server_filter_doc_ids',
+						   'client_filter',
+						   'transform_function',
+						   'validation_schema',
+						   'changes_per_batch',
+						   'max_batch_bytes',
+						   'target_batch_latency',
+						   'writer_concurrency',
+						   'max_queued_batches',
+						   'max_buffered_bytes',
+						   'max_heap_usage',
+						   'queue_check_interval',
+						   'repository_type',
+						   'repository_directory',
+						   'repository_url',
+						   'repository_database',
+						   'event_max_age',
+						   'event_max_count',
+						   'event_rollup',
+						   'event_pruning_interval',
+						   'sandbox',
+						   'sandbox_timeout',
+						   'sandbox_memory_limit',
+						   'sandbox_violation_policy',
+						   'dry_run',
+						   'dry_run_sample_size',
+						   'dry_run_directory',
+						   'backfill',
+						   'sink',
+						   'sink_directory',
+						   'sink_max_file_bytes',
+						   'sink_max_file_age'];
+
+/*
+ * Creates a replication task definition.
+ * @param {Object} taskInfo - the task settings
+ * @param {String} taskInfo.source - source database URL
+ * @param {String} taskInfo.target - target database URL; optional if documents are exported to NDJSON files (taskInfo.sink)
+ * @param {Boolean} taskInfo.restart - optional; if true, all document changes in the source database are processed
+ * @returns {Object} task - null if the source or target database URL is invalid
+ * @returns {Object} task.source - source database credentials
+ * @returns {Object} task.target - target database credentials; null if no target database is defined
+ * @returns {Boolean} task.restart - if true, process all document changes in the source database
+ * @returns {Object} task.options - Replicator options
+ */
+var createTaskDefinition = function(taskInfo) {
+
+	var task = {
+				source: mutil.splitUrl(taskInfo.source),
+				target: mutil.splitUrl(taskInfo.target),
+				restart: mutil.isTrue(taskInfo.restart),
+				options: {}
+			   };
+
+	if((! task.source) || ((! task.target) && ((taskInfo.target) || (taskInfo.sink !== 'ndjson')))) {
+		return null;
+	}
+
+	task_option_names.forEach(function(name) {
+		if((taskInfo[name] !== undefined) && (taskInfo[name] !== null)) {
+			task.options[name] = taskInfo[name];
+		}
+	});
+
+	return task;
+};
+
+/*
+ * Returns the replication task definitions for the task settings of the service configuration.
+ *
+ * @param: {Array} taskSettings - list of task settings, as returned by config.getConfiguration
+ * @param: {Callback} callback - invoked with (err, tasks) parameters
+ * @returns: {String} err - if any validation issues were encountered
+ * @returns: {Array} tasks - list of task definitions
+ */
+var getTaskDefinitions = function(taskSettings, callback) {
+
+	if((! Array.isArray(taskSettings)) || (taskSettings.length === 0)) {
+		return callback('No replication tasks are defined.');
+	}
+
+	var tasks = [];
+
+	for(var index = 0; index < taskSettings.length; index++) {
+		var task = createTaskDefinition(taskSettings[index] || {});
+		if(! task) {
+			return callback('Replication task ' + (index + 1) + ' does not define a valid "source" and "target" database URL.');
+		}
+		tasks.push(task);
+	}
+
+	debug('Replication task definitions: ' + tasks.length);
+
+	return callback(null, tasks);
+};
+
+// export getter
+module.exports.getTaskDefinitions = getTaskDefinitions;
\ No newline at end of file
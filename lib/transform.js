@@ -16,125 +16,340 @@
 
 'use strict';
 
+const async = require('async');
 const consts = require('./consts.js');
 const debug = require('debug')(consts.appPrefix + ':transform');
+const mapping = require('./mapping.js');
+const path = require('path');
+const sandboxes = require('./sandbox.js');
 
 /*
- * Class makes a transformation routine available.
+ * Class makes a transformation routine, or a pipeline of transformation routines, available.
  * 
  * The constructor of this class is protected to prevent instantiation without 
  * prior validation.
  * 
- * @param {Object} transformerInfo
+ * @param {Object|Array} transformerInfo - one transformation stage or an ordered list of stages
  * @param {String} transformerInfo.id - the name of the file that contains transformerInfo.routine
  * @param {Function} transformerInfo.routine - the transformation function
+ * @param {String} transformerInfo.definition - optional; the routine text, if routine invokes a sandboxed routine, 
+ *                                              or the mapping spec, if routine applies a mapping spec
  */
 function Transformer(transformerInfo) {
 
-	this.name = null;
-	this.routine = null;
+	this.stages = [];
 
 	if(transformerInfo) {
-		this.name = transformerInfo.id;				// file name 
-		this.routine = transformerInfo.routine;		// javascript
-		debug('Creating server-side Transformer: ' + JSON.stringify(transformerInfo));
+		this.stages = [].concat(transformerInfo).map(function(stage) {
+			return {
+					name: stage.id,				// file name 
+					routine: stage.routine,		// javascript
+					definition: stage.definition || stage.routine.toString()
+				   };
+		});
+		debug('Creating Transformer with ' + this.stages.length + ' stage(s): ' + JSON.stringify(this.getStages()));
 	}
 }
 
 /*
- * @returns {Boolean} - true if a traqnsformation routine is defined, false otherwise
+ * @returns {Boolean} - true if a transformation routine is defined, false otherwise
  */
 Transformer.prototype.hasTransformationRoutine = function() {
-	return (this.routine !== null);
+	return (this.stages.length > 0);
 };
 
 /*
- * Returns the file name of the transformation routine, or null if not defined
+ * Returns the file name of the transformation routine, or null if not defined. If a pipeline
+ * is defined the file names of all stages are returned as a comma separated list.
  * @returns {String} - transformer path/file name, or null if not defined
  */
 Transformer.prototype.getName = function() {
-	return this.name;
+	if(this.hasTransformationRoutine()) {
+		return this.stages.map(function(stage) {
+			return stage.name;
+		}).join(',');
+	}
+	return null;
 };
 
 /*
- * Returns the transformation function
+ * Returns the transformation function. If a pipeline is defined the function of the first stage
+ * is returned. Use getStages() to access all stages.
  * @returns {Function} - the transform function or null, if not defined
  */
 Transformer.prototype.getRoutine = function() {
-	return this.routine;
+	if(this.hasTransformationRoutine()) {
+		return this.stages[0].routine;
+	}
+	return null;
 };
 
 /*
- * Returns the transformation function definition
+ * Returns the transformation function definition. If a pipeline is defined the definitions 
+ * of all stages are returned, in the order in which they are applied.
  * @returns {String} - the transform function text or null, if not defined
  */
 Transformer.prototype.getRoutineDefinition = function() {
-	if(this.routine) {
-		return this.routine.toString();
+	if(this.stages.length === 1) {
+		return this.stages[0].definition;
+	}
+	if(this.stages.length > 1) {
+		return this.stages.map(function(stage) {
+			return '// ' + stage.name + '\n' + stage.definition;
+		}).join('\n');
 	}
 	return null;
 };
 
+/*
+ * Returns name and definition of each transformation stage, in the order in which they are applied.
+ * @returns {Array} stages - empty if no transformation routine is defined
+ * @returns {String} stages[].name - the file name of the transformation routine
+ * @returns {String} stages[].definition - the routine text
+ */
+Transformer.prototype.getStages = function() {
+	return this.stages.map(function(stage) {
+		return {
+				name: stage.name,
+				definition: stage.definition
+			   };
+	});
+};
+
+/*
+ * Invokes the transformation routine of a single stage on the document. The routine can be synchronous 
+ * (returns the transformed document), return a Promise that resolves to the transformed document or 
+ * accept a (doc, callback) signature and invoke callback(err, transformedDoc) when processing is complete.
+ * @param {Object} stage - the stage whose routine is invoked
+ * @param {Number} index - the position of the stage in the pipeline
+ * @param {Object} doc - the input document 
+ * @param {Callback} callback - invoked with (err, result) when processing is complete
+ */
+Transformer.prototype.applyStage = function(stage, index, doc, callback) {
+
+	debug('Transforming document ' + doc._id + ' in stage ' + (index + 1) + ' ("' + stage.name + '")');
+
+	var completed = false;
+
+	const done = function(err, transformedDoc) {
+		if(completed) {
+			// the routine signaled completion more than once (e.g. invoked the callback twice)
+			console.error('Custom transformation function defined in "' + stage.name + '" returned more than one result for document ' + doc._id + '. Additional results are ignored.');
+			return;
+		}
+		completed = true;
+		if(sandboxes.isViolation(err)) {
+			// the routine exceeded the limits of the sandbox; the caller applies the violation policy
+			console.error('Custom transformation function defined in "' + stage.name + '" (stage ' + (index + 1) + ' of ' + this.stages.length + ') violated the sandbox limits for document ' + doc._id + ': ' + err);
+			return callback(err);
+		}
+		if(err) {
+			// FFDC; routine execution resulted in an error
+			var message = 'Custom transformation function defined in "' + stage.name + '" (stage ' + (index + 1) + ' of ' + this.stages.length + ') caused a fatal error: ' + err;
+			console.error('Document: ' + JSON.stringify(doc));
+			console.error('Routine definition: ' + stage.definition);
+			// raise error
+			return callback(message);
+		}
+		debug('Transformed document ' + JSON.stringify(transformedDoc));
+		return callback(null, transformedDoc);
+	}.bind(this);
+
+	var result = null;
+
+	try {
+		if(stage.routine.length > 1) {
+			// asynchronous routine; apply custom transformation and wait for the callback
+			return stage.routine(doc, done);
+		}
+		// apply custom transformation
+		result = stage.routine(doc);
+	}
+	catch(err) {
+		if(completed) {
+			// the error was not raised by the routine but by the caller's callback
+			throw err;
+		}
+		return done(err);
+	}
+
+	if((result) && (typeof result.then === 'function')) {
+		// the routine returned a Promise; invoke the callback outside of the Promise chain
+		result.then(function(transformedDoc) {
+						process.nextTick(done, null, transformedDoc);
+					},
+					function(err) {
+						process.nextTick(done, err || 'The Promise was rejected.');
+					});
+	}
+	else {
+		return done(null, result);
+	}
+};
+
 /*
  * Invokes the transformation routine on the document. If no transformation routine is defined
- * the original document is returned.
+ * the original document is returned. If a pipeline is defined, the output of each stage is passed 
+ * to the next stage. A stage that returns an array passes each array element to the next stage; a stage 
+ * that returns null or undefined drops the document.
  * @param {Object} doc - the input document 
- * @param {Callback} callback - invoked with (err, doc) when processing is complete
+ * @param {Callback} callback - invoked with (err, doc) when processing is complete; doc is an array if the
+ *                              document was split into multiple documents and null if it was dropped. err is a
+ *                              SandboxViolation (see sandbox.js) if a sandboxed routine exceeded the sandbox limits
  */
 Transformer.prototype.transform = function(doc, callback) {
-	if(doc) {
-		debug('Transforming document ' + doc._id);		
-		if(this.hasTransformationRoutine()) {
-			try {
-		 		// apply custom transformation	
-		 		doc = this.routine(doc);	
-		 		debug('Transformed document ' + JSON.stringify(doc));
+
+	if((! doc) || (! this.hasTransformationRoutine())) {
+		return callback(null, doc);
+	}
+
+	var index = 0;
+
+	async.reduce(this.stages,
+				 [doc],
+				 function(docs, stage, stageCallback) {
+				 	var stageIndex = index++;
+				 	async.mapSeries(docs,
+				 					function(doc, docCallback) {
+				 						this.applyStage(stage, stageIndex, doc, docCallback);
+				 					}.bind(this),
+				 					function(err, results) {
+				 						if(err) {
+				 							return stageCallback(err);
+				 						}
+				 						// flatten split documents and remove dropped documents
+				 						return stageCallback(null, [].concat.apply([], results).filter(function(transformedDoc) {
+				 							return ((transformedDoc !== null) && (transformedDoc !== undefined));
+				 						}));
+				 					});
+				 }.bind(this),
+				 function(err, docs) {
+				 	if(err) {
+				 		return callback(err);
+				 	}
+				 	if(docs.length === 0) {
+				 		return callback(null, null);
+				 	}
+				 	return callback(null, (docs.length === 1) ? docs[0] : docs);
+				 });
+};
+
+/*
+ * Loads the transformation routine of one stage.
+ * @param {String} fileName - file containing the transformation routine or a mapping spec (.json, .yml or .yaml; see mapping.js)
+ * @param {Number} index - the position of the stage in the pipeline
+ * @param {Object} sandbox - optional; the sandbox in which the routine is run (see sandbox.js). Mapping specs 
+ *                           are declarative and are always applied in the service process.
+ * @param {Callback} callback - invoked with (err, stage) parameters
+ */
+var loadStage = function(fileName, index, sandbox, callback) {
+
+	debug('Trying to load custom transformation routine for stage ' + (index + 1) + ' from file "' + fileName + '".');
+
+	if(mapping.isMappingFile(fileName)) {
+		return mapping.loadMapping(fileName, function(err, routine, definition) {
+			if(err) {
+				return callback('Transformation function for stage ' + (index + 1) + ' could not be loaded from file "' + fileName + '": ' + err);
 			}
-			catch(err) {
-				// FFDC; routine execution resulted in an error
-				var message = 'Custom transformation function defined in "' + this.name + '" caused a fatal error: ' + err;
-				console.error('Document: ' + JSON.stringify(doc));
-				console.error('Routine definition: ' + this.routine);
-				// raise error
-				return callback(message);
+			console.log('Mapping spec for stage ' + (index + 1) + ' was loaded from file "' + fileName + '".');
+			debug('[-------- transform definition --------]\n' +
+				  definition + '\n' +
+			     '[-----------------------------------------------]');
+			return callback(null, {id: fileName, routine: routine, definition: definition});
+		});
+	}
+
+	if(sandbox) {
+		return sandbox.load(fileName, function(err, routine) {
+			if(err) {
+				return callback('Transformation function for stage ' + (index + 1) + ' could not be loaded from file "' + fileName + '": ' + err);
 			}
-		}
+			console.log('Transformation routine for stage ' + (index + 1) + ' was loaded from file "' + fileName + '" into the sandbox.');
+			debug('[-------- transform definition --------]\n' +
+				  routine.definition + '\n' +
+			     '[-----------------------------------------------]');
+			return callback(null, {
+									id: fileName,
+									routine: function(doc, routineCallback) {
+										routine.invoke(doc, routineCallback);
+									},
+									definition: routine.definition
+								  });
+		});
+	}
+
+	var transformFunction = null;
+
+	try {
+		transformFunction = require(path.join(process.cwd(), fileName));
 	}
-	return callback(null, doc);
+	catch(err) {
+		return callback('Transformation function for stage ' + (index + 1) + ' could not be loaded from file "' + fileName + '": ' + err);
+	}
+
+	if(typeof transformFunction !== 'function') {
+		return callback('File "' + fileName + '" (stage ' + (index + 1) + ') does not export a transformation function.');
+	}
+
+	console.log('Transformation routine for stage ' + (index + 1) + ' was loaded from file "' + fileName + '".');
+	debug('Transformation routine signature: ' + ((transformFunction.length > 1) ? '(doc, callback)' : '(doc)'));
+	debug('[-------- transform definition --------]\n' +
+		  transformFunction.toString() + '\n' +
+	     '[-----------------------------------------------]');
+
+	return callback(null, {id: fileName, routine: transformFunction});
 };
 
 /*
- * Creates a transformer instance. 
+ * Creates a transformer instance.
  *
+ * @param: {Array} transformFunctions - optional; ordered list of files containing transformation routines or mapping specs
+ *                                      (or a comma separated list of file names). If not specified no transformation is performed.
+ * @param: {Object} sandbox - optional; the sandbox in which the routines are run (see sandbox.js). If not specified
+ *                            the routines are run in the service process.
  * @param: {Callback} callback - invoked with (err, Transformer) parameters
  * @returns: {Object} Transformer - a validated Transformer
  */
-var getTransformer = function(callback){
-
-	if(process.env.TRANSFORM_FUNCTION) {
-		debug('Trying to load custom transformation routine from file "' + process.env.TRANSFORM_FUNCTION + '".');	
-		try {
-			var transformFunction = require(require('path').join(process.cwd(),process.env.TRANSFORM_FUNCTION));
-			if(typeof transformFunction === 'function') {
-				console.log('Transformation routine was loaded from file "' + process.env.TRANSFORM_FUNCTION + '".');
-				debug('[-------- transform definition --------]\n' +
-					  transformFunction.toString() + '\n' + 
-				     '[-----------------------------------------------]');
-				return callback(null, new Transformer({id: process.env.TRANSFORM_FUNCTION, routine: transformFunction}));
-			}
-			else {
-				return callback('File "' + process.env.TRANSFORM_FUNCTION + '" does not export a transformation function.');
-			}
-		}
-		catch(err) {
-			return callback('Transformation function could not be loaded from file "' + process.env.TRANSFORM_FUNCTION + '": ' + err);
-		}
+var getTransformer = function(transformFunctions, sandbox, callback){
+
+	if(typeof transformFunctions === 'function') {
+		callback = transformFunctions;
+		transformFunctions = null;
+		sandbox = null;
 	}
-	else {
+	else if(typeof sandbox === 'function') {
+		callback = sandbox;
+		sandbox = null;
+	}
+
+	if(typeof transformFunctions === 'string') {
+		transformFunctions = transformFunctions.split(',');
+	}
+
+	transformFunctions = [].concat(transformFunctions || []).map(function(transformFunction) {
+		return transformFunction.trim();
+	}).filter(function(transformFunction) {
+		return (transformFunction.length > 0);
+	});
+
+	if(transformFunctions.length === 0) {
 		console.log('No custom transformation routine was declared. No document transformation will be performed.');
-		return callback(null, new Transformer());		
+		return callback(null, new Transformer());
 	}
+
+	async.mapSeries(transformFunctions.map(function(fileName, index) {
+						return {fileName: fileName, index: index};
+					}),
+					function(item, stageCallback) {
+						loadStage(item.fileName, item.index, sandbox, stageCallback);
+					},
+					function(err, stages) {
+						if(err) {
+							return callback(err);
+						}
+						return callback(null, new Transformer(stages));
+					});
 };
 
 // export getter
-module.exports.getTransformer = getTransformer;
+module.exports.getTransformer = getTransformer;
\ No newline at end of file
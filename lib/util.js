@@ -102,6 +102,32 @@ const getCredentialsWithoutPassword = function(credentials) {
 	return safeCredentials;
 }; 
 
+/*
+ * Returns the numeric prefix of a CouchDB update sequence (e.g. 1206002 for "1206002-g1AAAAI...")
+ * @param {String|Number} seq - update sequence
+ * @returns {Number} sequence number; 0 if seq is not set
+ */
+const getSequenceNumber = function(seq) {
+	return parseInt(seq, 10) || 0;
+};
+
+/*
+ * Returns true if a request that failed with <err> might succeed if it is retried. Network errors (no HTTP status code)
+ * and HTTP status codes 429 (too many requests), 500, 502, 503 and 504 are considered transient.
+ * @param {Object} err - the error returned by the database client
+ * @returns {Boolean} - true if the request should be retried
+ */
+const isRetryableError = function(err) {
+	if(! err) {
+		return false;
+	}
+	if(! err.statusCode) {
+		// network error, such as ECONNRESET or ETIMEDOUT
+		return true;
+	}
+	return ([429, 500, 502, 503, 504].indexOf(err.statusCode) !== -1);
+};
+
 /*
  * Returns true if value evaluates to true
  * @param value - the value to be evaluated
@@ -135,4 +161,6 @@ module.exports.splitUrl = splitUrl;
 module.exports.getUrlWithoutPassword = getUrlWithoutPassword;
 module.exports.getCredentialsWithoutPassword = getCredentialsWithoutPassword;
 module.exports.isTrue = isTrue;
+module.exports.getSequenceNumber = getSequenceNumber;
+module.exports.isRetryableError = isRetryableError;
 module.exports.mkdir = mkdir;
@@ -0,0 +1,366 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const async = require('async');
+const consts = require('../consts.js');
+const crypto = require('crypto');
+const debug = require('debug')(consts.appPrefix + ':repository');
+const events = require('events');
+const util = require('util');
+const _ = require('lodash');
+
+/*
+ * Returns the time at which an event record was last updated.
+ * @param {Object} eventRecord - event record
+ * @returns {String} timestamp
+ */
+var getLastTimestamp = function(eventRecord) {
+	return eventRecord.last_timestamp || eventRecord.timestamp;
+};
+
+/*
+ * Base class of all repositories. A repository stores the recovery information, events and dead letter
+ * records of one replication task. Once initialized, a repository emits one of the following events:
+ * 'error', {String} - error message
+ * 'ready', {Object} recoveryRecord
+ *          {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ *          {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
+ *
+ * Repositories implement the following methods:
+ *  - loadRecoveryInfo(callback)
+ *  - saveRecoveryInfo(last_update_seq, last_change_applied, callback)
+ *  - writeEvent(eventRecord, update, callback)
+ *  - getEvents(query, callback)
+ *  - removeEvents(cutoff, maxCount, callback)
+ *  - saveDeadLetters(records, callback)
+ *  - getDeadLetters(ids, callback)
+ *  - deleteDeadLetters(records, callback)
+ * and may override close(callback).
+ *
+ * @param {String} taskId - unique identifier of the task for which records will be saved and loaded by this instance
+ */
+function Repository(taskId) {
+
+	events.EventEmitter.call(this);
+
+	this.taskId = taskId;
+	this.state = null;
+
+	// if false, events are discarded and existing event records are not pruned
+	this.recordEvents = true;
+	// if true, consecutive events of the same type, severity and source are rolled up into one record
+	this.rollupEvents = false;
+	// the most recently saved event record
+	this.lastEvent = null;
+
+	// number of dead letter records that were created by this instance
+	this.deadLetterCount = 0;
+
+	// serializes event record writes and pruning
+	this.eventQueue = async.queue(function(task, callback) {
+		task(callback);
+	}, 1);
+
+} // constructor
+
+// inherit event emitting capabilities
+util.inherits(Repository, events.EventEmitter);
+
+/*
+ * Returns a callback that displays the error if the caller did not provide a callback.
+ * @param {Callback} callback - the callback provided by the caller
+ * @param {String} method - name of the method that was invoked
+ * @returns {Callback} callback
+ */
+Repository.prototype.getCallback = function(callback, method) {
+	if((! callback) || (typeof callback !== 'function')) {
+		return function(err) {
+			if(err) {
+				console.error('Callback in ' + method + ' is missing. Using default to display error: ' + err);
+			}
+		};
+	}
+	return callback;
+};
+
+/*
+ * Returns an event record.
+ * @param {String} event - name of the event
+ * @param {String} severity - one of i[nformational], w[arning], e[rror], f[atal]
+ * @param {String} source - identifies the entity that caused this event
+ * @param {String} data - data associated with the event
+ * @returns {Object} event record
+ */
+Repository.prototype.createEventRecord = function(event_type,
+												  severity,
+												  source,
+												  data) {
+	return {
+			task_id: this.taskId,
+			record_type: 'event',
+			source: source,
+			severity: severity,
+			event_type: event_type,
+			data: data,
+			timestamp: new Date().toISOString()
+		   };
+};
+
+/*
+ * Enables or disables the rollup of consecutive similar events.
+ * @param {Boolean} enabled - if true, an event that has the same type, severity and source as the previous event 
+ *                            is recorded by incrementing the count of the previous event record
+ */
+Repository.prototype.setEventRollup = function(enabled) {
+	this.rollupEvents = (enabled === true);
+};
+
+/*
+ * Enables or disables the recording of events.
+ * @param {Boolean} enabled - if false, events are discarded instead of being saved in the repository and existing
+ *                            event records are not pruned
+ */
+Repository.prototype.setEventRecording = function(enabled) {
+	this.recordEvents = (enabled !== false);
+};
+
+/*
+ * Saves event information in the repository.
+ * @param {String} event - name of the event
+ * @param {String} severity - one of i[nformational], w[arning], e[rror], f[atal]
+ * @param {String} source - identifies the entity that caused this event
+ * @param {String} data - data associated with the event
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+Repository.prototype.saveEvent = function(event_type,
+										  severity,
+										  source,
+										  data,
+										  callback) {
+
+	callback = this.getCallback(callback, 'saveEvent');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if(! this.recordEvents) {
+		debug('Event "' + event_type + '" is not recorded.');
+		return callback();
+	}
+
+	this.eventQueue.push(function(done) {
+
+		var eventRecord = null;
+		var update = false;
+		const last = this.lastEvent;
+
+		if((this.rollupEvents) && (last) && 
+		   (last.event_type === event_type) && (last.severity === severity) && (last.source === source)) {
+			// the record keeps the timestamp of the first event and the data of the most recent event
+			eventRecord = _.cloneDeep(last);
+			eventRecord.count = (last.count || 1) + 1;
+			eventRecord.last_timestamp = new Date().toISOString();
+			eventRecord.data = data;
+			update = true;
+		}
+		else {
+			eventRecord = this.createEventRecord(event_type, severity, source, data);
+		}
+
+		debug('Saving event: ' + JSON.stringify(eventRecord));
+
+		this.writeEvent(eventRecord, update, function(err) {
+			if(err) {
+				console.error('Event record write failure FFDC: ' + JSON.stringify(eventRecord));
+				return done('Event record could not be saved: ' + err);
+			}
+			this.lastEvent = eventRecord;
+			return done();
+		}.bind(this));
+
+	}.bind(this), callback);
+};
+
+/*
+ * Deletes the event records of this task that exceed the retention policy.
+ * @param {Number} maxAge - optional; event records that were last updated more than maxAge days ago are deleted
+ * @param {Number} maxCount - optional; only the newest maxCount event records of each severity are kept
+ * @returns {Callback} callback - callback(err, removed)
+ * @returns {String} err - error message
+ * @returns {Number} removed - the number of event records that were deleted
+ */
+Repository.prototype.pruneEvents = function(maxAge,
+											maxCount,
+											callback) {
+
+	callback = this.getCallback(callback, 'pruneEvents');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if(((! maxAge) && (! maxCount)) || (! this.recordEvents)) {
+		return callback(null, 0);
+	}
+
+	this.eventQueue.push(function(done) {
+
+		const cutoff = maxAge ? new Date(Date.now() - maxAge * 24 * 60 * 60 * 1000).toISOString() : null;
+
+		debug('Pruning events of task ' + this.taskId + '. Cutoff: ' + cutoff + ' Maximum count: ' + maxCount);
+
+		this.removeEvents(cutoff, maxCount || null, function(err, removed) {
+			if(err) {
+				return done('Event records could not be pruned: ' + err);
+			}
+			// the newest event of a severity is never removed because of the count
+			if((this.lastEvent) && (cutoff) && (getLastTimestamp(this.lastEvent) < cutoff)) {
+				this.lastEvent = null;
+			}
+			return done(null, removed);
+		}.bind(this));
+
+	}.bind(this), callback);
+};
+
+/*
+ * Returns the event records that are retained. Used by repositories that load all events.
+ * @param {Array} eventRecords - all event records, in the order in which they were recorded
+ * @param {String} cutoff - optional; event records that were last updated before this time are removed
+ * @param {Number} maxCount - optional; only the newest maxCount event records of each severity are retained
+ * @returns {Array} eventRecords - the retained event records, in the order in which they were recorded
+ */
+Repository.prototype.retainEvents = function(eventRecords,
+											 cutoff,
+											 maxCount) {
+
+	var counts = {};
+
+	return eventRecords.filter(function(eventRecord) {
+		return ((! cutoff) || (getLastTimestamp(eventRecord) >= cutoff));
+	}).reverse().filter(function(eventRecord) {
+		counts[eventRecord.severity] = (counts[eventRecord.severity] || 0) + 1;
+		return ((! maxCount) || (counts[eventRecord.severity] <= maxCount));
+	}).reverse();
+};
+
+/*
+ * Saves an informational event in the repository.
+ * @param {String} event - name of the event
+ * @param {String} source - identifies the entity that caused this event
+ * @param {String} data - data associated with the event
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+Repository.prototype.saveInfoEvent = function(event_type,
+											  source,
+											  data,
+											  callback) {
+	this.saveEvent(event_type,
+				   'info',
+				   source,
+				   data,
+				   callback);
+
+};
+
+/*
+ * Saves a warning event in the repository.
+ * @param {String} event - name of the event
+ * @param {String} source - identifies the entity that caused this event
+ * @param {String} data - data associated with the event
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+Repository.prototype.saveWarningEvent = function(event_type,
+											     source,
+											     data,
+											     callback) {
+	this.saveEvent(event_type,
+				   'warn',
+				   source,
+				   data,
+				   callback);
+};
+
+/*
+ * Saves an error event in the repository.
+ * @param {String} event - name of the event
+ * @param {String} source - identifies the entity that caused this event
+ * @param {String} data - data associated with the event
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+Repository.prototype.saveErrorEvent = function(event_type,
+											   source,
+											   data,
+											   callback) {
+	this.saveEvent(event_type,
+				   'error',
+				   source,
+				   data,
+				   callback);
+};
+
+/*
+ * Releases the resources of the repository once all pending event records were written. Repositories
+ * that hold connections override this method.
+ * @param {Callback} callback - invoked with ()
+ */
+Repository.prototype.close = function(callback) {
+	if(this.eventQueue.idle()) {
+		return callback();
+	}
+	this.eventQueue.drain = function() {
+		this.eventQueue.drain = null;
+		return callback();
+	}.bind(this);
+};
+
+/*
+ * Returns the id prefix of dead letter records that are owned by this task
+ * @returns {String} - the id prefix
+ */
+Repository.prototype.getDeadLetterIdPrefix = function() {
+	return 'dead_letter_' + this.taskId + '_';
+};
+
+/*
+ * Assigns the properties that identify a dead letter record. Records that are saved in the same millisecond
+ * are distinguished by a counter and, across instances (e.g. after a restart), by a random suffix.
+ * @param {Array} records - the dead letter records
+ */
+Repository.prototype.prepareDeadLetters = function(records) {
+
+	const timestamp = new Date();
+
+	records.forEach(function(record) {
+		if(! record._id) {
+			record._id = this.getDeadLetterIdPrefix() + timestamp.getTime() + '_' + (this.deadLetterCount++) + '_' + crypto.randomBytes(4).toString('hex');
+		}
+		record.task_id = this.taskId;
+		record.record_type = 'dead_letter';
+		record.timestamp = timestamp.toISOString();
+	}.bind(this));
+};
+
+// export constructor
+module.exports.Repository = Repository;
+module.exports.getLastTimestamp = getLastTimestamp;
@@ -16,13 +16,56 @@
 
 'use strict';
 
+const async = require('async');
 const consts = require('../consts.js');
 const debug = require('debug')(consts.appPrefix + ':repository');
-const events = require('events');
 const util = require('util');
 const _ = require('lodash');
 
+const events = require('../events.js');
 const mutil = require('../util.js');
+const Repository = require('./baseRepository.js').Repository;
+const getLastTimestamp = require('./baseRepository.js').getLastTimestamp;
+
+// default name of the repository database
+const default_database_name = 'transformer_';
+
+// number of event records that are loaded and deleted per request when events are pruned
+const prune_chunk_size = 500;
+
+// design document of the repository database; increment the version if the views are changed
+const design_document = {
+							_id: '_design/repository',
+							version: 2,
+							views: {
+									events: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
+									},
+									target_database_events: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\') && (doc.source === \'target database\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
+									},
+									application_events: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\') && (doc.source === \'application\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
+									},
+									recovery: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'recovery\')) {\n    emit(doc._id, [doc.last_update_seq.split(\'-\')[0],doc.last_change_applied]);\n  }\n}'
+									},
+									// the following views support the events API: [task_id, (filter value,) timestamp]
+									events_by_time: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit([doc.task_id, doc.timestamp], null);\n  }\n}'
+									},
+									events_by_severity: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit([doc.task_id, doc.severity, doc.timestamp], null);\n  }\n}'
+									},
+									events_by_source: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit([doc.task_id, doc.source, doc.timestamp], null);\n  }\n}'
+									},
+									events_by_type: {
+										map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit([doc.task_id, doc.event_type, doc.timestamp], null);\n  }\n}'
+									}
+								   },
+							language: 'javascript'
+						 };
 
 /*
  * Constructor. Initializes the recovery repository database and emits one of the following events:
@@ -30,18 +73,23 @@ const mutil = require('../util.js');
  * 'ready', {Object} recoveryRecord
  *          {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
  *          {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
- * @param {Object} 
+ * @param {Object} cloudantRepository - the server that hosts the repository database
  * @param {String} taskId - unique identifier of the task for which recovery records will be saved and loaded by this instance
+ * @param {String} databaseName - optional; name of the repository database (default "transformer_")
+ * @param {Object} previousRepository - optional; repository database that was used before. If this repository does 
+ *                                      not contain a recovery record for the task, the record is copied from there.
+ * @param {Object} previousRepository.cloudant - the server that hosts the previous repository database
+ * @param {String} previousRepository.database_name - name of the previous repository database
  *
  */
 function CloudantRepository(cloudantRepository,
-					  		taskId) {
+					  		taskId,
+					  		databaseName,
+					  		previousRepository) {
 
-	events.EventEmitter.call(this);
+	Repository.call(this, taskId);
 
 	this.repositoryDb = null;
-	this.taskId = taskId;
-	this.state = null;
 
 	if((! cloudantRepository) || (! taskId)) {
 		// mandatory parameters are missing (programming error)
@@ -56,74 +104,113 @@ function CloudantRepository(cloudantRepository,
 	debug('Repository URL: ' + mutil.getUrlWithoutPassword(cloudantRepository.config.url)); 
 	debug('Task id: ' + taskId);
 
-	const repository_name = 'transformer_';
+	const repository_name = databaseName || default_database_name;
+
+	debug('Repository database name: ' + repository_name);
+
+	// loads the recovery record once the repository database is ready
+	var onDatabaseReady = function() {
+		this.state = 'ready';
+		debug('Repository database is ready. Loading recovery info.');
+		this.loadRecoveryInfo(function(err, recoveryInfo) {
+			if(err) {
+				debug(err);
+			}
+			if((recoveryInfo) || (! previousRepository)) {
+				return this.emit('ready', recoveryInfo);
+			}
+			this.migrateRecoveryInfo(previousRepository, function(err, recoveryInfo) {
+				if(err) {
+					// don't start from scratch if the previous recovery record could not be copied
+					this.state = 'error';
+					return this.emit('error', err);
+				}
+				this.emit('ready', recoveryInfo);
+			}.bind(this));
+		}.bind(this));
+	}.bind(this);
 
 	cloudantRepository.db.list(function(err, databases) {
+		if(err) {
+			this.state = 'error';
+			return this.emit('error', 'Repository server "' + mutil.getUrlWithoutPassword(cloudantRepository.config.url) + '" cannot be accessed: ' + err);
+		}
 		if(! _.find(databases, 
 				  function(database) {
 					return (database === repository_name);
 				  })) {
 			debug('Repository database "' + repository_name + ' does not exist. Creating it.');
 			cloudantRepository.db.create(repository_name, function(err) {
-				if(err) {
+				if((err) && (err.statusCode !== 412)) {
 					this.state = 'error';
 					this.emit('error', 'Database "' + repository_name + '" could not be created: ' + err);
 				}
 				else {
+					// 412: the database was created by another replication task in the meantime
 					this.repositoryDb = cloudantRepository.db.use(repository_name);
 
-					const ddoc = {
-								  _id: '_design/repository',
-								  views: {
-								    		events: {
-								      			map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
-								    		},
-											target_database_events: {
-								      			map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\') && (doc.source === \'target database\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
-								    		},
-											application_events: {
-								      			map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'event\') && (doc.source === \'application\')) {\n    emit(doc.task_id, [doc.event_type, doc.timestamp]);\n  }\n}'
-								    		},								    										    										    		
-								    		recovery: {
-								      			map: 'function (doc) {\n  if((doc.record_type) && (doc.record_type === \'recovery\')) {\n    emit(doc._id, [doc.last_update_seq.split(\'-\')[0],doc.last_change_applied]);\n  }\n}'
-								    		}
-								  		 },
-								  language: 'javascript'
-					};
-
-					debug('Repository design doc: ' + JSON.stringify(ddoc));
-
-					this.repositoryDb.insert(ddoc, 
-											 function(err) {
-												if(err) {
-													// treat as non-fatal error
-													console.error('Could ot create design document in repository database: ' + err);
-												}
-												this.state = 'ready';
-												debug('Repository database was initialized.');
-												this.emit('ready', null);
-					}.bind(this));
-
+					this.upgradeDesignDocument(function(err) {
+						if(err) {
+							// treat as non-fatal error
+							console.error(err);
+						}
+						debug('Repository database was initialized.');
+						onDatabaseReady();
+					});
 				}
 			}.bind(this));
 		}
 		else {
 			this.repositoryDb = cloudantRepository.db.use(repository_name);
-			this.state = 'ready';
-			debug('Repository database is ready. Loading recovery info.');
-			this.loadRecoveryInfo(function(err, recoveryInfo) {
+			this.upgradeDesignDocument(function(err) {
 				if(err) {
-					debug(err);
+					// treat as non-fatal error; only the events API depends on the new views
+					console.error(err);
 				}
-				this.emit('ready', recoveryInfo);
-			}.bind(this));
+				onDatabaseReady();
+			});
 		}
 	}.bind(this));
 	
 } // constructor
 
-// inherit event emitting capabilities
-util.inherits(CloudantRepository, events.EventEmitter);
+// inherit event emitting capabilities and common repository functions
+util.inherits(CloudantRepository, Repository);
+
+/*
+ * Creates the design document of the repository database or replaces it if it is outdated.
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+CloudantRepository.prototype.upgradeDesignDocument = function(callback) {
+
+	this.repositoryDb.get(design_document._id, function(err, body) {
+		if((err) && (err.statusCode !== 404)) {
+			return callback('Design document of the repository database could not be loaded: ' + JSON.stringify(err));
+		}
+
+		if((body) && (body.version >= design_document.version)) {
+			debug('Repository design document is current.');
+			return callback();
+		}
+
+		var ddoc = _.cloneDeep(design_document);
+		if(body) {
+			debug('Upgrading repository design document from version ' + (body.version || 1) + ' to version ' + ddoc.version + '.');
+			ddoc._rev = body._rev;
+		}
+
+		debug('Repository design doc: ' + JSON.stringify(ddoc));
+
+		this.repositoryDb.insert(ddoc, function(err) {
+			if((err) && (err.statusCode !== 409)) {
+				return callback('Could not save design document in repository database: ' + JSON.stringify(err));
+			}
+			// 409: the design document was upgraded by another replication task in the meantime
+			return callback();
+		});
+	}.bind(this));
+};
 
 /*
  * Loads recovery information from the recovery log file.
@@ -223,24 +310,322 @@ CloudantRepository.prototype.saveRecoveryInfo = function(last_update_seq,
 };
 
 /*
- * Saves event information in the repository.
- * @param {String} event - name of the event 
- * @param {String} source - identifies the entity that caused this event
- * @param {String} severity - one of i[nformational], w[arning], e[rror], f[atal]
- * @param {String} data - data associated with the event
+ * Copies the recovery record of this task from a previous repository database. Nothing is copied if 
+ * the previous repository database or the recovery record doesn't exist.
+ * @param {Object} previousRepository - the repository database that was used before
+ * @param {Object} previousRepository.cloudant - the server that hosts the previous repository database
+ * @param {String} previousRepository.database_name - name of the previous repository database
+ * @returns {Callback} callback - callback(err, recoveryRecord)
+ * @returns {String} err - error message
+ * @returns {Object} recoveryRecord - the recovery record that was copied, if any
+ */
+CloudantRepository.prototype.migrateRecoveryInfo = function(previousRepository,
+															callback) {
+
+	callback = this.getCallback(callback, 'migrateRecoveryInfo');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
+
+	previousRepository.cloudant.db.use(previousRepository.database_name).get(this.taskId, function(err, body) {
+		if(err) {
+			if(err.statusCode === 404) {
+				// the previous repository database or the recovery record doesn't exist (not an error)
+				debug('No recovery record to be migrated from repository database "' + previousRepository.database_name + '".');
+				return callback();
+			}
+			return callback('Recovery record could not be migrated from repository database "' + previousRepository.database_name + '": ' + JSON.stringify(err));
+		}
+
+		const recoveryInfo = { last_update_seq: body.last_update_seq, last_change_applied: body.last_change_applied };
+
+		this.saveRecoveryInfo(recoveryInfo.last_update_seq, recoveryInfo.last_change_applied, function(err) {
+			if(err) {
+				return callback('Recovery record could not be migrated from repository database "' + previousRepository.database_name + '": ' + err);
+			}
+			console.log('Recovery record was migrated from repository database "' + previousRepository.database_name + '".');
+			this.saveInfoEvent('recovery-record-migrated',
+							   'application',
+							   {
+								server: mutil.getUrlWithoutPassword(previousRepository.cloudant.config.url),
+								database_name: previousRepository.database_name,
+								last_update_seq: recoveryInfo.last_update_seq
+							   });
+			return callback(null, recoveryInfo);
+		}.bind(this));
+	}.bind(this));
+};
+
+/*
+ * Inserts or updates an event record in the repository.
+ * @param {Object} eventRecord - the event record; _id and _rev are assigned when the record is inserted
+ * @param {Boolean} update - if true, the record was previously written and is replaced
  * @returns {Callback} callback - callback(err)
  * @returns {String} err - error message
  */
-CloudantRepository.prototype.saveEvent = function(event_type,
-												  severity,
-											      source,
-												  data,
+CloudantRepository.prototype.writeEvent = function(eventRecord,
+												   update,
+												   callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
+
+	this.repositoryDb.insert(eventRecord, function(err, body) {
+		if(err) {
+			return callback(JSON.stringify(err));
+		}
+		eventRecord._id = body.id;
+		eventRecord._rev = body.rev;
+		return callback();
+	});
+};
+
+/*
+ * Deletes the event records that are returned by a view query and meet the selection criteria.
+ * Rows are loaded and deleted in chunks of params.limit rows.
+ * @param {String} view - the view name
+ * @param {Object} params - the view query; must include docs
+ * @param {Function} select - select(eventRecord) returns true if the record is to be deleted
+ * @returns {Callback} callback - callback(err, removed)
+ * @returns {String} err - error message
+ * @returns {Number} removed - the number of event records that were deleted
+ */
+CloudantRepository.prototype.deleteEventRecords = function(view,
+														   params,
+														   select,
+														   callback) {
+
+	var removed = 0;
+	// rows that are not deleted are skipped in subsequent queries
+	var kept = 0;
+	const skip = params.skip || 0;
+
+	var deleteRows = function() {
+		params.skip = skip + kept;
+		this.repositoryDb.view('repository', view, params, function(err, body) {
+			if(err) {
+				return callback(JSON.stringify(err));
+			}
+
+			var docs = body.rows.filter(function(row) {
+				return ((row.doc) && (select(row.doc)));
+			}).map(function(row) {
+				return {_id: row.id, _rev: row.doc._rev, _deleted: true};
+			});
+
+			var next = function(deleted) {
+				removed = removed + deleted;
+				kept = kept + body.rows.length - deleted;
+				if(body.rows.length < params.limit) {
+					return callback(null, removed);
+				}
+				deleteRows();
+			};
+
+			if(docs.length === 0) {
+				return next(0);
+			}
+
+			this.repositoryDb.bulk({docs: docs}, function(err, data) {
+				if(err) {
+					return callback(JSON.stringify(err));
+				}
+				next(data.filter(function(result) {
+					return (! result.error);
+				}).length);
+			});
+		}.bind(this));
+	}.bind(this);
+
+	deleteRows();
+};
+
+/*
+ * Deletes the event records of this task that are older than the cutoff or exceed the maximum count.
+ * @param {String} cutoff - optional; event records that were last updated before this time are deleted
+ * @param {Number} maxCount - optional; only the newest maxCount event records of each severity are kept
+ * @returns {Callback} callback - callback(err, removed)
+ * @returns {String} err - error message
+ * @returns {Number} removed - the number of event records that were deleted
+ */
+CloudantRepository.prototype.removeEvents = function(cutoff,
+													 maxCount,
+													 callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
+
+	var removeOldEvents = function(callback) {
+		if(! cutoff) {
+			return callback(null, 0);
+		}
+		this.deleteEventRecords('events_by_time',
+								{
+									startkey: [this.taskId],
+									endkey: [this.taskId, cutoff],
+									include_docs: true,
+									limit: prune_chunk_size
+								},
+								function(eventRecord) {
+									return (getLastTimestamp(eventRecord) < cutoff);
+								},
+								callback);
+	}.bind(this);
+
+	var removeExcessEvents = function(callback) {
+		if(! maxCount) {
+			return callback(null, 0);
+		}
+		async.mapSeries(events.severities,
+						function(severity, callback) {
+							this.deleteEventRecords('events_by_severity',
+													{
+														startkey: [this.taskId, severity, {}],
+														endkey: [this.taskId, severity],
+														descending: true,
+														skip: maxCount,
+														include_docs: true,
+														limit: prune_chunk_size
+													},
+													function() {
+														return true;
+													},
+													callback);
+						}.bind(this),
+						function(err, removed) {
+							return callback(err, _.sum(removed));
+						});
+	}.bind(this);
+
+	async.series([removeOldEvents, removeExcessEvents], function(err, removed) {
+		if(err) {
+			return callback(err);
+		}
+		return callback(null, _.sum(removed));
+	});
+};
+
+/*
+ * Loads one page of events of this task from the repository. The view is selected based on the most 
+ * selective filter; the remaining filters are applied to the loaded events.
+ * @param {Object} query - normalized query, as returned by events.parseEventQuery
+ * @returns {Callback} callback - callback(err, page)
+ * @returns {String} err - error message
+ * @returns {Object} page
+ * @returns {Array} page.events - the events
+ * @returns {String} page.bookmark - identifies the next page; null if this is the last page
+ */
+CloudantRepository.prototype.getEvents = function(query,
 												  callback) {
 
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
+
+	var view = 'events_by_time';
+	var prefix = [this.taskId];
+
+	if(query.event_type) {
+		view = 'events_by_type';
+		prefix.push(query.event_type);
+	}
+	else if(query.source) {
+		view = 'events_by_source';
+		prefix.push(query.source);
+	}
+	else if(query.severity) {
+		view = 'events_by_severity';
+		prefix.push(query.severity);
+	}
+
+	// keys are sorted by timestamp within the prefix; {} is sorted after all strings
+	const low = query.since ? prefix.concat([query.since]) : prefix;
+	const high = prefix.concat([query.until || {}]);
+	const descending = (query.order === 'desc');
+
+	var params = {
+					startkey: descending ? high : low,
+					endkey: descending ? low : high,
+					descending: descending,
+					include_docs: true,
+					limit: query.limit + 1
+				 };
+
+	if((query.bookmark) && (query.bookmark.key) && (query.bookmark.id)) {
+		params.startkey = query.bookmark.key;
+		params.startkey_docid = query.bookmark.id;
+	}
+
+	var selected = [];
+
+	// loads rows until the page is full (plus one event, which identifies the next page) or all rows were loaded
+	var loadRows = function() {
+		debug('Loading events from view ' + view + ': ' + JSON.stringify(params));
+		this.repositoryDb.view('repository', view, params, function(err, body) {
+			if(err) {
+				return callback('Events could not be loaded: ' + JSON.stringify(err));
+			}
+
+			var row = _.find(body.rows, function(row) {
+				if((row.doc) && (events.matchesEventQuery(row.doc, query))) {
+					if(selected.length === query.limit) {
+						return true;
+					}
+					selected.push(events.getEventInfo(row.doc));
+				}
+				return false;
+			});
+
+			if(row) {
+				return callback(null, {
+										events: selected,
+										bookmark: events.encodeBookmark({key: row.key, id: row.id})
+									  });
+			}
+
+			if(body.rows.length < params.limit) {
+				return callback(null, {
+										events: selected,
+										bookmark: null
+									  });
+			}
+
+			// continue after the last row
+			const last = _.last(body.rows);
+			params.startkey = last.key;
+			params.startkey_docid = last.id;
+			params.skip = 1;
+			loadRows();
+		});
+	}.bind(this);
+
+	loadRows();
+};
+
+/*
+ * Saves dead letter records in the repository. Records that contain an _id and a _rev are updated, 
+ * all other records are inserted.
+ * @param {Array} records - the dead letter records
+ * @param {String} records[].stage - processing stage in which the document failed ("transform", "validate" or "write")
+ * @param {String} records[].seq - the source update_seq of the change
+ * @param {String} records[].doc_id - the source document id
+ * @param {String} records[].reason - the error information
+ * @param {Object} records[].doc - the transformed document (if stage is "validate" or "write")
+ * @param {Object} records[].source_doc - the source document (if stage is "transform" or "validate")
+ * @param {Array} records[].violations - the validation schema violations (if stage is "validate")
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+CloudantRepository.prototype.saveDeadLetters = function(records,
+														callback) {
+
 	if((! callback) || (typeof callback !== 'function')) {
 		callback = function(err) {
 			if(err) {
-				console.error('Callback in saveEvent is missing. Using default to display error: ' + err);
+				console.error('Callback in saveDeadLetters is missing. Using default to display error: ' + err);
 			}
 		};
 	}
@@ -249,88 +634,128 @@ CloudantRepository.prototype.saveEvent = function(event_type,
 		return callback('The repository database is not ready.');
 	}
 
-	var eventRecord = {
-						task_id: this.taskId,
-						record_type: 'event',
-						source: source,
-						severity: severity,
-						event_type: event_type,
-						data: data,
-						timestamp: new Date().toISOString()
-					  };
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	this.prepareDeadLetters(records);
 
-	debug('Saving source feed event: ' + JSON.stringify(eventRecord));				  
+	debug('Saving ' + records.length + ' dead letter record(s).');
 
-	this.repositoryDb.insert(eventRecord, function(err) {
+	this.repositoryDb.bulk({docs: records}, function(err, data) {
 		if(err) {
-			console.error('Event record write failure FFDC: ' + JSON.stringify(eventRecord));
-			return callback('Event record could not be saved: ' + JSON.stringify(err));
+			console.error('Dead letter record write failure FFDC: ' + JSON.stringify(records));
+			return callback('Dead letter records could not be saved: ' + JSON.stringify(err));
 		}
-		else {
-			return callback();
+
+		var errors = data.filter(function(result) {
+			return (result.error);
+		});
+
+		if(errors.length > 0) {
+			console.error('Dead letter record write failure FFDC: ' + JSON.stringify(errors));
+			return callback(errors.length + ' of ' + records.length + ' dead letter records could not be saved: ' + JSON.stringify(errors));
 		}
-	});							
 
+		data.forEach(function(result, index) {
+			records[index]._rev = result.rev;
+		});
+
+		return callback();
+	});
 };
 
 /*
- * Saves an informational warning event in the repository.
- * @param {String} event - name of the event 
- * @param {String} source - identifies the entity that caused this event
- * @param {String} data - data associated with the event
- * @returns {Callback} callback - callback(err)
+ * Loads dead letter records from the repository.
+ * @param {Array} ids - optional; the ids of the records to be loaded. If not specified, all records are loaded.
+ * @returns {Callback} callback - callback(err, records)
  * @returns {String} err - error message
+ * @returns {Array} records - dead letter records, in the order in which they were created
  */
-CloudantRepository.prototype.saveInfoEvent = function(event_type,
-													  source,
-													  data,
-													  callback) {
-	this.saveEvent(event_type,
-				   'info',
-				   source,
-				   data,
-				   callback);
+CloudantRepository.prototype.getDeadLetters = function(ids,
+													   callback) {
+
+	if(typeof ids === 'function') {
+		callback = ids;
+		ids = null;
+	}
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
 
+	var onResponse = function(err, body) {
+		if(err) {
+			return callback('Dead letter records could not be loaded: ' + JSON.stringify(err));
+		}
+		return callback(null, 
+						body.rows.filter(function(row) {
+							return ((row.doc) && (row.doc.record_type === 'dead_letter') && (row.doc.task_id === this.taskId));
+						}.bind(this)).map(function(row) {
+							return row.doc;
+						}));
+	}.bind(this);
+
+	if(ids) {
+		this.repositoryDb.fetch({keys: ids}, onResponse);
+	}
+	else {
+		this.repositoryDb.list({
+								startkey: this.getDeadLetterIdPrefix(),
+								endkey: this.getDeadLetterIdPrefix() + '\ufff0',
+								include_docs: true
+							   },
+							   onResponse);
+	}
 };
 
 /*
- * Saves a warning event in the repository.
- * @param {String} event - name of the event 
- * @param {String} source - identifies the entity that caused this event
- * @param {String} data - data associated with the event
+ * Deletes dead letter records from the repository.
+ * @param {Array} records - the dead letter records to be deleted; each record must contain an _id and a _rev
  * @returns {Callback} callback - callback(err)
  * @returns {String} err - error message
  */
-CloudantRepository.prototype.saveWarningEvent = function(event_type,
-													     source,
-													     data,
-													     callback) {
-	this.saveEvent(event_type,
-				   'warn',
-				   source,
-				   data,
-				   callback);
-};
+CloudantRepository.prototype.deleteDeadLetters = function(records,
+														  callback) {
 
+	if((! callback) || (typeof callback !== 'function')) {
+		callback = function(err) {
+			if(err) {
+				console.error('Callback in deleteDeadLetters is missing. Using default to display error: ' + err);
+			}
+		};
+	}
 
-/*
- * Saves an error event in the repository.
- * @param {String} event - name of the event 
- * @param {String} source - identifies the entity that caused this event
- * @param {String} data - data associated with the event
- * @returns {Callback} callback - callback(err)
- * @returns {String} err - error message
- */
-CloudantRepository.prototype.saveErrorEvent = function(event_type,
-													   source,
-													   data,
-													   callback) {
-	this.saveEvent(event_type,
-				   'error',
-				   source,
-				   data,
-				   callback);
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository database is not ready.');
+	}
+
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	this.repositoryDb.bulk({
+							docs: records.map(function(record) {
+									return {_id: record._id, _rev: record._rev, _deleted: true};
+								  })
+						   },
+						   function(err, data) {
+								if(err) {
+									return callback('Dead letter records could not be deleted: ' + JSON.stringify(err));
+								}
+
+								var errors = data.filter(function(result) {
+									return (result.error);
+								});
+
+								if(errors.length > 0) {
+									return callback(errors.length + ' of ' + records.length + ' dead letter records could not be deleted: ' + JSON.stringify(errors));
+								}
+
+								return callback();
+						   });
 };
 
 // export constructor
 module.exports.CloudantRepository = CloudantRepository;
+module.exports.default_database_name = default_database_name;
@@ -0,0 +1,428 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const async = require('async');
+const consts = require('../consts.js');
+const debug = require('debug')(consts.appPrefix + ':repository');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const _ = require('lodash');
+
+const events = require('../events.js');
+const mutil = require('../util.js');
+const Repository = require('./baseRepository.js').Repository;
+
+/*
+ * Constructor. Initializes a repository that is stored in local files and emits one of the following events:
+ * 'error', {String} - error message
+ * 'ready', {Object} recoveryRecord
+ *          {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ *          {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
+ * The following files are created in <directory>:
+ *  - <taskId>_recovery.json: recovery record
+ *  - <taskId>_events.log: event records (one JSON record per line)
+ *  - <taskId>_dead_letters.json: dead letter records
+ * @param {String} directory - the repository directory
+ * @param {String} taskId - unique identifier of the task for which recovery records will be saved and loaded by this instance
+ *
+ */
+function FileRepository(directory,
+						taskId) {
+
+	Repository.call(this, taskId);
+
+	this.directory = directory;
+	this.deadLetters = {};
+	// position of the last event record in the event file
+	this.lastEventOffset = null;
+
+	// serializes file updates
+	this.writeQueue = async.queue(function(write, callback) {
+		write(callback);
+	}, 1);
+
+	if((! directory) || (! taskId)) {
+		// mandatory parameters are missing (programming error)
+		this.state = 'error';
+		process.nextTick( function() {
+			this.emit('error', 'FileRepository: Missing parameters in constructor.');
+		}.bind(this));
+
+		return;
+	}
+
+	this.recoveryFile = path.join(directory, taskId + '_recovery.json');
+	this.eventFile = path.join(directory, taskId + '_events.log');
+	this.deadLetterFile = path.join(directory, taskId + '_dead_letters.json');
+
+	debug('Repository directory: ' + directory);
+	debug('Task id: ' + taskId);
+
+	process.nextTick(function() {
+
+		try {
+			mutil.mkdir(directory);
+			if(fs.existsSync(this.deadLetterFile)) {
+				this.deadLetters = JSON.parse(fs.readFileSync(this.deadLetterFile, 'utf8'));
+			}
+		}
+		catch(err) {
+			this.state = 'error';
+			return this.emit('error', 'Repository directory "' + directory + '" could not be initialized: ' + err);
+		}
+
+		this.state = 'ready';
+		debug('Repository directory is ready. Loading recovery info.');
+		this.loadRecoveryInfo(function(err, recoveryInfo) {
+			if(err) {
+				debug(err);
+			}
+			this.emit('ready', recoveryInfo);
+		}.bind(this));
+
+	}.bind(this));
+
+} // constructor
+
+// inherit event emitting capabilities and common repository functions
+util.inherits(FileRepository, Repository);
+
+/*
+ * Replaces the content of a file. The content is written to a temporary file first, which
+ * is then renamed to prevent partially written files.
+ * @param {String} fileName - the file to be written
+ * @param {Object} content - JSON content or text
+ * @param {Callback} callback - callback(err)
+ */
+FileRepository.prototype.writeFile = function(fileName,
+											  content,
+											  callback) {
+	this.writeQueue.push(function(done) {
+		const tmpFileName = fileName + '.tmp';
+		fs.writeFile(tmpFileName, (typeof content === 'string') ? content : JSON.stringify(content), 'utf8', function(err) {
+			if(err) {
+				return done(err);
+			}
+			fs.rename(tmpFileName, fileName, done);
+		});
+	}, callback);
+};
+
+/*
+ * Loads recovery information from the recovery file.
+ * @returns {Callback} callback - callback(err, recoveryRecord)
+ * @returns {String} err - error message
+ * @returns {Object} recoveryRecord
+ * @returns {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ * @returns {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
+ */
+FileRepository.prototype.loadRecoveryInfo = function(callback) {
+
+	callback = this.getCallback(callback, 'loadRecoveryInfo');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	fs.readFile(this.recoveryFile, 'utf8', function(err, data) {
+		if(err) {
+			if(err.code === 'ENOENT') {
+				// no recovery record exists (not an error)
+				return callback();
+			}
+			return callback('Error loading recovery record: ' + err);
+		}
+		try {
+			const record = JSON.parse(data);
+			return callback(null, { last_update_seq: record.last_update_seq, last_change_applied: record.last_change_applied });
+		}
+		catch(ex) {
+			return callback('Error loading recovery record: ' + ex);
+		}
+	});
+};
+
+/*
+ * Replaces recovery information in the recovery file. (There's only one recovery record per task)
+ * @param {String} last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ * @param {String} last_change_applied - approximate timestamp for above update seq
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+FileRepository.prototype.saveRecoveryInfo = function(last_update_seq,
+													 last_change_applied,
+													 callback) {
+
+	callback = this.getCallback(callback, 'saveRecoveryInfo');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	this.writeFile(this.recoveryFile,
+				   {
+					task_id: this.taskId,
+					record_type: 'recovery',
+					last_update_seq: last_update_seq,
+					last_change_applied: last_change_applied
+				   },
+				   function(err) {
+				   	if(err) {
+				   		return callback('Recovery record could not be saved: ' + err);
+				   	}
+				   	return callback();
+				   });
+};
+
+/*
+ * Appends an event record to the event file or replaces the last event record.
+ * @param {Object} eventRecord - the event record
+ * @param {Boolean} update - if true, the record is the last record in the event file and is replaced
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+FileRepository.prototype.writeEvent = function(eventRecord,
+											   update,
+											   callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	var append = function(offset) {
+		fs.appendFile(this.eventFile, JSON.stringify(eventRecord) + '\n', 'utf8', function(err) {
+			if(err) {
+				return callback(err);
+			}
+			// remember where the record starts, in case it is replaced
+			this.lastEventOffset = offset;
+			return callback();
+		}.bind(this));
+	}.bind(this);
+
+	if((update) && (this.lastEventOffset !== null)) {
+		return fs.truncate(this.eventFile, this.lastEventOffset, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			append(this.lastEventOffset);
+		}.bind(this));
+	}
+
+	fs.stat(this.eventFile, function(err, stats) {
+		if((err) && (err.code !== 'ENOENT')) {
+			return callback(err);
+		}
+		append(stats ? stats.size : 0);
+	});
+};
+
+/*
+ * Removes the event records that are older than the cutoff or exceed the maximum count from the event file.
+ * @param {String} cutoff - optional; event records that were last updated before this time are deleted
+ * @param {Number} maxCount - optional; only the newest maxCount event records of each severity are kept
+ * @returns {Callback} callback - callback(err, removed)
+ * @returns {String} err - error message
+ * @returns {Number} removed - the number of event records that were deleted
+ */
+FileRepository.prototype.removeEvents = function(cutoff,
+												 maxCount,
+												 callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	fs.readFile(this.eventFile, 'utf8', function(err, data) {
+		if(err) {
+			if(err.code === 'ENOENT') {
+				// no events were recorded yet (not an error)
+				return callback(null, 0);
+			}
+			return callback(err);
+		}
+
+		var lines = _.compact(data.split('\n'));
+		var retained = null;
+
+		try {
+			retained = this.retainEvents(lines.map(JSON.parse), cutoff, maxCount).map(JSON.stringify);
+		}
+		catch(ex) {
+			return callback(ex);
+		}
+
+		if(retained.length === lines.length) {
+			return callback(null, 0);
+		}
+
+		const content = retained.map(function(line) {
+			return line + '\n';
+		}).join('');
+
+		this.writeFile(this.eventFile, content, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			this.lastEventOffset = (retained.length > 0) ? Buffer.byteLength(content) - Buffer.byteLength(_.last(retained) + '\n') : null;
+			return callback(null, lines.length - retained.length);
+		}.bind(this));
+	}.bind(this));
+};
+
+/*
+ * Loads one page of events of this task from the event file.
+ * @param {Object} query - normalized query, as returned by events.parseEventQuery
+ * @returns {Callback} callback - callback(err, page)
+ * @returns {String} err - error message
+ * @returns {Object} page
+ * @returns {Array} page.events - the events
+ * @returns {String} page.bookmark - identifies the next page; null if this is the last page
+ */
+FileRepository.prototype.getEvents = function(query,
+											  callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	fs.readFile(this.eventFile, 'utf8', function(err, data) {
+		if(err) {
+			if(err.code === 'ENOENT') {
+				// no events were recorded yet (not an error)
+				return callback(null, events.selectEvents([], query));
+			}
+			return callback('Events could not be loaded: ' + err);
+		}
+		try {
+			return callback(null, events.selectEvents(_.compact(data.split('\n')).map(JSON.parse), query));
+		}
+		catch(ex) {
+			return callback('Events could not be loaded: ' + ex);
+		}
+	});
+};
+
+/*
+ * Saves dead letter records in the dead letter file. Records that contain an _id and a _rev are updated,
+ * all other records are inserted.
+ * @param {Array} records - the dead letter records (see CloudantRepository.saveDeadLetters)
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+FileRepository.prototype.saveDeadLetters = function(records,
+													callback) {
+
+	callback = this.getCallback(callback, 'saveDeadLetters');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	this.prepareDeadLetters(records);
+
+	// mimic the revision check of the Cloudant repository
+	var errors = records.filter(function(record) {
+		var current = this.deadLetters[record._id];
+		return ((current) && (current._rev !== record._rev)) || ((! current) && (record._rev));
+	}.bind(this)).map(function(record) {
+		return {id: record._id, error: 'conflict'};
+	});
+
+	if(errors.length > 0) {
+		return callback(errors.length + ' of ' + records.length + ' dead letter records could not be saved: ' + JSON.stringify(errors));
+	}
+
+	debug('Saving ' + records.length + ' dead letter record(s).');
+
+	records.forEach(function(record) {
+		record._rev = String((parseInt(record._rev, 10) || 0) + 1);
+		this.deadLetters[record._id] = _.cloneDeep(record);
+	}.bind(this));
+
+	this.writeFile(this.deadLetterFile, this.deadLetters, function(err) {
+		if(err) {
+			console.error('Dead letter record write failure FFDC: ' + JSON.stringify(records));
+			return callback('Dead letter records could not be saved: ' + err);
+		}
+		return callback();
+	});
+};
+
+/*
+ * Loads dead letter records from the repository.
+ * @param {Array} ids - optional; the ids of the records to be loaded. If not specified, all records are loaded.
+ * @returns {Callback} callback - callback(err, records)
+ * @returns {String} err - error message
+ * @returns {Array} records - dead letter records, in the order in which they were created
+ */
+FileRepository.prototype.getDeadLetters = function(ids,
+												   callback) {
+
+	if(typeof ids === 'function') {
+		callback = ids;
+		ids = null;
+	}
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	var records = _.sortBy(_.values(ids ? _.pick(this.deadLetters, ids) : this.deadLetters), '_id');
+
+	return callback(null, _.cloneDeep(records));
+};
+
+/*
+ * Deletes dead letter records from the repository.
+ * @param {Array} records - the dead letter records to be deleted; each record must contain an _id
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+FileRepository.prototype.deleteDeadLetters = function(records,
+													  callback) {
+
+	callback = this.getCallback(callback, 'deleteDeadLetters');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	records.forEach(function(record) {
+		delete this.deadLetters[record._id];
+	}.bind(this));
+
+	this.writeFile(this.deadLetterFile, this.deadLetters, function(err) {
+		if(err) {
+			return callback('Dead letter records could not be deleted: ' + err);
+		}
+		return callback();
+	});
+};
+
+// export constructor
+module.exports.FileRepository = FileRepository;
@@ -0,0 +1,438 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const consts = require('../consts.js');
+const debug = require('debug')(consts.appPrefix + ':repository');
+const redis = require('redis');
+const util = require('util');
+const _ = require('lodash');
+
+const events = require('../events.js');
+const mutil = require('../util.js');
+const Repository = require('./baseRepository.js').Repository;
+
+// maximum delay in ms between attempts to reconnect to the Redis server
+const max_reconnect_delay = 5000;
+
+/*
+ * Constructor. Initializes a repository that is stored in Redis and emits one of the following events:
+ * 'error', {String} - error message
+ * 'ready', {Object} recoveryRecord
+ *          {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ *          {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
+ * The following keys are used:
+ *  - transformer_:<taskId>:recovery: recovery record (JSON string)
+ *  - transformer_:<taskId>:events: event records (list of JSON strings)
+ *  - transformer_:<taskId>:dead_letters: dead letter records (hash of JSON strings, keyed by record id)
+ * @param {String} redisUrl - URL of the Redis server, e.g. redis://$USERNAME:$PASSWORD@$HOST:$PORT
+ * @param {String} taskId - unique identifier of the task for which recovery records will be saved and loaded by this instance
+ *
+ */
+function RedisRepository(redisUrl,
+						 taskId) {
+
+	Repository.call(this, taskId);
+
+	this.client = null;
+	this.keyPrefix = 'transformer_:' + taskId + ':';
+
+	if((! redisUrl) || (! taskId)) {
+		// mandatory parameters are missing (programming error)
+		this.state = 'error';
+		process.nextTick( function() {
+			this.emit('error', 'RedisRepository: Missing parameters in constructor.');
+		}.bind(this));
+
+		return;
+	}
+
+	debug('Repository URL: ' + mutil.getUrlWithoutPassword(redisUrl));
+	debug('Task id: ' + taskId);
+
+	var onInitError = function(err) {
+		if(this.state !== 'error') {
+			this.state = 'error';
+			this.emit('error', 'Redis server "' + mutil.getUrlWithoutPassword(redisUrl) + '" is not available: ' + err);
+		}
+	}.bind(this);
+
+	this.client = redis.createClient(redisUrl, {
+		retry_strategy: function(options) {
+			if(this.state !== 'ready') {
+				// the server was never reached; stop trying (the client does not emit an error in this case)
+				onInitError(options.error);
+				return options.error;
+			}
+			return Math.min(options.attempt * 100, max_reconnect_delay);
+		}.bind(this)
+	});
+
+	this.client.on('error', function(err) {
+		if(! this.client) {
+			// the repository was closed
+			return;
+		}
+		if(this.state === 'ready') {
+			// the client reconnects automatically
+			console.error('Redis repository error: ' + err);
+			return;
+		}
+		this.client.quit();
+		onInitError(err);
+	}.bind(this));
+
+	this.client.once('ready', function() {
+		this.state = 'ready';
+		debug('Redis repository is ready. Loading recovery info.');
+		this.loadRecoveryInfo(function(err, recoveryInfo) {
+			if(err) {
+				debug(err);
+			}
+			this.emit('ready', recoveryInfo);
+		}.bind(this));
+	}.bind(this));
+
+} // constructor
+
+// inherit event emitting capabilities and common repository functions
+util.inherits(RedisRepository, Repository);
+
+/*
+ * Loads recovery information from Redis.
+ * @returns {Callback} callback - callback(err, recoveryRecord)
+ * @returns {String} err - error message
+ * @returns {Object} recoveryRecord
+ * @returns {String} recoveryRecord.last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ * @returns {String} recoveryRecord.last_change_applied - approximate timestamp for above update seq
+ */
+RedisRepository.prototype.loadRecoveryInfo = function(callback) {
+
+	callback = this.getCallback(callback, 'loadRecoveryInfo');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	this.client.get(this.keyPrefix + 'recovery', function(err, data) {
+		if(err) {
+			return callback('Error loading recovery record: ' + err);
+		}
+		if(! data) {
+			// no recovery record exists (not an error)
+			return callback();
+		}
+		try {
+			const record = JSON.parse(data);
+			return callback(null, { last_update_seq: record.last_update_seq, last_change_applied: record.last_change_applied });
+		}
+		catch(ex) {
+			return callback('Error loading recovery record: ' + ex);
+		}
+	});
+};
+
+/*
+ * Replaces recovery information in Redis. (There's only one recovery record per task)
+ * @param {String} last_update_seq - last couchDB update seq that was successfully replicated to the target database
+ * @param {String} last_change_applied - approximate timestamp for above update seq
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+RedisRepository.prototype.saveRecoveryInfo = function(last_update_seq,
+													  last_change_applied,
+													  callback) {
+
+	callback = this.getCallback(callback, 'saveRecoveryInfo');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	this.client.set(this.keyPrefix + 'recovery',
+					JSON.stringify({
+									task_id: this.taskId,
+									record_type: 'recovery',
+									last_update_seq: last_update_seq,
+									last_change_applied: last_change_applied
+								   }),
+					function(err) {
+						if(err) {
+							return callback('Recovery record could not be saved: ' + err);
+						}
+						return callback();
+					});
+};
+
+/*
+ * Appends an event record to the event list or replaces the last event record.
+ * @param {Object} eventRecord - the event record
+ * @param {Boolean} update - if true, the record is the last record in the event list and is replaced
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+RedisRepository.prototype.writeEvent = function(eventRecord,
+												update,
+												callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if(update) {
+		return this.client.lset(this.keyPrefix + 'events', -1, JSON.stringify(eventRecord), function(err) {
+			return callback(err);
+		});
+	}
+
+	this.client.rpush(this.keyPrefix + 'events', JSON.stringify(eventRecord), function(err) {
+		return callback(err);
+	});
+};
+
+/*
+ * Removes the event records that are older than the cutoff or exceed the maximum count from the event list.
+ * @param {String} cutoff - optional; event records that were last updated before this time are deleted
+ * @param {Number} maxCount - optional; only the newest maxCount event records of each severity are kept
+ * @returns {Callback} callback - callback(err, removed)
+ * @returns {String} err - error message
+ * @returns {Number} removed - the number of event records that were deleted
+ */
+RedisRepository.prototype.removeEvents = function(cutoff,
+												  maxCount,
+												  callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	const key = this.keyPrefix + 'events';
+
+	this.client.lrange(key, 0, -1, function(err, data) {
+		if(err) {
+			return callback(err);
+		}
+
+		var retained = null;
+
+		try {
+			retained = this.retainEvents(data.map(JSON.parse), cutoff, maxCount).map(JSON.stringify);
+		}
+		catch(ex) {
+			return callback(ex);
+		}
+
+		if(retained.length === data.length) {
+			return callback(null, 0);
+		}
+
+		// replace the list in one transaction
+		var transaction = this.client.multi().del(key);
+		if(retained.length > 0) {
+			transaction.rpush(key, retained);
+		}
+		transaction.exec(function(err) {
+			if(err) {
+				return callback(err);
+			}
+			return callback(null, data.length - retained.length);
+		});
+	}.bind(this));
+};
+
+/*
+ * Loads one page of events of this task from the event list.
+ * @param {Object} query - normalized query, as returned by events.parseEventQuery
+ * @returns {Callback} callback - callback(err, page)
+ * @returns {String} err - error message
+ * @returns {Object} page
+ * @returns {Array} page.events - the events
+ * @returns {String} page.bookmark - identifies the next page; null if this is the last page
+ */
+RedisRepository.prototype.getEvents = function(query,
+											   callback) {
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	this.client.lrange(this.keyPrefix + 'events', 0, -1, function(err, data) {
+		if(err) {
+			return callback('Events could not be loaded: ' + err);
+		}
+		try {
+			return callback(null, events.selectEvents(data.map(JSON.parse), query));
+		}
+		catch(ex) {
+			return callback('Events could not be loaded: ' + ex);
+		}
+	});
+};
+
+/*
+ * Saves dead letter records in Redis. Records that contain an _id and a _rev are updated,
+ * all other records are inserted.
+ * @param {Array} records - the dead letter records (see CloudantRepository.saveDeadLetters)
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+RedisRepository.prototype.saveDeadLetters = function(records,
+													 callback) {
+
+	callback = this.getCallback(callback, 'saveDeadLetters');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	this.prepareDeadLetters(records);
+
+	const key = this.keyPrefix + 'dead_letters';
+
+	this.client.hmget(key, _.map(records, '_id'), function(err, data) {
+		if(err) {
+			return callback('Dead letter records could not be saved: ' + err);
+		}
+
+		// mimic the revision check of the Cloudant repository
+		var errors = [];
+		records.forEach(function(record, index) {
+			var current = data[index] ? JSON.parse(data[index]) : null;
+			if(((current) && (current._rev !== record._rev)) || ((! current) && (record._rev))) {
+				errors.push({id: record._id, error: 'conflict'});
+			}
+		});
+
+		if(errors.length > 0) {
+			return callback(errors.length + ' of ' + records.length + ' dead letter records could not be saved: ' + JSON.stringify(errors));
+		}
+
+		debug('Saving ' + records.length + ' dead letter record(s).');
+
+		var fields = [];
+		records.forEach(function(record) {
+			record._rev = String((parseInt(record._rev, 10) || 0) + 1);
+			fields.push(record._id, JSON.stringify(record));
+		});
+
+		this.client.hmset(key, fields, function(err) {
+			if(err) {
+				console.error('Dead letter record write failure FFDC: ' + JSON.stringify(records));
+				return callback('Dead letter records could not be saved: ' + err);
+			}
+			return callback();
+		});
+	}.bind(this));
+};
+
+/*
+ * Loads dead letter records from Redis.
+ * @param {Array} ids - optional; the ids of the records to be loaded. If not specified, all records are loaded.
+ * @returns {Callback} callback - callback(err, records)
+ * @returns {String} err - error message
+ * @returns {Array} records - dead letter records, in the order in which they were created
+ */
+RedisRepository.prototype.getDeadLetters = function(ids,
+													callback) {
+
+	if(typeof ids === 'function') {
+		callback = ids;
+		ids = null;
+	}
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if((ids) && (ids.length === 0)) {
+		return callback(null, []);
+	}
+
+	const key = this.keyPrefix + 'dead_letters';
+
+	var onResponse = function(err, data) {
+		if(err) {
+			return callback('Dead letter records could not be loaded: ' + err);
+		}
+		return callback(null, _.sortBy(_.compact(_.values(data)).map(function(record) {
+			return JSON.parse(record);
+		}), '_id'));
+	};
+
+	if(ids) {
+		this.client.hmget(key, ids, onResponse);
+	}
+	else {
+		this.client.hgetall(key, onResponse);
+	}
+};
+
+/*
+ * Deletes dead letter records from Redis.
+ * @param {Array} records - the dead letter records to be deleted; each record must contain an _id
+ * @returns {Callback} callback - callback(err)
+ * @returns {String} err - error message
+ */
+RedisRepository.prototype.deleteDeadLetters = function(records,
+													   callback) {
+
+	callback = this.getCallback(callback, 'deleteDeadLetters');
+
+	if((! this.state) || (this.state === 'error')) {
+		return callback('The repository is not ready.');
+	}
+
+	if((! records) || (records.length === 0)) {
+		return callback();
+	}
+
+	this.client.hdel(this.keyPrefix + 'dead_letters', _.map(records, '_id'), function(err) {
+		if(err) {
+			return callback('Dead letter records could not be deleted: ' + err);
+		}
+		return callback();
+	});
+};
+
+/*
+ * Writes the pending event records and closes the connection to the Redis server.
+ * @param {Callback} callback - invoked with ()
+ */
+RedisRepository.prototype.close = function(callback) {
+
+	Repository.prototype.close.call(this, function() {
+		if(! this.client) {
+			return callback();
+		}
+		const client = this.client;
+		this.client = null;
+		this.state = null;
+		client.quit(function(err) {
+			if(err) {
+				debug('Connection to the Redis server could not be closed: ' + err);
+			}
+			return callback();
+		});
+	}.bind(this));
+};
+
+// export constructor
+module.exports.RedisRepository = RedisRepository;
@@ -0,0 +1,92 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+// supported repository types
+const repository_types = ['cloudant', 'file', 'redis'];
+
+/*
+ * Creates a repository database on the repository server or, if none is configured, on the target server. 
+ * If a different server or database is configured the recovery record is copied from the repository database 
+ * that was used by default if the new repository database does not contain one. (There is no default repository
+ * database if the replication has no target server, e.g. if it exports to files.)
+ * @param {Object} options - repository settings (see createRepository)
+ * @param {Object} targetCloudant - the target server
+ * @param {String} taskId - unique identifier of the replication task
+ * @returns {Object} repository
+ */
+var createCloudantRepository = function(options,
+										targetCloudant,
+										taskId) {
+
+	const r_cloudant = require('./cloudantRepository.js');
+
+	const databaseName = options.repository_database || r_cloudant.default_database_name;
+	var previousRepository = null;
+
+	if((targetCloudant) && ((options.repository_url) || (databaseName !== r_cloudant.default_database_name))) {
+		previousRepository = {
+								cloudant: targetCloudant,
+								database_name: r_cloudant.default_database_name
+							 };
+	}
+
+	return new r_cloudant.CloudantRepository(options.repository_url ? require('cloudant')({url: options.repository_url}) : targetCloudant,
+											 taskId,
+											 databaseName,
+											 previousRepository);
+};
+
+/*
+ * Creates the repository that stores the recovery information, events and dead letter records of a replication task.
+ * @param {Object} options - repository settings
+ * @param {String} options.repository_type - "cloudant" (default), "file" or "redis"
+ * @param {String} options.repository_directory - directory in which the files are stored (file repository)
+ * @param {String} options.repository_url - URL of the Redis server (redis repository) or of the CouchDB server 
+ *                                          (cloudant repository; default is the target server)
+ * @param {String} options.repository_database - name of the repository database (cloudant repository)
+ * @param {Boolean} options.event_rollup - if true, consecutive similar events are rolled up into one record
+ * @param {Boolean} options.dry_run - if true, events are not recorded
+ * @param {Object} targetCloudant - the target server
+ * @param {String} taskId - unique identifier of the replication task
+ * @returns {Object} repository - emits 'ready' or 'error' once it was initialized
+ */
+var createRepository = function(options,
+								targetCloudant,
+								taskId) {
+
+	var repository = null;
+
+	switch(options.repository_type) {
+		case 'file':
+			repository = new (require('./fileRepository.js').FileRepository)(options.repository_directory, taskId);
+			break;
+		case 'redis':
+			repository = new (require('./redisRepository.js').RedisRepository)(options.repository_url, taskId);
+			break;
+		default:
+			repository = createCloudantRepository(options, targetCloudant, taskId);
+	}
+
+	repository.setEventRollup(options.event_rollup === true);
+	repository.setEventRecording(options.dry_run !== true);
+
+	return repository;
+};
+
+module.exports.repository_types = repository_types;
+module.exports.createRepository = createRepository;
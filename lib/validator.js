@@ -0,0 +1,146 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+const Ajv = require('ajv');
+const consts = require('./consts.js');
+const debug = require('debug')(consts.appPrefix + ':validator');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const _ = require('lodash');
+
+/*
+ * Class validates documents against a JSON Schema before they are written to the target database.
+ *
+ * The constructor of this class is protected to prevent instantiation without
+ * prior validation.
+ *
+ * @param {Object} validatorInfo - optional; if not specified all documents are valid
+ * @param {String} validatorInfo.id - the name of the file that contains the schema
+ * @param {Object} validatorInfo.schema - the JSON Schema
+ * @param {Function} validatorInfo.validate - the compiled schema
+ */
+function Validator(validatorInfo) {
+
+	this.schemaName = null;
+	this.schema = null;
+	this.validateFunction = null;
+
+	if(validatorInfo) {
+		this.schemaName = validatorInfo.id;
+		this.schema = validatorInfo.schema;
+		this.validateFunction = validatorInfo.validate;
+	}
+}
+
+/*
+ * @returns {Boolean} - true if a schema is defined, false otherwise
+ */
+Validator.prototype.hasSchema = function() {
+	return (this.validateFunction !== null);
+};
+
+/*
+ * @returns {String} - the name of the schema file, or null if not defined
+ */
+Validator.prototype.getName = function() {
+	return this.schemaName;
+};
+
+/*
+ * @returns {Object} - a copy of the schema, or null if not defined
+ */
+Validator.prototype.getDefinition = function() {
+	return _.cloneDeep(this.schema);
+};
+
+/*
+ * Validates a document against the schema.
+ * @param {Object} doc - the document
+ * @returns {Array} violations - empty if the document is valid or no schema is defined
+ * @returns {String} violations[].path - the offending property, e.g. ".address.city" (empty for the document itself)
+ * @returns {String} violations[].message - describes the violation
+ */
+Validator.prototype.validate = function(doc) {
+
+	if((! this.hasSchema()) || (this.validateFunction(doc))) {
+		return [];
+	}
+
+	debug('Document ' + (doc && doc._id) + ' is invalid: ' + JSON.stringify(this.validateFunction.errors));
+
+	return this.validateFunction.errors.map(function(error) {
+		var message = error.message;
+		if(error.keyword === 'additionalProperties') {
+			message = message + ' ("' + error.params.additionalProperty + '")';
+		}
+		return {path: error.dataPath, message: message};
+	});
+};
+
+/*
+ * Creates a validator instance.
+ *
+ * @param: {String} schemaFile - optional; JSON (.json) or YAML (.yml, .yaml) file containing a JSON Schema, relative to the current
+ *                               working directory. If not specified documents are not validated.
+ * @param: {Callback} callback - invoked with (err, Validator) parameters
+ * @returns: {Object} Validator - a validated Validator
+ */
+var getValidator = function(schemaFile, callback) {
+
+	if(typeof schemaFile === 'function') {
+		callback = schemaFile;
+		schemaFile = null;
+	}
+
+	if(! schemaFile) {
+		console.log('No validation schema was declared. Documents will not be validated.');
+		return callback(null, new Validator());
+	}
+
+	var schema = null;
+	var validate = null;
+
+	try {
+		const text = fs.readFileSync(path.join(process.cwd(), schemaFile), 'utf8');
+		schema = (['.yml', '.yaml'].indexOf(path.extname(schemaFile).toLowerCase()) !== -1) ? yaml.load(text, {filename: schemaFile}) : JSON.parse(text);
+	}
+	catch(err) {
+		return callback('Validation schema could not be loaded from file "' + schemaFile + '": ' + err);
+	}
+
+	if(! _.isPlainObject(schema)) {
+		return callback('File "' + schemaFile + '" does not contain a JSON Schema.');
+	}
+
+	try {
+		validate = new Ajv({allErrors: true}).compile(schema);
+	}
+	catch(err) {
+		return callback('File "' + schemaFile + '" does not contain a valid JSON Schema: ' + err);
+	}
+
+	console.log('Validation schema was loaded from file "' + schemaFile + '".');
+	debug('[-------- validation schema --------]\n' +
+		  JSON.stringify(schema, null, 2) + '\n' +
+	     '[-----------------------------------------------]');
+
+	return callback(null, new Validator({id: schemaFile, schema: schema, validate: validate}));
+};
+
+module.exports.getValidator = getValidator;
@@ -0,0 +1,18 @@
+/*
+ * Sample asynchronous transformation function. Adds a "timestamp" property to the document. Value is the current timestamp in ISO 8601 format
+ * @param {Object} doc - the source document
+ * @param {Callback} callback - invoked with (err, transformedDoc) when processing is complete
+ */
+module.exports = function(doc, callback) {
+
+	setImmediate(function() {
+
+		if(doc) {
+
+			doc.timestamp = new Date().toISOString();
+
+		}
+
+		return callback(null, doc);
+	});
+};
\ No newline at end of file
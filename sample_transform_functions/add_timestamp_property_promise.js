@@ -0,0 +1,18 @@
+/*
+ * Sample transformation function that returns a Promise. Adds a "timestamp" property to the document. Value is the current timestamp in ISO 8601 format
+ * @param {Object} doc - the source document
+ * @returns {Promise} - resolves to the transformed document
+ */
+module.exports = function(doc) {
+
+	return new Promise(function(resolve) {
+
+		if(doc) {
+
+			doc.timestamp = new Date().toISOString();
+
+		}
+
+		resolve(doc);
+	});
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+const BackfillFeed = require('../lib/backfillFeed.js').BackfillFeed;
+
+// database stub that serves <count> changes; the update sequence of change n is "n-abc"
+var getDatabase = function(count) {
+  var database = {
+    config: {db: 'source'},
+    requests: [],
+    server: {
+      request: function(options, callback) {
+        database.requests.push(options);
+        var since = parseInt(options.qs.since, 10) || 0;
+        var results = [];
+        for(var seq = since + 1; (seq <= count) && (results.length < options.qs.limit); seq++) {
+          results.push({seq: seq + '-abc', id: 'd' + seq, changes: [{rev: '1-x'}]});
+        }
+        setImmediate(function() {
+          callback(null, {results: results, last_seq: (results.length > 0) ? results[results.length - 1].seq : options.qs.since});
+        });
+      }
+    }
+  };
+  return database;
+};
+
+describe('lib/backfillFeed', function() {
+
+  it('should read changes page by page until it caught up', function(done) {
+    var database = getDatabase(7);
+    var feed = new BackfillFeed(database, {since: '2-abc', include_docs: true}, '7-abc', 2);
+    var ids = [];
+    feed.on('change', function(change) {
+      ids.push(change.id);
+    });
+    feed.on('catchup', function(seq) {
+      assert.equal('7-abc', seq);
+      assert.deepEqual(['d3', 'd4', 'd5', 'd6', 'd7'], ids);
+      assert.deepEqual(['2-abc', '4-abc', '6-abc'], database.requests.map(function(request) {
+        return request.qs.since;
+      }));
+      assert.equal('GET', database.requests[0].method);
+      assert.equal('source', database.requests[0].db);
+      assert.equal('_changes', database.requests[0].path);
+      assert.equal(true, database.requests[0].qs.include_docs);
+    });
+    feed.on('stop', done);
+    feed.follow();
+  });
+
+  it('should stop once it reached the update sequence', function(done) {
+    var database = getDatabase(10);
+    var feed = new BackfillFeed(database, {}, '4-abc', 2);
+    var count = 0;
+    feed.on('change', function() {
+      count++;
+    });
+    feed.on('catchup', function(seq) {
+      assert.equal('4-abc', seq);
+      assert.equal(4, count);
+      done();
+    });
+    feed.follow();
+  });
+
+  it('should pass built-in server-side filters in the request body', function(done) {
+    var database = getDatabase(1);
+    var feed = new BackfillFeed(database,
+                                {filter: '_doc_ids', request: {method: 'POST', body: JSON.stringify({doc_ids: ['d1']})}},
+                                '1-abc',
+                                5);
+    feed.on('catchup', function() {
+      assert.equal('POST', database.requests[0].method);
+      assert.equal('_doc_ids', database.requests[0].qs.filter);
+      assert.deepEqual({doc_ids: ['d1']}, database.requests[0].body);
+      done();
+    });
+    feed.follow();
+  });
+
+  it('should not request pages while paused', function(done) {
+    var database = getDatabase(6);
+    var feed = new BackfillFeed(database, {}, '6-abc', 2);
+    feed.on('change', function(change) {
+      if(change.id === 'd2') {
+        feed.pause();
+        setTimeout(function() {
+          assert.equal(1, database.requests.length);
+          feed.resume();
+        }, 20);
+      }
+    });
+    feed.on('catchup', function() {
+      assert.equal(3, database.requests.length);
+      done();
+    });
+    feed.follow();
+  });
+
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+
+const BatchSizer = require('../lib/batchSizer.js').BatchSizer;
+
+describe('lib/batchSizer', function() {
+
+  describe('#getBatchLength()', function() {
+    it('should limit a batch by document count and size', function() {
+      var sizer = new BatchSizer(3, 1000, 5000);
+      assert.equal(3, sizer.getBatchLength([10, 10, 10, 10]));
+      assert.equal(2, sizer.getBatchLength([400, 500, 200]));
+      assert(sizer.isFull(3, 10));
+      assert(sizer.isFull(1, 1000));
+      assert(! sizer.isFull(2, 999));
+    });
+
+    it('should include a document that exceeds the size limit on its own', function() {
+      var sizer = new BatchSizer(3, 1000, 5000);
+      assert.equal(1, sizer.getBatchLength([5000, 10]));
+      assert.equal(0, sizer.getBatchLength([]));
+    });
+  });
+
+  describe('#recordLatency()', function() {
+    it('should shrink batches after slow requests and grow them after fast requests', function() {
+      var sizer = new BatchSizer(500, 5242880, 5000);
+      sizer.recordLatency(10000, 500, 100000);
+      assert.deepEqual({docs: 250, bytes: 50000}, sizer.getLimits());
+      sizer.recordLatency(1000, 250, 30000);
+      assert.deepEqual({docs: 313, bytes: 62500}, sizer.getLimits());
+      // batches that did not reach the limits don't grow them
+      sizer.recordLatency(1000, 10, 1000);
+      assert.deepEqual({docs: 313, bytes: 62500}, sizer.getLimits());
+    });
+
+    it('should not exceed the configured maximums', function() {
+      var sizer = new BatchSizer(500, 5242880, 5000);
+      sizer.recordLatency(100, 500, 5242880);
+      assert.deepEqual({docs: 500, bytes: 5242880}, sizer.getLimits());
+    });
+  });
+
+  describe('#recordTooLarge()', function() {
+    it('should halve the limits after a request was rejected', function() {
+      var sizer = new BatchSizer(500, 5242880, 5000);
+      sizer.recordTooLarge(400, 4000000);
+      assert.deepEqual({docs: 200, bytes: 2000000}, sizer.getLimits());
+      sizer.recordThrottled();
+      assert.deepEqual({docs: 100, bytes: 2000000}, sizer.getLimits());
+      // a request that exceeded the lowered limits does not lower them further
+      sizer.recordTooLarge(400, 4000000);
+      assert.deepEqual({docs: 100, bytes: 2000000}, sizer.getLimits());
+      sizer.recordTooLarge(1, 0);
+      assert.deepEqual({docs: 1, bytes: 1000000}, sizer.getLimits());
+    });
+  });
+
+});
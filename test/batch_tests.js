@@ -0,0 +1,65 @@
+const assert = require('assert');
+
+const batches = require('../lib/batch.js');
+
+describe('lib/batch', function() {
+
+  describe('#toDocumentList()', function() {
+    it('should return the documents that a transformation routine produced', function() {
+      assert.deepEqual([{_id: 'a'}], batches.toDocumentList({_id: 'a'}));
+      assert.deepEqual([{_id: 'a'}, {_id: 'b'}], batches.toDocumentList([{_id: 'a'}, null, {_id: 'b'}]));
+      assert.deepEqual([], batches.toDocumentList(null));
+      assert.deepEqual([], batches.toDocumentList(undefined));
+      assert.deepEqual([], batches.toDocumentList([]));
+    });
+  });
+
+  describe('#getChanges()', function() {
+    it('should mark the change of the last document that was derived from a source change', function() {
+      assert.deepEqual([{seq: '1-a', doc: {_id: 'a1'}, last: false, deletion: false},
+                        {seq: '1-a', doc: {_id: 'a2'}, last: true, deletion: false}],
+                       batches.getChanges({seq: '1-a'}, [{_id: 'a1'}, {_id: 'a2'}], false));
+    });
+
+    it('should add a change without a document if a source change did not produce a document', function() {
+      assert.deepEqual([{seq: '1-a', doc: null, last: true, deletion: false}],
+                       batches.getChanges({seq: '1-a'}, [], false));
+    });
+  });
+
+  describe('#removeSupersededChanges()', function() {
+    it('should only keep the latest change to a document', function() {
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a', value: 1}], false)
+                    .concat(batches.getChanges({seq: '2-b'}, [{_id: 'b'}], false))
+                    .concat(batches.getChanges({seq: '3-c'}, [{_id: 'a', value: 3}], false));
+      assert.deepEqual([changes[1], changes[2]], batches.removeSupersededChanges(changes));
+    });
+
+    it('should record a superseded change once the later change was written', function() {
+      // the later change is not the last change of its source change
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a'}], false)
+                    .concat(batches.getChanges({seq: '2-b'}, [{_id: 'a'}, {_id: 'b'}], false));
+      var batch = changes.slice(0, 2);
+      assert.deepEqual([changes[1]], batches.removeSupersededChanges(batch));
+      assert.equal('1-a', batches.getCheckpoint(batch));
+    });
+  });
+
+  describe('#getCheckpoint()', function() {
+    it('should not advance past a source change whose documents are split across batches', function() {
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a1'}, {_id: 'a2'}, {_id: 'a3'}], false)
+                    .concat(batches.getChanges({seq: '2-b'}, [{_id: 'b'}], false));
+      assert.equal(null, batches.getCheckpoint(changes.slice(0, 2)));
+      assert.equal('2-b', batches.getCheckpoint(changes.slice(2)));
+      assert.equal('1-a', batches.getCheckpoint(changes.slice(0, 3)));
+    });
+
+    it('should advance past source changes that did not produce a document', function() {
+      var changes = batches.getChanges({seq: '1-a'}, [], false)
+                    .concat(batches.getChanges({seq: '2-b'}, [], false))
+                    .concat(batches.getChanges({seq: '3-c'}, [], false));
+      assert.equal('3-c', batches.getCheckpoint(changes));
+      assert.equal(null, batches.getCheckpoint([]));
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const CheckpointTracker = require('../lib/checkpoint.js').CheckpointTracker;
+
+describe('lib/checkpoint', function() {
+
+  describe('#complete()', function() {
+    it('should advance the checkpoint if batches complete in order', function() {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start();
+      var second = tracker.start();
+      assert.equal('1-a', tracker.complete(first, '1-a'));
+      assert.equal('2-b', tracker.complete(second, '2-b'));
+      assert.equal(0, tracker.getPendingCount());
+    });
+
+    it('should not advance the checkpoint past a batch that has not completed', function() {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start();
+      var second = tracker.start();
+      var third = tracker.start();
+      assert.equal(null, tracker.complete(third, '3-c'));
+      assert.equal(null, tracker.complete(second, '2-b'));
+      assert.equal(3, tracker.getPendingCount());
+      assert.equal('3-c', tracker.complete(first, '1-a'));
+      assert.equal(0, tracker.getPendingCount());
+    });
+
+    it('should skip batches that do not advance the checkpoint', function() {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start();
+      var second = tracker.start();
+      assert.equal(null, tracker.complete(second, null));
+      assert.equal('1-a', tracker.complete(first, '1-a'));
+    });
+  });
+
+  describe('#isBlocked()', function() {
+    it('should block batches that write a document of a preceding batch that has not completed', function() {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start(['a', 'b']);
+      var second = tracker.start(['c']);
+      var third = tracker.start(['b', 'd']);
+      assert.equal(false, tracker.isBlocked(first));
+      assert.equal(false, tracker.isBlocked(second));
+      assert.equal(true, tracker.isBlocked(third));
+      tracker.complete(first, '1-a');
+      assert.equal(false, tracker.isBlocked(third));
+    });
+  });
+
+  describe('#whenUnblocked()', function() {
+    it('should wait until the preceding batch that writes one of the documents has completed', function(done) {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start(['a']);
+      var second = tracker.start(['a', 'b']);
+      var order = [];
+      tracker.whenUnblocked(first, function() {
+        order.push(first);
+      });
+      tracker.whenUnblocked(second, function() {
+        assert.deepEqual([first, 'completed'], order);
+        done();
+      });
+      tracker.complete(first, '1-a');
+      order.push('completed');
+    });
+  });
+
+  describe('#abandon()', function() {
+    it('should release waiting batches but not advance the checkpoint past the batch', function(done) {
+      var tracker = new CheckpointTracker();
+      var first = tracker.start(['a']);
+      var second = tracker.start(['a']);
+      tracker.whenUnblocked(second, function() {
+        assert.equal(null, tracker.complete(second, '2-b'));
+        assert.equal(2, tracker.getPendingCount());
+        done();
+      });
+      tracker.abandon(first);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+
+const batches = require('../lib/batch.js');
+const CouchDBSink = require('../lib/couchdbSink.js').CouchDBSink;
+
+// returns a target server whose database contains <docs>; documents in <deleted> were deleted
+var getTargetServer = function(docs, deleted) {
+  // rows of a fetch or fetchRevs response
+  var getRows = function(keys) {
+    return keys.map(function(key) {
+      if(deleted.indexOf(key) !== -1) {
+        return {key: key, id: key, value: {rev: '2-x', deleted: true}, doc: null};
+      }
+      if(! docs[key]) {
+        return {key: key, error: 'not_found'};
+      }
+      return {key: key, id: key, value: {rev: docs[key]._rev}, doc: JSON.parse(JSON.stringify(docs[key]))};
+    });
+  };
+  var targetDb = {
+    requests: [],
+    fetchRevs: function(body, callback) {
+      targetDb.requests.push({method: 'fetchRevs', keys: body.keys});
+      setImmediate(callback, null, {rows: getRows(body.keys)});
+    },
+    fetch: function(body, callback) {
+      targetDb.requests.push({method: 'fetch', keys: body.keys});
+      setImmediate(callback, null, {rows: getRows(body.keys)});
+    }
+  };
+  return {
+    targetDb: targetDb,
+    db: {
+      get: function(name, callback) {
+        setImmediate(callback, null, {db_name: name});
+      },
+      use: function() {
+        return targetDb;
+      }
+    }
+  };
+};
+
+// initializes a sink for the target server
+var getSink = function(server, options, callback) {
+  var sink = new CouchDBSink(server, 'target', options);
+  sink.init(function(err) {
+    assert.ifError(err);
+    callback(sink);
+  });
+};
+
+describe('lib/couchdbSink', function() {
+
+  describe('#prepare()', function() {
+    it('should apply the latest change to a document to its current revision in upsert mode', function(done) {
+      var server = getTargetServer({a: {_id: 'a', _rev: '3-x', value: 0}}, []);
+      var changes = batches.removeSupersededChanges(
+                      batches.getChanges({seq: '1-a'}, [{_id: 'a', value: 1}], false)
+                      .concat(batches.getChanges({seq: '2-b'}, [{_id: 'a', value: 2}], false)));
+      getSink(server, {update_mode: 'upsert', delete_policy: 'delete'}, function(sink) {
+        sink.prepare(changes, function(err) {
+          assert.ifError(err);
+          assert.deepEqual([{_id: 'a', _rev: '3-x', value: 2}], changes.map(function(change) {
+            return change.target_doc;
+          }));
+          assert.deepEqual([{method: 'fetchRevs', keys: ['a']}], server.targetDb.requests);
+          done();
+        });
+      });
+    });
+
+    it('should write new documents without a revision in upsert mode', function(done) {
+      var server = getTargetServer({}, ['b']);
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a', _rev: '1-y'}, {_id: 'b'}], false);
+      getSink(server, {update_mode: 'upsert', delete_policy: 'delete'}, function(sink) {
+        sink.prepare(changes, function(err) {
+          assert.ifError(err);
+          assert.deepEqual([{_id: 'a'}, {_id: 'b'}], changes.map(function(change) {
+            return change.target_doc;
+          }));
+          done();
+        });
+      });
+    });
+
+    it('should delete the current revision of a target document', function(done) {
+      var server = getTargetServer({a: {_id: 'a', _rev: '3-x', value: 0}}, []);
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a'}], true);
+      getSink(server, {update_mode: 'insert', delete_policy: 'delete'}, function(sink) {
+        sink.prepare(changes, function(err) {
+          assert.ifError(err);
+          assert.deepEqual({_id: 'a', _rev: '3-x', _deleted: true}, changes[0].target_doc);
+          assert.equal(false, changes[0].skip);
+          assert.deepEqual([{method: 'fetchRevs', keys: ['a']}], server.targetDb.requests);
+          done();
+        });
+      });
+    });
+
+    it('should mark the current revision of a target document as deleted in soft_delete mode', function(done) {
+      var server = getTargetServer({a: {_id: 'a', _rev: '3-x', value: 0}}, []);
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a'}], true);
+      getSink(server, {update_mode: 'insert', delete_policy: 'soft_delete', soft_delete_field: 'removed'}, function(sink) {
+        sink.prepare(changes, function(err) {
+          assert.ifError(err);
+          assert.deepEqual({_id: 'a', _rev: '3-x', value: 0, removed: true}, changes[0].target_doc);
+          assert.deepEqual([{method: 'fetch', keys: ['a']}], server.targetDb.requests);
+          done();
+        });
+      });
+    });
+
+    it('should skip deletions of documents that do not exist in the target database', function(done) {
+      var server = getTargetServer({}, ['b']);
+      var changes = batches.getChanges({seq: '1-a'}, [{_id: 'a'}], true)
+                    .concat(batches.getChanges({seq: '2-b'}, [{_id: 'b'}], true));
+      getSink(server, {update_mode: 'insert', delete_policy: 'soft_delete', soft_delete_field: 'removed'}, function(sink) {
+        sink.prepare(changes, function(err) {
+          assert.ifError(err);
+          assert.deepEqual([true, true], changes.map(function(change) {
+            return change.skip;
+          }));
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DryRunReport = require('../lib/dryRun.js').DryRunReport;
+
+describe('lib/dryRun', function() {
+
+  var reportFile = path.relative(process.cwd(), path.join(os.tmpdir(), 'dry_run_test_' + process.pid, 'report.ndjson'));
+
+  after(function() {
+    fs.unlinkSync(reportFile);
+    fs.rmdirSync(path.dirname(reportFile));
+  });
+
+  var getReport = function() {
+    var report = new DryRunReport('task', 1);
+    [1, 2, 3, 4].forEach(function(seq) {
+      report.recordReceived({seq: seq + '-abc', doc: {_id: 'd' + seq}});
+    });
+    report.recordFiltered();
+    report.recordDocuments({seq: '2-abc'}, {_id: 'd2', a: 1}, [{_id: 'd2', b: 1}]);
+    report.recordDocuments({seq: '3-abc'}, {_id: 'd3', a: 1}, [{_id: 'd3a'}, {_id: 'd3b'}]);
+    report.recordError('validate', {seq: '4-abc', doc: {_id: 'd4x'}, source_doc: {_id: 'd4'}, violations: [{path: '', message: 'invalid'}]}, 'invalid');
+    return report;
+  };
+
+  describe('#getReport()', function() {
+    it('should report counts, samples and errors', function() {
+      var report = getReport().getReport();
+      assert.equal('task', report.task_id);
+      assert.equal('4-abc', report.last_seq);
+      assert.deepEqual({received: 4, filtered: 1, transformed: 2, dropped: 0, documents: 3, deletions: 0, deletions_ignored: 0, errors: 1}, report.counts);
+      assert.equal(0.25, report.filter_rejection_rate);
+      // the sample size is 1
+      assert.deepEqual([{seq: '2-abc', doc_id: 'd2', before: {_id: 'd2', a: 1}, after: [{_id: 'd2', b: 1}]}], report.samples);
+      assert.deepEqual([{stage: 'validate', seq: '4-abc', doc_id: 'd4', reason: 'invalid', violations: [{path: '', message: 'invalid'}]}], report.errors);
+    });
+  });
+
+  describe('#save()', function() {
+    it('should save the summary, samples and errors in NDJSON format', function(done) {
+      getReport().save(reportFile, function(err) {
+        assert.equal(null, err);
+        var records = fs.readFileSync(reportFile, 'utf8').trim().split('\n').map(JSON.parse);
+        assert.deepEqual(['summary', 'sample', 'error'], records.map(function(record) { return record.type; }));
+        assert.equal(3, records[0].counts.documents);
+        assert.equal(undefined, records[0].samples);
+        assert.equal('d2', records[1].doc_id);
+        done();
+      });
+    });
+  });
+
+});
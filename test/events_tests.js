@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const events = require('../lib/events.js');
+
+var createEvents = function() {
+  return [
+           {timestamp: '2016-09-08T10:00:00.000Z', severity: 'info', source: 'application', event_type: 'start', data: {}, task_id: 't'},
+           {timestamp: '2016-09-08T11:00:00.000Z', severity: 'warn', source: 'target database', event_type: 'target-bulk-write-retry', data: {attempt: 1}, task_id: 't'},
+           {timestamp: '2016-09-08T12:00:00.000Z', severity: 'error', source: 'target database', event_type: 'target-bulk-write-error', data: {attempt: 2}, task_id: 't'},
+           {timestamp: '2016-09-08T13:00:00.000Z', severity: 'info', source: 'application', event_type: 'pause', data: {}, task_id: 't'}
+         ];
+};
+
+describe('lib/events', function() {
+
+  describe('#parseEventQuery()', function() {
+    it('should apply the defaults', function(done) {
+      events.parseEventQuery({}, function(err, query) {
+        assert.ifError(err);
+        assert.equal(50, query.limit);
+        assert.equal('desc', query.order);
+        assert.equal(null, query.severity);
+        assert.equal(null, query.bookmark);
+        done();
+      });
+    });
+
+    it('should normalize timestamps', function(done) {
+      events.parseEventQuery({since: '2016-09-08T10:00:00Z', limit: '10'}, function(err, query) {
+        assert.ifError(err);
+        assert.equal('2016-09-08T10:00:00.000Z', query.since);
+        assert.equal(10, query.limit);
+        done();
+      });
+    });
+
+    it('should identify invalid parameters', function(done) {
+      events.parseEventQuery({severity: 'fatal'}, function(err) {
+        assert(err.indexOf('"severity"') !== -1, err);
+        events.parseEventQuery({until: 'yesterday'}, function(err) {
+          assert(err.indexOf('"until"') !== -1, err);
+          events.parseEventQuery({limit: '0'}, function(err) {
+            assert(err.indexOf('"limit"') !== -1, err);
+            events.parseEventQuery({bookmark: 'xyz'}, function(err) {
+              assert(err.indexOf('"bookmark"') !== -1, err);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('#selectEvents()', function() {
+    it('should return the newest events first', function() {
+      var page = events.selectEvents(createEvents(), {limit: 50, order: 'desc'});
+      assert.equal(4, page.events.length);
+      assert.equal('pause', page.events[0].event_type);
+      assert.equal(undefined, page.events[0].task_id);
+      assert.equal(null, page.bookmark);
+    });
+
+    it('should filter events', function() {
+      var page = events.selectEvents(createEvents(), {source: 'target database', since: '2016-09-08T11:30:00.000Z', limit: 50, order: 'asc'});
+      assert.equal(1, page.events.length);
+      assert.deepEqual({attempt: 2}, page.events[0].data);
+    });
+
+    it('should page through the events', function(done) {
+      var page = events.selectEvents(createEvents(), {severity: 'info', limit: 1, order: 'asc'});
+      assert.equal('start', page.events[0].event_type);
+      assert(page.bookmark);
+      events.parseEventQuery({severity: 'info', limit: 1, order: 'asc', bookmark: page.bookmark}, function(err, query) {
+        assert.ifError(err);
+        page = events.selectEvents(createEvents(), query);
+        assert.equal(1, page.events.length);
+        assert.equal('pause', page.events[0].event_type);
+        assert.equal(null, page.bookmark);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileRepository = require('../lib/util/fileRepository.js').FileRepository;
+
+var directory = path.join(os.tmpdir(), 'file_repository_test_' + process.pid);
+
+describe('lib/util/fileRepository', function() {
+
+  after(function() {
+    if(fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(function(fileName) {
+        fs.unlinkSync(path.join(directory, fileName));
+      });
+      fs.rmdirSync(directory);
+    }
+  });
+
+  describe('#FileRepository', function() {
+    it('should emit an error if the directory is not specified', function(done) {
+      new FileRepository(null, 'task1').on('error', function(message) {
+        assert(message);
+        done();
+      });
+    });
+
+    it('should report no recovery information for a new task', function(done) {
+      new FileRepository(directory, 'task1').on('ready', function(recoveryInfo) {
+        assert.equal(undefined, recoveryInfo);
+        done();
+      });
+    });
+
+    it('should load the recovery information that was saved', function(done) {
+      var repository = new FileRepository(directory, 'task2');
+      repository.on('ready', function() {
+        repository.saveRecoveryInfo('42-abc', 'Thu Sep 08 2016', function(err) {
+          assert.ifError(err);
+          new FileRepository(directory, 'task2').on('ready', function(recoveryInfo) {
+            assert.deepEqual({last_update_seq: '42-abc', last_change_applied: 'Thu Sep 08 2016'}, recoveryInfo);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should append events to the event file', function(done) {
+      var repository = new FileRepository(directory, 'task3');
+      repository.on('ready', function() {
+        repository.saveInfoEvent('start', 'application', {a: 1}, function(err) {
+          assert.ifError(err);
+          repository.saveErrorEvent('failure', 'target database', 'oops', function(err) {
+            assert.ifError(err);
+            var lines = fs.readFileSync(path.join(directory, 'task3_events.log'), 'utf8').trim().split('\n');
+            assert.equal(2, lines.length);
+            assert.equal('start', JSON.parse(lines[0]).event_type);
+            assert.equal('error', JSON.parse(lines[1]).severity);
+            repository.getEvents({severity: 'error', limit: 10, order: 'desc'}, function(err, page) {
+              assert.ifError(err);
+              assert.equal(1, page.events.length);
+              assert.equal('oops', page.events[0].data);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should roll up consecutive similar events', function(done) {
+      var repository = new FileRepository(directory, 'task5');
+      repository.setEventRollup(true);
+      repository.on('ready', function() {
+        repository.saveWarningEvent('retry', 'target database', {attempt: 1});
+        repository.saveWarningEvent('retry', 'target database', {attempt: 2});
+        repository.saveInfoEvent('resume', 'application', null);
+        repository.saveWarningEvent('retry', 'target database', {attempt: 3}, function(err) {
+          assert.ifError(err);
+          repository.getEvents({limit: 10, order: 'asc'}, function(err, page) {
+            assert.ifError(err);
+            assert.equal(3, page.events.length);
+            assert.equal(2, page.events[0].count);
+            assert.deepEqual({attempt: 2}, page.events[0].data);
+            assert(page.events[0].last_timestamp);
+            assert.equal(undefined, page.events[2].count);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should discard events if event recording is disabled', function(done) {
+      var repository = new FileRepository(directory, 'task9');
+      repository.setEventRecording(false);
+      repository.on('ready', function() {
+        repository.saveInfoEvent('start', 'application', null, function(err) {
+          assert.ifError(err);
+          assert.equal(false, fs.existsSync(path.join(directory, 'task9_events.log')));
+          done();
+        });
+      });
+    });
+
+    it('should prune events by age and count per severity', function(done) {
+      var repository = new FileRepository(directory, 'task6');
+      repository.setEventRollup(true);
+      repository.on('ready', function() {
+        var old = {task_id: 'task6', record_type: 'event', source: 'application', severity: 'info', event_type: 'start', data: null,
+                   timestamp: '2016-09-08T10:00:00.000Z'};
+        fs.writeFileSync(path.join(directory, 'task6_events.log'), JSON.stringify(old) + '\n');
+        repository.saveErrorEvent('failure', 'target database', 1);
+        repository.saveErrorEvent('failure', 'source database', 2);
+        repository.saveErrorEvent('failure', 'target database', 3);
+        repository.saveInfoEvent('pause', 'application', null, function() {
+          repository.pruneEvents(30, 2, function(err, removed) {
+            assert.ifError(err);
+            assert.equal(2, removed);
+            // the last event can still be rolled up
+            repository.saveInfoEvent('pause', 'application', null, function(err) {
+              assert.ifError(err);
+              repository.getEvents({limit: 10, order: 'asc'}, function(err, page) {
+                assert.ifError(err);
+                assert.deepEqual([2, 3, null], page.events.map(function(event) {
+                  return event.data;
+                }));
+                assert.equal(2, page.events[2].count);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should save, update, load and delete dead letter records', function(done) {
+      var repository = new FileRepository(directory, 'task4');
+      repository.on('ready', function() {
+        repository.saveDeadLetters([{stage: 'write', doc_id: 'a'}, {stage: 'write', doc_id: 'b'}], function(err) {
+          assert.ifError(err);
+          repository.getDeadLetters(function(err, records) {
+            assert.ifError(err);
+            assert.equal(2, records.length);
+            assert(records[0]._id.indexOf(repository.getDeadLetterIdPrefix()) === 0);
+            var stale = JSON.parse(JSON.stringify(records[0]));
+            records[0].attempts = 2;
+            repository.saveDeadLetters([records[0]], function(err) {
+              assert.ifError(err);
+              // the previous revision can no longer be updated
+              repository.saveDeadLetters([stale], function(err) {
+                assert(err);
+                repository.deleteDeadLetters([records[1]], function(err) {
+                  assert.ifError(err);
+                  new FileRepository(directory, 'task4').on('ready', function() {
+                    this.getDeadLetters(function(err, records) {
+                      assert.ifError(err);
+                      assert.equal(1, records.length);
+                      assert.equal(2, records[0].attempts);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should assign unique ids to dead letter records that are saved back to back', function(done) {
+      var repository = new FileRepository(directory, 'task8');
+      repository.on('ready', function() {
+        repository.saveDeadLetters([{stage: 'write', doc_id: 'a'}, {stage: 'write', doc_id: 'b'}], function(err) {
+          assert.ifError(err);
+        });
+        repository.saveDeadLetters([{stage: 'write', doc_id: 'c'}, {stage: 'write', doc_id: 'd'}], function(err) {
+          assert.ifError(err);
+          repository.getDeadLetters(function(err, records) {
+            assert.ifError(err);
+            assert.deepEqual(['a', 'b', 'c', 'd'], records.map(function(record) {
+              return record.doc_id;
+            }).sort());
+            done();
+          });
+        });
+      });
+    });
+
+    it('should write pending events before it is closed', function(done) {
+      var repository = new FileRepository(directory, 'task7');
+      repository.on('ready', function() {
+        repository.saveInfoEvent('start', 'application', null);
+        repository.saveInfoEvent('stop', 'application', null);
+        repository.close(function() {
+          var lines = fs.readFileSync(path.join(directory, 'task7_events.log'), 'utf8').trim().split('\n');
+          assert.equal(2, lines.length);
+          assert.equal('stop', JSON.parse(lines[1]).event_type);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -25,3 +25,82 @@ const filterFactory = require('../lib/filter.js');
 });
 
 */
+
+// source database stub that records the requests it receives
+var getDatabase = function(requestError) {
+  var database = {
+    config: {db: 'source'},
+    requests: [],
+    server: {
+      request: function(options, callback) {
+        database.requests.push(options);
+        callback(requestError || null, {results: []});
+      }
+    }
+  };
+  return database;
+};
+
+describe('lib/filter', function() {
+  describe('#getFilter()', function() {
+    it('should verify a server-side selector and pass it to the change feed', function(done) {
+      var database = getDatabase();
+      filterFactory.getFilter(database, {server_filter_selector: '{"type": {"$in": ["order"]}}'}, function(err, filter) {
+        assert.equal(null, err);
+        assert.equal(1, database.requests.length);
+        assert.equal('POST', database.requests[0].method);
+        assert.deepEqual({selector: {type: {$in: ['order']}}}, database.requests[0].body);
+        assert(filter.hasServerFilter());
+        assert.equal('_selector', filter.getServerFilterName());
+        assert.equal('selector', filter.getServerFilterType());
+        assert.deepEqual({type: {$in: ['order']}}, filter.getServerFilterDefinition());
+        var feedOptions = filter.getChangeFeedOptions();
+        assert.equal('_selector', feedOptions.filter);
+        assert.equal('POST', feedOptions.request.method);
+        assert.deepEqual({selector: {type: {$in: ['order']}}}, JSON.parse(feedOptions.request.body));
+        done();
+      });
+    });
+
+    it('should reject selectors that are invalid', function(done) {
+      var database = getDatabase();
+      filterFactory.getFilter(database, {server_filter_selector: {type: {$like: 'order'}}}, function(err) {
+        assert(err.indexOf('$like') !== -1, err);
+        filterFactory.getFilter(database, {server_filter_selector: {$or: {type: 'order'}}}, function(err) {
+          assert(err.indexOf('$or') !== -1, err);
+          filterFactory.getFilter(database, {server_filter_selector: {}}, function(err) {
+            assert(err);
+            assert.equal(0, database.requests.length);
+            filterFactory.getFilter(getDatabase('invalid_selector'), {server_filter_selector: {type: 'order'}}, function(err) {
+              assert(err.indexOf('invalid_selector') !== -1, err);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should pass a list of document ids to the change feed', function(done) {
+      filterFactory.getFilter(getDatabase(), {server_filter_doc_ids: 'a, b,a,'}, function(err, filter) {
+        assert.equal(null, err);
+        assert.equal('_doc_ids', filter.getServerFilterName());
+        assert.equal('doc_ids', filter.getServerFilterType());
+        assert.deepEqual(['a', 'b'], filter.getServerFilterDefinition());
+        assert.deepEqual({doc_ids: ['a', 'b']}, JSON.parse(filter.getChangeFeedOptions().request.body));
+        done();
+      });
+    });
+
+    it('should reject more than one server-side filter', function(done) {
+      filterFactory.getFilter(getDatabase(), {server_filter: 'ddoc/filter', server_filter_doc_ids: ['a']}, function(err) {
+        assert(err.indexOf('Only one server-side filter') !== -1, err);
+        filterFactory.getFilter(getDatabase(), {}, function(err, filter) {
+          assert.equal(null, err);
+          assert(! filter.hasServerFilter());
+          assert.deepEqual({}, filter.getChangeFeedOptions());
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+
+const mapping = require('../lib/mapping.js');
+const transformFactory = require('../lib/transform.js');
+
+describe('lib/mapping', function() {
+
+  describe('#getMappingRoutine()', function() {
+    it('should apply the operations in order without modifying the input document', function(done) {
+      var spec = {
+        operations: [
+          {op: 'rename', from: 'customer.name', to: 'full_name'},
+          {op: 'remove', path: ['internal', 'missing']},
+          {op: 'move', from: 'customer.address.city', to: 'city'},
+          {op: 'copy', from: 'customer.id', to: 'customer_id'},
+          {op: 'default', path: 'status', value: 'new'},
+          {op: 'default', path: 'type', value: 'unknown'},
+          {op: 'set', path: 'tags', value: ['migrated']},
+          {op: 'cast', path: 'total', type: 'number'},
+          {op: 'cast', path: 'active', type: 'boolean'},
+          {op: 'cast', path: 'created', type: 'date'},
+          {op: 'template', path: 'label', template: '{{type}}-{{customer.full_name}}-{{unknown}}'}
+        ]
+      };
+      var doc = {
+        _id: 'a',
+        type: 'order',
+        internal: 1,
+        total: '12.5',
+        active: 'yes',
+        created: 0,
+        customer: {id: 7, name: 'Jane', address: {city: 'Austin'}}
+      };
+      mapping.getMappingRoutine(spec, function(err, routine) {
+        assert.equal(null, err);
+        assert.deepEqual({
+                           _id: 'a',
+                           type: 'order',
+                           total: 12.5,
+                           active: true,
+                           created: '1970-01-01T00:00:00.000Z',
+                           customer: {id: 7, full_name: 'Jane', address: {}},
+                           city: 'Austin',
+                           customer_id: 7,
+                           status: 'new',
+                           tags: ['migrated'],
+                           label: 'order-Jane-'
+                         }, routine(doc));
+        assert.equal('Jane', doc.customer.name);
+        done();
+      });
+    });
+
+    it('should raise an error if a value cannot be converted', function(done) {
+      mapping.getMappingRoutine({operations: [{op: 'cast', path: 'total', type: 'integer'}]}, function(err, routine) {
+        assert.equal(null, err);
+        assert.deepEqual({total: 3}, routine({total: '3.7'}));
+        assert.throws(function() {
+          routine({total: 'many'});
+        }, /cannot be converted/);
+        done();
+      });
+    });
+
+    it('should reject specs that are invalid', function(done) {
+      mapping.getMappingRoutine({operations: []}, function(err) {
+        assert(err);
+        mapping.getMappingRoutine({operations: [{op: 'rename', from: 'a'}]}, function(err) {
+          assert(err.indexOf('"to"') !== -1, err);
+          mapping.getMappingRoutine({operations: [{op: 'set', path: 'a', value: 1}, {op: 'remove', path: '_id'}]}, function(err) {
+            assert(err.indexOf('Operation 2') !== -1, err);
+            mapping.getMappingRoutine({operations: [{op: 'cast', path: 'a', type: 'float'}]}, function(err) {
+              assert(err.indexOf('float') !== -1, err);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('transformer', function() {
+    it('should load a mapping spec and report it as the routine definition', function(done) {
+      transformFactory.getTransformer('sample_transform_functions/mapping_spec.json', function(err, transformer) {
+        assert.equal(null, err);
+        assert.deepEqual(require('../sample_transform_functions/mapping_spec.json'), JSON.parse(transformer.getRoutineDefinition()));
+        transformer.transform({_id: 'a', name: 'Jane', address: {city: 'Austin'}, total: '5'}, function(err, transformedDoc) {
+          assert.equal(null, err);
+          assert.deepEqual({_id: 'a', full_name: 'Jane', address: {}, city: 'Austin', status: 'new', total: 5, migrated: true, label: 'Jane (Austin)'},
+                           transformedDoc);
+          done();
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+
+const metrics = require('../lib/metrics.js');
+
+describe('lib/metrics', function() {
+
+  describe('#Counter', function() {
+    it('should render a counter for each label set', function() {
+      var counter = new metrics.Counter('test_total', 'Test counter.');
+      counter.inc({task_id: 'a'});
+      counter.inc({task_id: 'a'}, 2);
+      counter.inc({task_id: 'b'});
+      assert.deepEqual(['# HELP couchdb_db_transform_test_total Test counter.',
+                        '# TYPE couchdb_db_transform_test_total counter',
+                        'couchdb_db_transform_test_total{task_id="a"} 3',
+                        'couchdb_db_transform_test_total{task_id="b"} 1'],
+                       counter.render());
+    });
+  });
+
+  describe('#Gauge', function() {
+    it('should render the most recent value', function() {
+      var gauge = new metrics.Gauge('test', 'Test gauge.');
+      gauge.set({task_id: 'a'}, 5);
+      gauge.set({task_id: 'a'}, 2);
+      assert.equal('couchdb_db_transform_test{task_id="a"} 2', gauge.render()[2]);
+    });
+  });
+
+  describe('#Histogram', function() {
+    it('should render cumulative bucket counts, sum and count', function() {
+      var histogram = new metrics.Histogram('test', 'Test histogram.', [1, 10]);
+      histogram.observe({task_id: 'a'}, 0.5);
+      histogram.observe({task_id: 'a'}, 5);
+      histogram.observe({task_id: 'a'}, 50);
+      assert.deepEqual(['couchdb_db_transform_test_bucket{le="1",task_id="a"} 1',
+                        'couchdb_db_transform_test_bucket{le="10",task_id="a"} 2',
+                        'couchdb_db_transform_test_bucket{le="+Inf",task_id="a"} 3',
+                        'couchdb_db_transform_test_sum{task_id="a"} 55.5',
+                        'couchdb_db_transform_test_count{task_id="a"} 3'],
+                       histogram.render().slice(2));
+    });
+  });
+
+  describe('#getMetrics()', function() {
+    it('should update the gauges before the metrics are rendered', function(done) {
+      metrics.registerCollector('test_task', function(callback) {
+        metrics.metrics.buffer_size.set({task_id: 'test_task'}, 42);
+        callback();
+      });
+      metrics.getMetrics(function(err, text) {
+        assert.ifError(err);
+        assert(text.indexOf('# TYPE couchdb_db_transform_changes_received_total counter') !== -1);
+        assert(text.indexOf('couchdb_db_transform_buffer_size{task_id="test_task"} 42\n') !== -1);
+        done();
+      });
+    });
+  });
+});
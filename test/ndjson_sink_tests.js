@@ -0,0 +1,105 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NDJSONSink = require('../lib/ndjsonSink.js').NDJSONSink;
+
+var directory = path.join(os.tmpdir(), 'ndjson_sink_test_' + process.pid);
+
+var options = {
+  sink_max_file_bytes: 100,
+  sink_max_file_age: 60000,
+  delete_policy: 'delete',
+  soft_delete_field: 'deleted'
+};
+
+// returns the records of the files of a task, by file name
+var readFiles = function(taskId) {
+  var files = {};
+  fs.readdirSync(directory).sort().forEach(function(fileName) {
+    if(fileName.indexOf(taskId + '_') === 0) {
+      files[fileName] = fs.readFileSync(path.join(directory, fileName), 'utf8').trim().split('\n').map(function(line) {
+        return JSON.parse(line);
+      });
+    }
+  });
+  return files;
+};
+
+describe('lib/ndjsonSink', function() {
+
+  after(function() {
+    fs.readdirSync(directory).forEach(function(fileName) {
+      fs.unlinkSync(path.join(directory, fileName));
+    });
+    fs.rmdirSync(directory);
+  });
+
+  it('should write deletions as records that identify the document', function(done) {
+    var changes = [{doc: {_id: 'a', value: 1}}, {doc: {_id: 'b'}, deletion: true}];
+    new NDJSONSink(directory, 'task1', options).prepare(changes, function() {
+      assert.deepEqual([{_id: 'a', value: 1}, {_id: 'b', _deleted: true}], changes.map(function(change) {
+        return change.target_doc;
+      }));
+      var softDeletion = [{doc: {_id: 'b'}, deletion: true}];
+      new NDJSONSink(directory, 'task1', {delete_policy: 'soft_delete', soft_delete_field: 'removed'}).prepare(softDeletion, function() {
+        assert.deepEqual({_id: 'b', removed: true}, softDeletion[0].target_doc);
+        done();
+      });
+    });
+  });
+
+  it('should rotate files once they reach the maximum size without splitting a batch', function(done) {
+    var sink = new NDJSONSink(path.relative(process.cwd(), directory), 'task2', options);
+    sink.init(function(err) {
+      assert.ifError(err);
+      sink.write([{_id: 'a', text: 'x'.repeat(40)}, {_id: 'b', text: 'x'.repeat(40)}], function(err, results) {
+        assert.ifError(err);
+        assert.deepEqual([{ok: true, id: 'a'}, {ok: true, id: 'b'}], results);
+        // the file is completed once it is rotated
+        assert.equal('.part', path.extname(Object.keys(readFiles('task2'))[0]));
+        sink.write([{_id: 'c'}], function(err) {
+          assert.ifError(err);
+          sink.close(function() {
+            var files = readFiles('task2');
+            var fileNames = Object.keys(files);
+            assert.equal(2, fileNames.length);
+            assert.deepEqual(['a', 'b'], files[fileNames[0]].map(function(record) {
+              return record._id;
+            }));
+            assert.deepEqual([{_id: 'c'}], files[fileNames[1]]);
+            fileNames.forEach(function(fileName) {
+              assert.equal('.ndjson', path.extname(fileName));
+            });
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should rotate files once they reach the maximum age', function(done) {
+    var sink = new NDJSONSink(directory, 'task3', {sink_max_file_bytes: 1024, sink_max_file_age: 50});
+    sink.init(function(err) {
+      assert.ifError(err);
+      sink.write([{_id: 'a'}], function(err) {
+        assert.ifError(err);
+        setTimeout(function() {
+          assert.equal('.ndjson', path.extname(Object.keys(readFiles('task3'))[0]));
+          done();
+        }, 200);
+      });
+    });
+  });
+
+  it('should complete the files that were written when the service was terminated', function(done) {
+    fs.writeFileSync(path.join(directory, 'task4_20160908T105344000Z_1.ndjson.part'), '{"_id":"a"}\n');
+    new NDJSONSink(directory, 'task4', options).init(function(err) {
+      assert.ifError(err);
+      assert.deepEqual({'task4_20160908T105344000Z_1.ndjson': [{_id: 'a'}]}, readFiles('task4'));
+      done();
+    });
+  });
+
+});
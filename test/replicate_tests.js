@@ -0,0 +1,481 @@
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Replicator = require('../lib/replicate.js');
+
+var directory = path.join(os.tmpdir(), 'replicate_test_' + process.pid);
+
+// source databases served by the stubbed cloudant module; name -> changes
+var sources = {};
+
+// databases created on the stubbed server; name -> documents by id
+var databases = {};
+
+// returns the documents of a database that was created on the stubbed server
+var getDatabase = function(name) {
+  if(! databases[name]) {
+    throw new Error('Database "' + name + '" does not exist.');
+  }
+  return databases[name];
+};
+
+// returns the update sequence of a source database
+var getLastSeq = function(name) {
+  return (sources[name] && sources[name].length > 0) ? sources[name][sources[name].length - 1].seq : '0';
+};
+
+// minimal stand-in for the cloudant module; serves the changes of the source databases in <sources> and
+// stores documents in the databases in <databases>
+var cloudant = function(options) {
+  return {
+    config: {url: options.url},
+    db: {
+      get: function(name, callback) {
+        setImmediate(callback, null, {db_name: name, update_seq: getLastSeq(name)});
+      },
+      list: function(callback) {
+        setImmediate(callback, null, Object.keys(databases));
+      },
+      create: function(name, callback) {
+        databases[name] = {};
+        setImmediate(callback, null, {ok: true});
+      },
+      use: function(name) {
+        return {
+          config: {db: name},
+          // serves all changes of a source database in one page (see lib/backfillFeed.js)
+          server: {
+            request: function(params, callback) {
+              setImmediate(callback, null, {results: JSON.parse(JSON.stringify(sources[params.db])), last_seq: getLastSeq(params.db)});
+            }
+          },
+          get: function(id, callback) {
+            const doc = getDatabase(name)[id];
+            if(! doc) {
+              return setImmediate(callback, {statusCode: 404});
+            }
+            setImmediate(callback, null, JSON.parse(JSON.stringify(doc)));
+          },
+          insert: function(doc, callback) {
+            const docs = getDatabase(name);
+            const id = doc._id || ('id' + Object.keys(docs).length);
+            const current = docs[id];
+            if((current) && (current._rev !== doc._rev)) {
+              return setImmediate(callback, {statusCode: 409});
+            }
+            const rev = (current ? parseInt(current._rev, 10) + 1 : 1) + '-x';
+            docs[id] = Object.assign(JSON.parse(JSON.stringify(doc)), {_id: id, _rev: rev});
+            setImmediate(callback, null, {ok: true, id: id, rev: rev});
+          },
+          follow: function() {
+            var feed = new EventEmitter();
+            var pending = JSON.parse(JSON.stringify(sources[name]));
+            var paused = false;
+            var emitChanges = function() {
+              while((! paused) && (pending.length > 0)) {
+                feed.emit('change', pending.shift());
+              }
+            };
+            feed.follow = function() {
+              setImmediate(emitChanges);
+            };
+            feed.pause = function() {
+              paused = true;
+            };
+            feed.resume = function() {
+              paused = false;
+              setImmediate(emitChanges);
+            };
+            feed.stop = function() {
+              pending = [];
+              feed.emit('stop');
+            };
+            return feed;
+          }
+        };
+      }
+    }
+  };
+};
+
+var cloudantModule = require.resolve('cloudant');
+var cachedCloudantModule = require.cache[cloudantModule];
+
+// returns the changes for the documents; the update sequence of the nth change is "n-abc"
+var getChanges = function(docs) {
+  return docs.map(function(doc, index) {
+    return {seq: (index + 1) + '-abc', id: doc._id, doc: doc, deleted: doc._deleted};
+  });
+};
+
+// writes a transformation routine to a file and returns its path relative to the current working directory
+var saveRoutine = function(name, routine) {
+  const fileName = path.join(directory, name + '.js');
+  fs.writeFileSync(fileName, 'module.exports = ' + routine.toString() + ';\n');
+  return path.relative(process.cwd(), fileName);
+};
+
+// returns a replicator that exports the changes of a source database to NDJSON files in directory <name>
+var getReplicator = function(name, docs, options) {
+  sources[name] = getChanges(docs);
+  return new Replicator({url: 'https://source', dbname: name},
+                        null,
+                        false,
+                        Object.assign({
+                          sink: 'ndjson',
+                          sink_directory: path.relative(process.cwd(), path.join(directory, name)),
+                          repository_type: 'file',
+                          repository_directory: path.join(directory, 'repository')
+                        }, options));
+};
+
+// replicates the changes of a source database to NDJSON files; invokes callback with (err, replicator, records)
+var replicate = function(name, docs, options, callback) {
+  const exportDirectory = path.join(directory, name);
+  var replicator = getReplicator(name, docs, options);
+  replicator.init(function(err) {
+    if(err) {
+      return callback(err);
+    }
+    setTimeout(function() {
+      replicator.shutdown(function() {
+        var records = [];
+        fs.readdirSync(exportDirectory).sort().forEach(function(fileName) {
+          fs.readFileSync(path.join(exportDirectory, fileName), 'utf8').trim().split('\n').forEach(function(line) {
+            if(line) {
+              records.push(JSON.parse(line));
+            }
+          });
+        });
+        return callback(null, replicator, records);
+      });
+    }, 100);
+  });
+};
+
+// returns a replicator whose sink answers write requests with the responses in <responses> (an error or
+// null for results); the sizes of the requests are recorded in <requests>
+var getWriter = function(responses, requests) {
+  var replicator = new Replicator({url: 'https://source', dbname: 'source'},
+                                  {url: 'https://target', dbname: 'target'},
+                                  false,
+                                  {write_retry_max_attempts: 3, write_retry_initial_delay: 1});
+  replicator.stats.target = {retried: 0};
+  replicator.repository = {
+    saveWarningEvent: function() {}
+  };
+  replicator.sink = {
+    getName: function() {
+      return 'target database "target"';
+    },
+    prepare: function(changes, callback) {
+      changes.forEach(function(change) {
+        change.target_doc = change.doc;
+      });
+      setImmediate(callback);
+    },
+    write: function(docs, callback) {
+      requests.push(docs.length);
+      const response = (responses.length > 0) ? responses.shift() : null;
+      setImmediate(function() {
+        if(response) {
+          return callback(response);
+        }
+        return callback(null, docs.map(function(doc) {
+          return {id: doc._id, rev: '1-x'};
+        }));
+      });
+    }
+  };
+  return replicator;
+};
+
+// returns changes that write <count> documents
+var getWrites = function(count) {
+  var changes = [];
+  for(var index = 1; index <= count; index++) {
+    changes.push({seq: index + '-abc', doc: {_id: 'd' + index}, last: true, deletion: false});
+  }
+  return changes;
+};
+
+// deletes a directory and its content
+var removeDirectory = function(dir) {
+  fs.readdirSync(dir).forEach(function(fileName) {
+    const file = path.join(dir, fileName);
+    if(fs.statSync(file).isDirectory()) {
+      removeDirectory(file);
+    }
+    else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+describe('lib/replicate', function() {
+
+  before(function() {
+    fs.mkdirSync(directory);
+    require.cache[cloudantModule] = {id: cloudantModule, filename: cloudantModule, loaded: true, exports: cloudant};
+  });
+
+  after(function() {
+    if(cachedCloudantModule) {
+      require.cache[cloudantModule] = cachedCloudantModule;
+    }
+    else {
+      delete require.cache[cloudantModule];
+    }
+    removeDirectory(directory);
+  });
+
+  describe('#writeChanges()', function() {
+    it('should retry requests that failed with a transient error', function(done) {
+      var requests = [];
+      var replicator = getWriter([{statusCode: 429}, {statusCode: 503}], requests);
+      replicator.writeChanges(getWrites(2), function(err, results) {
+        assert.ifError(err);
+        assert.deepEqual([2, 2, 2], requests);
+        assert.deepEqual(['d1', 'd2'], results.map(function(result) {
+          return result.id;
+        }));
+        assert.equal(4, replicator.stats.target.retried);
+        done();
+      });
+    });
+
+    it('should stop after the maximum number of attempts', function(done) {
+      var requests = [];
+      var replicator = getWriter([{statusCode: 503}, {statusCode: 503}, {statusCode: 503}, {statusCode: 503}], requests);
+      replicator.writeChanges(getWrites(2), function(err) {
+        assert.equal(503, err.statusCode);
+        assert.deepEqual([2, 2, 2], requests);
+        done();
+      });
+    });
+
+    it('should not retry requests that were rejected', function(done) {
+      var requests = [];
+      var replicator = getWriter([{statusCode: 400}], requests);
+      replicator.writeChanges(getWrites(2), function(err) {
+        assert.equal(400, err.statusCode);
+        assert.deepEqual([2], requests);
+        assert.equal(0, replicator.stats.target.retried);
+        done();
+      });
+    });
+
+    it('should split requests that are too large', function(done) {
+      var requests = [];
+      var replicator = getWriter([{statusCode: 413}, {statusCode: 413}], requests);
+      replicator.writeChanges(getWrites(5), function(err, results) {
+        assert.ifError(err);
+        // the first half is split again
+        assert.deepEqual([5, 3, 2, 1, 2], requests);
+        assert.deepEqual(['d1', 'd2', 'd3', 'd4', 'd5'], results.map(function(result) {
+          return result.id;
+        }));
+        done();
+      });
+    });
+  });
+
+  describe('#init()', function() {
+    it('should reject deletion policies that are not supported', function(done) {
+      new Replicator({url: 'https://source', dbname: 'source'},
+                     {url: 'https://target', dbname: 'target'},
+                     false,
+                     {delete_policy: 'purge'}).init(function(err) {
+        assert(err);
+        assert(err.indexOf('"purge"') !== -1, err);
+        done();
+      });
+    });
+
+    it('should apply the deletion policy to deleted source documents', function(done) {
+      const docs = [{_id: 'a'}, {_id: 'b', _deleted: true}];
+      replicate('delete_policy_delete', docs, {}, function(err, replicator, records) {
+        assert.ifError(err);
+        assert.deepEqual([{_id: 'a'}, {_id: 'b', _deleted: true}], records);
+        assert.equal(1, replicator.getStatus().target.deleted);
+        replicate('delete_policy_soft_delete', docs, {delete_policy: 'soft_delete', soft_delete_field: 'removed'}, function(err, replicator, records) {
+          assert.ifError(err);
+          assert.deepEqual([{_id: 'a'}, {_id: 'b', removed: true}], records);
+          assert.equal(1, replicator.getStatus().target.soft_deleted);
+          replicate('delete_policy_ignore', docs, {delete_policy: 'ignore'}, function(err, replicator, records) {
+            assert.ifError(err);
+            assert.deepEqual([{_id: 'a'}], records);
+            assert.equal(1, replicator.getStatus().target.deletions_ignored);
+            assert.equal('2-abc', replicator.getStatus().target.last_applied_update_seq);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should skip changes whose transformation routine throws or rejects', function(done) {
+      const routine = saveRoutine('failing_transform', function(doc) {
+        if(doc.fail === 'throw') {
+          throw new Error('The document cannot be transformed.');
+        }
+        if(doc.fail === 'reject') {
+          return Promise.reject('The document cannot be transformed.');
+        }
+        return doc;
+      });
+      replicate('transform_errors',
+                [{_id: 'a'}, {_id: 'b', fail: 'throw'}, {_id: 'c', fail: 'reject'}, {_id: 'd'}],
+                {transform_function: routine},
+                function(err, replicator, records) {
+        assert.ifError(err);
+        assert.deepEqual(['a', 'd'], records.map(function(record) {
+          return record._id;
+        }));
+        assert.equal(2, replicator.stats.transformer.failed);
+        assert.equal('4-abc', replicator.getStatus().target.last_applied_update_seq);
+        done();
+      });
+    });
+
+    it('should advance the checkpoint once all documents of a change were written and past dropped changes', function(done) {
+      const routine = saveRoutine('split_transform', function(doc) {
+        if(doc.parts) {
+          return doc.parts.map(function(part) {
+            return {_id: doc._id + part};
+          });
+        }
+        return null;
+      });
+      replicate('split_and_drop',
+                [{_id: 'a', parts: [1, 2, 3]}, {_id: 'b'}, {_id: 'c'}, {_id: 'd'}],
+                {transform_function: routine, changes_per_batch: 2},
+                function(err, replicator, records) {
+        assert.ifError(err);
+        assert.deepEqual(['a1', 'a2', 'a3'], records.map(function(record) {
+          return record._id;
+        }));
+        assert.equal(3, replicator.getStatus().dropped);
+        assert.equal('4-abc', replicator.getStatus().target.last_applied_update_seq);
+        done();
+      });
+    });
+    it('should store the recovery information of an export in a Cloudant repository database', function(done) {
+      replicate('cloudant_repository',
+                [{_id: 'a'}, {_id: 'b'}],
+                {repository_type: 'cloudant', repository_url: 'https://repository'},
+                function(err, replicator, records) {
+        assert.ifError(err);
+        assert.deepEqual(['a', 'b'], records.map(function(record) {
+          return record._id;
+        }));
+        const recoveryRecord = getDatabase('transformer_')[replicator.taskId];
+        assert.equal('2-abc', recoveryRecord.last_update_seq);
+        done();
+      });
+    });
+    it('should stop and not advance the checkpoint if documents that could not be written cannot be preserved', function(done) {
+      var replicator = getReplicator('dead_letter_failure', [{_id: 'a'}, {_id: 'b'}, {_id: 'c'}], {changes_per_batch: 1});
+      replicator.init(function(err) {
+        assert.ifError(err);
+        const write = replicator.sink.write;
+        replicator.sink.write = function(docs, callback) {
+          if(docs[0]._id === 'b') {
+            return setImmediate(callback, {statusCode: 400});
+          }
+          write.call(replicator.sink, docs, callback);
+        };
+        replicator.repository.saveDeadLetters = function(records, callback) {
+          setImmediate(callback, 'The repository is full.');
+        };
+        // the replication task stops itself
+        var whenStopped = function() {
+          if(replicator.state !== 'stopped') {
+            return setTimeout(whenStopped, 20);
+          }
+          assert.equal('1-abc', replicator.getStatus().target.last_applied_update_seq);
+          assert.equal(1, replicator.getStatus().target.copied);
+          assert.equal(1, replicator.getStatus().target.failed);
+          replicator.shutdown(done);
+        };
+        whenStopped();
+      });
+    });
+  });
+
+  describe('#getDryRunReport()', function() {
+    it('should neither initialize the sink nor record events in dry-run mode', function(done) {
+      var replicator = getReplicator('dry_run', [{_id: 'a'}, {_id: 'b'}], {dry_run: true, dry_run_directory: path.join(directory, 'dry_run_report')});
+      replicator.init(function(err) {
+        assert.ifError(err);
+        setTimeout(function() {
+          replicator.getDryRunReport(function(err, report) {
+            assert.ifError(err);
+            assert.equal(2, report.counts.documents);
+            replicator.shutdown(function() {
+              assert.equal(false, fs.existsSync(path.join(directory, 'dry_run')));
+              assert.equal(false, fs.existsSync(path.join(directory, 'repository', replicator.taskId + '_events.log')));
+              assert.equal(false, fs.existsSync(path.join(directory, 'repository', replicator.taskId + '_recovery.json')));
+              done();
+            });
+          });
+        }, 100);
+      });
+    });
+  });
+
+  describe('#whenBackfillComplete()', function() {
+    it('should not save the final checkpoint if a document could not be transformed', function(done) {
+      const routine = saveRoutine('failing_backfill_transform', function(doc) {
+        if(doc.fail) {
+          throw new Error('The document cannot be transformed.');
+        }
+        return doc;
+      });
+      var replicator = getReplicator('backfill_transform_error',
+                                     [{_id: 'a'}, {_id: 'b', fail: true}],
+                                     {backfill: true, transform_function: routine});
+      replicator.init(function(err) {
+        assert.ifError(err);
+        replicator.whenBackfillComplete(function(err, summary) {
+          assert.ifError(err);
+          assert.equal(1, summary.copied);
+          assert.equal(1, summary.failed);
+          assert.equal('1-abc', summary.last_update_seq);
+          replicator.repository.loadRecoveryInfo(function(err, recoveryInfo) {
+            assert.ifError(err);
+            assert.equal('1-abc', recoveryInfo.last_update_seq);
+            replicator.shutdown(done);
+          });
+        });
+      });
+    });
+  });
+
+  describe('#restartReplication()', function() {
+    it('should close the repository before it is re-created', function(done) {
+      var replicator = getReplicator('restart', [{_id: 'a'}], {});
+      replicator.init(function(err) {
+        assert.ifError(err);
+        const previous = replicator.repository;
+        const close = previous.close;
+        var closed = 0;
+        previous.close = function(callback) {
+          closed++;
+          close.call(previous, callback);
+        };
+        replicator.restartReplication(false, function(err, state) {
+          assert.ifError(err);
+          assert.equal('running', state);
+          assert.equal(1, closed);
+          assert.equal(0, previous.listenerCount('ready'));
+          assert.notEqual(previous, replicator.repository);
+          replicator.shutdown(done);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sandboxes = require('../lib/sandbox.js');
+const transformFactory = require('../lib/transform.js');
+
+// routines are identified by their path relative to the current working directory
+var writeRoutine = function(name, source) {
+  var fileName = path.join(os.tmpdir(), 'sandbox_test_' + process.pid + '_' + name + '.js');
+  fs.writeFileSync(fileName, source);
+  return path.relative(process.cwd(), fileName);
+};
+
+var routines = {
+  add_property: writeRoutine('add_property', 'module.exports = function(doc) { doc.added = true; return doc; };'),
+  promise: writeRoutine('promise', 'module.exports = function(doc) { return Promise.resolve({_id: doc._id, wrapped: true}); };'),
+  loop: writeRoutine('loop', 'module.exports = function(doc) { while(true) { doc.x = 1; } };'),
+  uses_require: writeRoutine('uses_require', 'const fs = require("fs"); module.exports = function(doc) { return doc; };'),
+  allocate: writeRoutine('allocate', 'module.exports = function(doc) { var a = []; while(true) { a.push(new Array(1000).fill(doc._id)); } };')
+};
+
+describe('lib/sandbox', function() {
+
+  after(function() {
+    Object.keys(routines).forEach(function(name) {
+      fs.unlinkSync(path.join(process.cwd(), routines[name]));
+    });
+  });
+
+  describe('process', function() {
+    this.timeout(20000);
+
+    var sandbox = sandboxes.createSandbox({mode: 'process', timeout: 1000, memory_limit: 32});
+
+    after(function() {
+      sandbox.close();
+    });
+
+    it('should run synchronous and Promise based routines', function(done) {
+      sandbox.load(routines.add_property, function(err, routine) {
+        assert.equal(null, err);
+        assert(routine.definition.indexOf('doc.added = true') !== -1);
+        routine.invoke({_id: 'a'}, function(err, result) {
+          assert.equal(null, err);
+          assert.deepEqual({_id: 'a', added: true}, result);
+          sandbox.load(routines.promise, function(err, routine) {
+            assert.equal(null, err);
+            routine.invoke({_id: 'b'}, function(err, result) {
+              assert.equal(null, err);
+              assert.deepEqual({_id: 'b', wrapped: true}, result);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should run routines in a child process and restart it after a timeout', function(done) {
+      sandbox.load(routines.loop, function(err, loop) {
+        assert.equal(null, err);
+        sandbox.load(routines.uses_require, function(err, routine) {
+          assert.equal(null, err);
+          loop.invoke({_id: 'a'}, function(err) {
+            assert(sandboxes.isViolation(err), err);
+            assert.equal('timeout', err.type);
+            routine.invoke({_id: 'b'}, function(err, result) {
+              assert.equal(null, err);
+              assert.deepEqual({_id: 'b'}, result);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should report a routine that exceeds the memory limit', function(done) {
+      var memorySandbox = sandboxes.createSandbox({mode: 'process', timeout: 15000, memory_limit: 32});
+      memorySandbox.load(routines.allocate, function(err, routine) {
+        assert.equal(null, err);
+        routine.invoke({_id: 'a'}, function(err) {
+          memorySandbox.close();
+          assert(sandboxes.isViolation(err), err);
+          assert.equal('memory', err.type);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('transformer', function() {
+    this.timeout(20000);
+
+    it('should pass sandbox violations to the caller', function(done) {
+      var sandbox = sandboxes.createSandbox({mode: 'process', timeout: 1000, memory_limit: 32});
+      transformFactory.getTransformer([routines.add_property, routines.loop], sandbox, function(err, transformer) {
+        assert.equal(null, err);
+        assert.equal(2, transformer.getStages().length);
+        assert(transformer.getStages()[0].definition.indexOf('doc.added = true') !== -1);
+        transformer.transform({_id: 'a'}, function(err) {
+          sandbox.close();
+          assert(sandboxes.isViolation(err), err);
+          assert.equal(routines.loop, err.routine);
+          done();
+        });
+      });
+    });
+  });
+
+});
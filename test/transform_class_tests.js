@@ -25,4 +25,61 @@ const transformFactory = require('../lib/transform.js');
 		}) ;
     });
   });
+  describe('#transform', function() {
+    it('should apply a synchronous transformation routine', function(done) {
+    	transformFactory.getTransformer('sample_transform_functions/add_timestamp_property.js', function(err, transformer){
+			assert(err === null, 'Err is ' + err);
+			transformer.transform({'_id': '123'}, function(err, transformedDoc) {
+				assert(err === null, 'transform({_id: \'123\'}... ' + err);
+				assert.equal(transformedDoc._id, '123');
+				assert(transformedDoc.timestamp, 'timestamp property is missing');
+				done();
+			});
+		});
+    });
+    it('should apply a transformation routine that takes a (doc, callback) signature', function(done) {
+    	transformFactory.getTransformer('sample_transform_functions/add_timestamp_property_async.js', function(err, transformer){
+			assert(err === null, 'Err is ' + err);
+			transformer.transform({'_id': '123'}, function(err, transformedDoc) {
+				assert(err === null, 'transform({_id: \'123\'}... ' + err);
+				assert.equal(transformedDoc._id, '123');
+				assert(transformedDoc.timestamp, 'timestamp property is missing');
+				done();
+			});
+		});
+    });
+    it('should apply a transformation routine that returns a Promise', function(done) {
+    	transformFactory.getTransformer('sample_transform_functions/add_timestamp_property_promise.js', function(err, transformer){
+			assert(err === null, 'Err is ' + err);
+			transformer.transform({'_id': '123'}, function(err, transformedDoc) {
+				assert(err === null, 'transform({_id: \'123\'}... ' + err);
+				assert.equal(transformedDoc._id, '123');
+				assert(transformedDoc.timestamp, 'timestamp property is missing');
+				done();
+			});
+		});
+    });
+    it('should apply a pipeline of transformation routines in order', function(done) {
+    	transformFactory.getTransformer('sample_transform_functions/no_transformation.js, sample_transform_functions/add_timestamp_property_async.js', function(err, transformer){
+			assert(err === null, 'Err is ' + err);
+			assert.equal(transformer.getName(), 'sample_transform_functions/no_transformation.js,sample_transform_functions/add_timestamp_property_async.js');
+			assert.equal(transformer.getStages().length, 2);
+			assert.equal(transformer.getStages()[1].name, 'sample_transform_functions/add_timestamp_property_async.js');
+			transformer.transform({'_id': '123'}, function(err, transformedDoc) {
+				assert(err === null, 'transform({_id: \'123\'}... ' + err);
+				assert.equal(transformedDoc._id, '123');
+				assert(transformedDoc.timestamp, 'timestamp property is missing');
+				done();
+			});
+		});
+    });
+    it('should name the stage that could not be loaded', function(done) {
+    	transformFactory.getTransformer(['sample_transform_functions/no_transformation.js', 'sample_transform_functions/does_not_exist.js'], function(err, transformer){
+			assert(err, 'No error was returned');
+			assert(err.indexOf('stage 2') !== -1, 'Err is ' + err);
+			assert(transformer === undefined, 'Transformer was returned');
+			done();
+		});
+    });
+  });
 });
@@ -162,3 +162,17 @@ var expectedResult = null;
       assert.equal('http://localhost:5984/crimes', util.getUrlWithoutPassword('http://localhost:5984/crimes'));
     });
   });
+  describe('#isRetryableError()', function() {
+    it('should retry throttled requests, server errors and network errors', function() {
+      [429, 500, 502, 503, 504].forEach(function(statusCode) {
+        assert.equal(true, util.isRetryableError({statusCode: statusCode}), statusCode);
+      });
+      assert.equal(true, util.isRetryableError({code: 'ECONNRESET'}));
+    });
+    it('should not retry requests that were rejected', function() {
+      [400, 401, 403, 404, 409, 413].forEach(function(statusCode) {
+        assert.equal(false, util.isRetryableError({statusCode: statusCode}), statusCode);
+      });
+      assert.equal(false, util.isRetryableError(null));
+    });
+  });
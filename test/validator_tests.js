@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const validatorFactory = require('../lib/validator.js');
+
+// schemas are identified by their path relative to the current working directory
+var writeSchema = function(name, content) {
+  var fileName = path.join(os.tmpdir(), 'validator_test_' + process.pid + '_' + name);
+  fs.writeFileSync(fileName, content);
+  return path.relative(process.cwd(), fileName);
+};
+
+var schemas = {
+  json: writeSchema('order.json', JSON.stringify({
+                                                  type: 'object',
+                                                  required: ['_id', 'total'],
+                                                  properties: {_id: {type: 'string'}, total: {type: 'number'}},
+                                                  additionalProperties: false
+                                                })),
+  yaml: writeSchema('order.yaml', 'type: object\nrequired: [total]\n'),
+  invalid: writeSchema('invalid.json', JSON.stringify({type: 'unknown'}))
+};
+
+describe('lib/validator', function() {
+
+  after(function() {
+    Object.keys(schemas).forEach(function(name) {
+      fs.unlinkSync(path.join(process.cwd(), schemas[name]));
+    });
+  });
+
+  describe('#getValidator()', function() {
+    it('should accept all documents if no schema is defined', function(done) {
+      validatorFactory.getValidator(null, function(err, validator) {
+        assert.equal(null, err);
+        assert(! validator.hasSchema());
+        assert.equal(null, validator.getName());
+        assert.deepEqual([], validator.validate({_id: 'a'}));
+        done();
+      });
+    });
+
+    it('should report all violations of a document', function(done) {
+      validatorFactory.getValidator(schemas.json, function(err, validator) {
+        assert.equal(null, err);
+        assert(validator.hasSchema());
+        assert.equal(schemas.json, validator.getName());
+        assert.equal('object', validator.getDefinition().type);
+        assert.deepEqual([], validator.validate({_id: 'a', total: 1}));
+        var violations = validator.validate({_id: 'a', total: '1', note: 'x'});
+        assert.equal(2, violations.length);
+        assert.deepEqual(['', '.total'], violations.map(function(violation) { return violation.path; }).sort());
+        assert(violations[0].message.indexOf('note') !== -1 || violations[1].message.indexOf('note') !== -1, JSON.stringify(violations));
+        done();
+      });
+    });
+
+    it('should load YAML schemas', function(done) {
+      validatorFactory.getValidator(schemas.yaml, function(err, validator) {
+        assert.equal(null, err);
+        assert.equal(1, validator.validate({_id: 'a'}).length);
+        done();
+      });
+    });
+
+    it('should reject schemas that cannot be loaded or are invalid', function(done) {
+      validatorFactory.getValidator(schemas.invalid, function(err) {
+        assert(err.indexOf('valid JSON Schema') !== -1, err);
+        validatorFactory.getValidator('does_not_exist.json', function(err) {
+          assert(err.indexOf('could not be loaded') !== -1, err);
+          done();
+        });
+      });
+    });
+  });
+
+});